@@ -0,0 +1,134 @@
+import crypto from 'crypto';
+import { Transform } from 'stream';
+
+/**
+ * @locus Server
+ * @class Checksum
+ * @param algorithms {[String]} - Hash algorithms supported by `crypto.createHash()`, like `sha256`
+ * @summary Calculate one or more hashes of data at once
+ */
+class Checksum {
+  constructor(algorithms) {
+    this.algorithms = algorithms;
+    this.hashes = algorithms.map((algorithm) => crypto.createHash(algorithm));
+    this.bytes = 0;
+  }
+
+  /**
+   * @memberOf Checksum
+   * @name update
+   * @param {Buffer} data - Next part of data
+   * @summary Update all hashes with data
+   * @returns {Checksum}
+   */
+  update(data) {
+    for (const hash of this.hashes) {
+      hash.update(data);
+    }
+    this.bytes += data.length;
+    return this;
+  }
+
+  /**
+   * @memberOf Checksum
+   * @name digest
+   * @summary Finalize hashes, can be called only once
+   * @returns {Object} - Hex digests by algorithm name, like `{ sha256: '...' }`
+   */
+  digest() {
+    const checksums = {};
+    this.algorithms.forEach((algorithm, i) => {
+      checksums[algorithm] = this.hashes[i].digest('hex');
+    });
+    return checksums;
+  }
+}
+
+/**
+ * @locus Server
+ * @class ChunksChecksum
+ * @param algorithms {[String]} - Hash algorithms
+ * @param maxPending {Number}   - Max number of out-of-order chunks kept in memory, default: 64
+ * @summary Calculate hashes of chunked upload, chunks may arrive in any order and may be re-sent.
+ * Out-of-order chunks are kept in memory until preceding chunks arrive. When there are too many of them
+ * calculation is given up (`broken` is set to `true`) and checksum has to be calculated from stored file
+ */
+class ChunksChecksum extends Checksum {
+  constructor(algorithms, maxPending = 64) {
+    super(algorithms);
+    this.maxPending = maxPending;
+    this.next = 1;
+    this.pending = {};
+    this.pendingLength = 0;
+    this.broken = false;
+  }
+
+  /**
+   * @memberOf ChunksChecksum
+   * @name write
+   * @param {Number} num - Chunk position, starts from `1`
+   * @param {Buffer} chunk - Chunk's data
+   * @summary Add chunk, hashes are updated once all preceding chunks are received
+   * @returns {void}
+   */
+  write(num, chunk) {
+    if (this.broken || num < this.next) {
+      return;
+    }
+
+    if (!this.pending[num]) {
+      ++this.pendingLength;
+    }
+    this.pending[num] = chunk;
+
+    while (this.pending[this.next]) {
+      this.update(this.pending[this.next]);
+      delete this.pending[this.next];
+      --this.pendingLength;
+      ++this.next;
+    }
+
+    if (this.pendingLength > this.maxPending) {
+      this.broken = true;
+      this.pending = {};
+      this.pendingLength = 0;
+    }
+  }
+}
+
+/*
+ * @function
+ * @name createChecksumTransform
+ * @param {[String]} algorithms - Hash algorithms
+ * @summary Create pass-through stream calculating hashes of data passing through it, use its `checksum` property to get digests
+ * @returns {stream.Transform}
+ */
+const createChecksumTransform = (algorithms) => {
+  const checksum = new Checksum(algorithms);
+  const transform = new Transform({
+    transform(chunk, encoding, cb) {
+      checksum.update(chunk);
+      cb(null, chunk);
+    }
+  });
+  transform.checksum = checksum;
+  return transform;
+};
+
+/*
+ * @function
+ * @name checksumStream
+ * @param {stream.Readable} stream - Readable stream
+ * @param {[String]} algorithms - Hash algorithms
+ * @summary Read stream to the end and calculate hashes of its data
+ * @returns {Promise<Object>} - Hex digests by algorithm name
+ */
+const checksumStream = async (stream, algorithms) => {
+  const checksum = new Checksum(algorithms);
+  for await (const chunk of stream) {
+    checksum.update(chunk);
+  }
+  return checksum.digest();
+};
+
+export { Checksum, ChunksChecksum, createChecksumTransform, checksumStream };
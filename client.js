@@ -1,14 +1,16 @@
 import { DDP } from 'meteor/ddp-client';
 import { Mongo } from 'meteor/mongo';
 import { Meteor } from 'meteor/meteor';
+import { Tracker } from 'meteor/tracker';
 import { Cookies } from 'meteor/ostrio:cookies';
 import { check, Match } from 'meteor/check';
 import { UploadInstance } from './upload.js';
+import { uploadStore } from './upload-store.js';
 import FilesCollectionCore from './core.js';
 import { formatFleURL, helpers } from './lib.js';
 
 const NOOP = () => { };
-const allowedParams = ['allowClientCode', 'allowQueryStringCookies', 'chunkSize', 'collection', 'collectionName', 'ddp', 'debug', 'disableSetTokenCookie', 'disableUpload', 'downloadRoute', 'namingFunction', 'onBeforeUpload', 'onbeforeunloadMessage', 'public', 'sanitize', 'schema'];
+const allowedParams = ['allowClientCode', 'allowedExtensions', 'allowedMimeTypes', 'allowQueryStringCookies', 'chunkSize', 'collection', 'collectionName', 'ddp', 'debug', 'disableSetTokenCookie', 'disableUpload', 'downloadRoute', 'maxFileSize', 'minFileSize', 'namingFunction', 'onBeforeUpload', 'onbeforeunloadMessage', 'public', 'sanitize', 'schema'];
 
 /**
  * @locus Anywhere
@@ -27,6 +29,10 @@ const allowedParams = ['allowClientCode', 'allowQueryStringCookies', 'chunkSize'
  * return `true` to continue
  * return `false` or `String` to abort upload
  * @param config.allowClientCode  {Boolean}  - [Both]   Allow to run `remove` from client
+ * @param config.maxFileSize {Number|Boolean} - [Both] Max file size in bytes, checked in `insert()` before upload begins. Default: `false`
+ * @param config.minFileSize {Number|Boolean} - [Both] Min file size in bytes. Default: `false`
+ * @param config.allowedExtensions {[String]|Boolean} - [Both] Allowed file extensions, like `['png', 'jpg']`. Default: `false`
+ * @param config.allowedMimeTypes {[String]|Boolean} - [Both] Allowed mime-types, supports wildcards like `image/*`. Default: `false`
  * @param config.onbeforeunloadMessage {String|Function} - [Client] Message shown to user when closing browser's window or tab while upload process is running
  * @param config.disableUpload {Boolean} - Disable file upload, useful for server only solutions
  * @param config.disableSetTokenCookie {Boolean} - Disable cookie setting. Useful when you use multiple file collections or when you want to implement your own authorization.
@@ -139,7 +145,7 @@ class FilesCollection extends FilesCollectionCore {
       const _URL = window.URL || window.webkitURL || window.mozURL || window.msURL || window.oURL || false;
       if (window.Worker && window.Blob && _URL && helpers.isFunction(_URL.createObjectURL)) {
         this._supportWebWorker = true;
-        this._webWorkerUrl = _URL.createObjectURL(new window.Blob(['!function(a){"use strict";a.onmessage=function(b){var c=b.data.f.slice(b.data.cs*(b.data.cc-1),b.data.cs*b.data.cc);if(b.data.ib===!0)postMessage({bin:c,chunkId:b.data.cc});else{var d;a.FileReader?(d=new FileReader,d.onloadend=function(a){postMessage({bin:(d.result||a.srcElement||a.target).split(",")[1],chunkId:b.data.cc,s:b.data.s})},d.onerror=function(a){throw(a.target||a.srcElement).error},d.readAsDataURL(c)):a.FileReaderSync?(d=new FileReaderSync,postMessage({bin:d.readAsDataURL(c).split(",")[1],chunkId:b.data.cc})):postMessage({bin:null,chunkId:b.data.cc,error:"File API is not supported in WebWorker!"})}}}(this);'], { type: 'application/javascript' }));
+        this._webWorkerUrl = _URL.createObjectURL(new window.Blob(['!function(a){"use strict";var h=function(a){for(var b=new Uint8Array(a),c="",d=0;d<b.length;d++)c+=(b[d]<16?"0":"")+b[d].toString(16);return c},g=function(b,c){if(!a.crypto||!a.crypto.subtle)return void c(null);a.crypto.subtle.digest("SHA-256",b).then(function(a){c(h(a))},function(){c(null)})},s=function(b,c){if(!a.crypto||!a.crypto.subtle||!b.arrayBuffer)return void c(null);b.arrayBuffer().then(function(a){g(a,c)},function(){c(null)})};a.onmessage=function(b){var c=b.data.f.slice(b.data.cs*(b.data.cc-1),b.data.cs*b.data.cc);if(b.data.ib===!0)postMessage({bin:c,chunkId:b.data.cc});else if(b.data.bn===!0){var f=function(a){g(a,function(c){postMessage({bin:a,chunkId:b.data.cc,sum:c},[a])})};a.FileReaderSync?f((new FileReaderSync).readAsArrayBuffer(c)):c.arrayBuffer?c.arrayBuffer().then(f):postMessage({bin:null,chunkId:b.data.cc,error:"File API is not supported in WebWorker!"})}else{var d,e;a.FileReader?(d=new FileReader,d.onloadend=function(a){e=(d.result||a.srcElement||a.target).split(",")[1],s(c,function(a){postMessage({bin:e,chunkId:b.data.cc,s:b.data.s,sum:a})})},d.onerror=function(a){throw(a.target||a.srcElement).error},d.readAsDataURL(c)):a.FileReaderSync?(d=new FileReaderSync,e=d.readAsDataURL(c).split(",")[1],s(c,function(a){postMessage({bin:e,chunkId:b.data.cc,sum:a})})):postMessage({bin:null,chunkId:b.data.cc,error:"File API is not supported in WebWorker!"})}}}(this);'], { type: 'application/javascript' }));
       } else if (window.Worker) {
         this._supportWebWorker = true;
         this._webWorkerUrl = Meteor.absoluteUrl('packages/ostrio_files/worker.min.js');
@@ -164,13 +170,16 @@ class FilesCollection extends FilesCollectionCore {
     check(this.namingFunction, Match.OneOf(false, Function));
     check(this.onBeforeUpload, Match.OneOf(false, Function));
     check(this.allowClientCode, Boolean);
+    this._initUploadLimits();
     check(this.ddp, Match.Any);
 
     this._methodNames = {
       _Abort: `_FilesCollectionAbort_${this.collectionName}`,
       _Write: `_FilesCollectionWrite_${this.collectionName}`,
       _Start: `_FilesCollectionStart_${this.collectionName}`,
-      _Remove: `_FilesCollectionRemove_${this.collectionName}`
+      _Remove: `_FilesCollectionRemove_${this.collectionName}`,
+      _Resume: `_FilesCollectionResume_${this.collectionName}`,
+      _Usage: `_FilesCollectionUsage_${this.collectionName}`
     };
   }
 
@@ -231,6 +240,9 @@ class FilesCollection extends FilesCollectionCore {
    *   {Number|dynamic} chunkSize   - Chunk size for upload
    *   {String}      transport      - Upload transport `http` or `ddp`
    *   {Object}      ddp            - Custom DDP connection. Object returned form `DDP.connect()`
+   *   {Boolean}     resumable      - Persist upload session in IndexedDB and resume it when the same file is inserted again, even after page reload
+   *   {Number}      concurrency    - Maximum number of chunks sent in parallel over `http` transport
+   *   {Boolean|Object} retry       - Retry policy of failed chunk requests: `attempts`, `delay`, `maxDelay`, `jitter` and `statusCodes`, or `false` to disable retries
    *   {Function}    onUploaded     - Callback triggered when upload is finished, with two arguments `error` and `fileRef`
    *   {Function}    onStart        - Callback triggered when upload is started after all successful validations, with two arguments `error` (always null) and `fileRef`
    *   {Function}    onError        - Callback triggered on error in upload and/or FileReader, with two arguments `error` and `fileData`
@@ -264,6 +276,58 @@ class FilesCollection extends FilesCollectionCore {
     return uploadInstance;
   }
 
+  /**
+   * @locus Client
+   * @memberOf FilesCollection
+   * @name getResumableUploads
+   * @summary List unfinished uploads started with `resumable: true` option. To resume upload pass the same file to `insert()` with `resumable: true`
+   * @returns {Promise<[Object]>} - Upload sessions with `fileId`, `name`, `size`, `type`, `chunks`, `fileLength` and `updatedAt` properties
+   */
+  async getResumableUploads() {
+    try {
+      return await uploadStore.list(this.collectionName);
+    } catch (error) {
+      this._debug('[FilesCollection] [getResumableUploads] Error:', error);
+      return [];
+    }
+  }
+
+  /**
+   * @locus Client
+   * @memberOf FilesCollection
+   * @name discardResumableUpload
+   * @param {String} fileId - Upload's `fileId`
+   * @summary Forget resumable upload and abort its session on the server
+   * @returns {Promise<undefined>}
+   */
+  async discardResumableUpload(fileId) {
+    check(fileId, String);
+    try {
+      await uploadStore.remove(fileId);
+    } catch (error) {
+      this._debug('[FilesCollection] [discardResumableUpload] Error:', error);
+    }
+    this.ddp.call(this._methodNames._Abort, fileId, NOOP);
+  }
+
+  /**
+   * @locus Client
+   * @memberOf FilesCollection
+   * @name usage
+   * @summary Reactive usage of current user's storage quota, see `quota` option on the Server
+   * @returns {Object|null} - `{used, limit}` in bytes, `null` until it's received, or if user isn't logged in, or quotas are disabled
+   */
+  usage() {
+    if (!this._usageSubscription) {
+      this._usageCollection = new Mongo.Collection(`__quota_${this.collectionName}`, { connection: this.ddp });
+      // Subscription shouldn't be stopped with computation calling `usage()`
+      this._usageSubscription = Tracker.nonreactive(() => this.ddp.subscribe(this._methodNames._Usage));
+    }
+
+    const usage = this._usageCollection.findOne();
+    return usage ? { used: usage.used, limit: usage.limit } : null;
+  }
+
   /**
    * @locus Anywhere
    * @memberOf FilesCollection
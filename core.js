@@ -1,4 +1,5 @@
 import { EventEmitter } from 'eventemitter3';
+import { Meteor } from 'meteor/meteor';
 import { check, Match } from 'meteor/check';
 import { formatFleURL, helpers } from './lib.js';
 import { FilesCursor, FileCursor } from './cursor.js';
@@ -90,6 +91,20 @@ export default class FilesCollectionCore extends EventEmitter {
       type: Date,
       optional: true
     },
+    checksums: {
+      type: Object,
+      blackbox: true,
+      optional: true
+    },
+    _quotaBytes: {
+      type: Object,
+      blackbox: true,
+      optional: true
+    },
+    status: {
+      type: String,
+      optional: true
+    },
     versions: {
       type: Object,
       blackbox: true
@@ -142,6 +157,71 @@ export default class FilesCollectionCore extends EventEmitter {
     return { ext: '', extension: '', extensionWithDot: '' };
   }
 
+  /*
+   * @locus Anywhere
+   * @memberOf FilesCollectionCore
+   * @name _initUploadLimits
+   * @summary Internal method. Set defaults and validate declarative upload limits: `maxFileSize`, `minFileSize`, `allowedExtensions`, `allowedMimeTypes` and `maxFilesPerUser`
+   */
+  _initUploadLimits() {
+    for (const option of ['maxFileSize', 'minFileSize', 'maxFilesPerUser', 'allowedExtensions', 'allowedMimeTypes']) {
+      if (this[option] === void 0 || this[option] === null) {
+        this[option] = false;
+      }
+    }
+
+    check(this.maxFileSize, Match.OneOf(false, Number));
+    check(this.minFileSize, Match.OneOf(false, Number));
+    check(this.maxFilesPerUser, Match.OneOf(false, Number));
+    check(this.allowedExtensions, Match.OneOf(false, [String]));
+    check(this.allowedMimeTypes, Match.OneOf(false, [String]));
+
+    if (this.allowedExtensions) {
+      this.allowedExtensions = this.allowedExtensions.map((extension) => extension.replace(/^\./, '').toLowerCase());
+    }
+
+    if (this.allowedMimeTypes) {
+      this.allowedMimeTypes = this.allowedMimeTypes.map((type) => type.toLowerCase());
+    }
+  }
+
+  /*
+   * @locus Anywhere
+   * @memberOf FilesCollectionCore
+   * @name _checkUploadLimits
+   * @param {Object} fileData - File Object with `name`, `size` and `type` properties
+   * @summary Internal method. Check file against declarative upload limits, runs on the client before upload and on the server before any bytes are written
+   * @throws {Meteor.Error} With machine-readable code in `details`: `file-too-large`, `file-too-small`, `extension-not-allowed` or `mime-type-not-allowed`
+   * @returns {void}
+   */
+  _checkUploadLimits(fileData) {
+    if (this.maxFileSize !== false && fileData.size > this.maxFileSize) {
+      throw new Meteor.Error(413, `File is larger than ${this.maxFileSize} bytes`, 'file-too-large');
+    }
+
+    if (this.minFileSize !== false && !(fileData.size >= this.minFileSize)) {
+      throw new Meteor.Error(400, `File is smaller than ${this.minFileSize} bytes`, 'file-too-small');
+    }
+
+    if (this.allowedExtensions) {
+      const { extension } = this._getExt(this._getFileName(fileData));
+      if (!this.allowedExtensions.includes(extension)) {
+        throw new Meteor.Error(415, `File extension "${extension}" is not allowed`, 'extension-not-allowed');
+      }
+    }
+
+    if (this.allowedMimeTypes) {
+      const type = (helpers.isString(fileData.type) ? fileData.type : '').split(';')[0].trim().toLowerCase();
+      const isAllowed = this.allowedMimeTypes.some((pattern) => {
+        return pattern.endsWith('/*') ? type.startsWith(pattern.slice(0, -1)) : type === pattern;
+      });
+
+      if (!isAllowed) {
+        throw new Meteor.Error(415, `File type "${type}" is not allowed`, 'mime-type-not-allowed');
+      }
+    }
+  }
+
   /*
    * @locus Anywhere
    * @memberOf FilesCollectionCore
@@ -191,6 +271,17 @@ export default class FilesCollectionCore extends EventEmitter {
       _collectionName: data._collectionName || this.collectionName
     };
 
+    //Optional storage adapter name
+    if (data.storage) {
+      ds.versions.original.storage = data.storage;
+    }
+
+    //Optional content hashes
+    if (data.checksums) {
+      ds.checksums = data.checksums;
+      ds.versions.original.checksums = data.checksums;
+    }
+
     //Optional fileId
     if (data.fileId) {
       ds._id = data.fileId;
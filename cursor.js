@@ -33,6 +33,68 @@ export class FileCursor {
     return this;
   }
 
+  /*
+   * @locus Server
+   * @memberOf FileCursor
+   * @name verify
+   * @param version {String} - Name of file's subversion
+   * @throws {Meteor.Error} - If no file reference is provided or called on the Client
+   * @summary Verify file's content against stored checksums, see `FilesCollection#verify()`
+   * @returns {Promise<Object>}
+   */
+  async verify(version = 'original') {
+    this._collection._debug(`[FilesCollection] [FileCursor] [verify(${version})]`);
+    if (!this._fileRef) {
+      throw new Meteor.Error(404, 'No such file');
+    }
+    if (Meteor.isClient) {
+      throw new Meteor.Error(400, '[FilesCollection] [FileCursor] [verify()] is available only on the Server');
+    }
+    return this._collection.verify(this._fileRef, version);
+  }
+
+  /*
+   * @locus Server
+   * @memberOf FileCursor
+   * @name createReadStream
+   * @param version {String} - Name of file's subversion
+   * @param opts {Object} - [Optional] Byte range to read: `{start, end}`
+   * @throws {Meteor.Error} - If no file reference is provided or called on the Client
+   * @summary Read file's content from storage, see `FilesCollection#createReadStream()`
+   * @returns {stream.Readable}
+   */
+  createReadStream(version = 'original', opts) {
+    this._collection._debug(`[FilesCollection] [FileCursor] [createReadStream(${version})]`);
+    if (!this._fileRef) {
+      throw new Meteor.Error(404, 'No such file');
+    }
+    if (Meteor.isClient) {
+      throw new Meteor.Error(400, '[FilesCollection] [FileCursor] [createReadStream()] is available only on the Server');
+    }
+    return this._collection.createReadStream(this._fileRef, version, opts);
+  }
+
+  /*
+   * @locus Server
+   * @memberOf FileCursor
+   * @name readAsync
+   * @param version {String} - Name of file's subversion
+   * @param opts {Object} - [Optional] Byte range to read: `{start, end}`
+   * @throws {Meteor.Error} - If no file reference is provided or called on the Client
+   * @summary Read file's content from storage into `Buffer`, see `FilesCollection#readAsync()`
+   * @returns {Promise<Buffer>}
+   */
+  async readAsync(version = 'original', opts) {
+    this._collection._debug(`[FilesCollection] [FileCursor] [readAsync(${version})]`);
+    if (!this._fileRef) {
+      throw new Meteor.Error(404, 'No such file');
+    }
+    if (Meteor.isClient) {
+      throw new Meteor.Error(400, '[FilesCollection] [FileCursor] [readAsync()] is available only on the Server');
+    }
+    return this._collection.readAsync(this._fileRef, version, opts);
+  }
+
   /*
    * @locus Anywhere
    * @memberOf FileCursor
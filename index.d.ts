@@ -38,6 +38,10 @@ declare module "meteor/ostrio:files" {
       path: string;
       size: number;
       type: string;
+      storage?: string;
+      checksums?: { [algorithm: string]: string };
+      verifiedAt?: Date;
+      quarantined?: boolean;
   }
 
   class FileObj<MetadataType> {
@@ -62,6 +66,9 @@ declare module "meteor/ostrio:files" {
       meta?: MetadataType;
       userId?: string;
       updatedAt?: Date;
+      checksums?: { [algorithm: string]: string };
+      _quotaBytes?: { [version: string]: number };
+      status?: string;
       versions: {
           [propName: string]: Version<MetadataType>;
       };
@@ -88,8 +95,62 @@ declare module "meteor/ostrio:files" {
       meta: MetadataType;
   }
 
+  interface StatsLike {
+      size: number;
+      isFile(): boolean;
+  }
+
+  interface UploadStream {
+      file: object;
+      ended: boolean;
+      aborted: boolean;
+      write(num: number, chunk: Buffer, callback?: (error?: Error) => void): boolean;
+      end(callback?: (error?: Error, isEnded?: boolean) => void): boolean;
+      abort(callback?: (error?: Error) => void): boolean;
+      stop(): boolean;
+  }
+
+  class StorageAdapter {
+      name: string;
+      resumableUploads: boolean;
+      constructor(opts?: { name?: string; [key: string]: any });
+      ensureDirectory(path: string): void;
+      createUploadStream(path: string, file: object): UploadStream;
+      createWriteStream(path: string, opts?: object): NodeJS.WritableStream;
+      createReadStream(path: string, opts?: { start?: number; end?: number }): NodeJS.ReadableStream;
+      stat(path: string): Promise<StatsLike>;
+      unlink(path: string): Promise<void>;
+      move(from: string, to: string): Promise<void>;
+      list(path: string): AsyncIterable<{ path: string; size: number; mtime: Date }>;
+      freeSpace(path: string): Promise<number | null>;
+      getRedirectURL(path: string, vRef: object): Promise<string | null>;
+      finalize(path: string): void;
+  }
+
+  class FSStorage extends StorageAdapter {
+      constructor(opts?: { name?: string; permissions?: number; parentDirPermissions?: number });
+  }
+
+  class GridFSStorage extends StorageAdapter {
+      constructor(opts?: { name?: string; bucketName?: string; chunkSizeBytes?: number; db?: object });
+  }
+
+  class MemoryStorage extends StorageAdapter {
+      files: Map<string, { data: Buffer; mtime: Date }>;
+      constructor(opts?: { name?: string });
+      clear(): void;
+  }
+
+  class S3Storage extends StorageAdapter {
+      client: object;
+      bucket: string;
+      constructor(opts: { client: object; bucket: string; name?: string; partSize?: number; redirect?: boolean; presign?: (key: string, opts: { expires: number }) => string | Promise<string>; expires?: number });
+  }
+
   interface FilesCollectionConfig<MetadataType> {
       storagePath?: string | ((fileObj: FileObj<MetadataType>) => string);
+      storage?: StorageAdapter;
+      storages?: { [name: string]: StorageAdapter };
       collection?: Mongo.Collection<FileObj<MetadataType>>;
       collectionName?: string;
       continueUploadTTL?: string;
@@ -104,11 +165,30 @@ declare module "meteor/ostrio:files" {
       permissions?: number;
       parentDirPermissions?: number;
       integrityCheck?: boolean;
+      checksums?: string[] | boolean;
+      verifyChecksums?: boolean | {
+          interval?: number;
+          onFailure?: 'error' | 'replica' | 'quarantine' | ((http: object, fileRef: FileObj<MetadataType>, version: string) => void | Promise<void>);
+          replica?: string;
+      };
+      tus?: boolean;
+      multipart?: boolean;
+      put?: boolean;
+      reconciliation?: boolean | ReconcileOptions & { interval?: number };
       strict?: boolean;
       downloadCallback?: (this: ContextHTTP & ContextUser, fileObj: FileObj<MetadataType>) => boolean;
       protected?: boolean | ((this: ContextHTTP & ContextUser, fileObj: FileObj<MetadataType>) => boolean | number);
       public?: boolean;
       onBeforeUpload?: (this: ContextUpload & ContextUser, fileData: FileData<MetadataType>) => boolean | string;
+      maxFileSize?: number | false;
+      minFileSize?: number | false;
+      allowedExtensions?: string[] | false;
+      allowedMimeTypes?: string[] | false;
+      detectMimeType?: boolean | 'strict';
+      maxFilesPerUser?: number | false;
+      rateLimit?: RateLimit | false;
+      quota?: Quota | false;
+      diskSpace?: DiskSpace | boolean;
       onBeforeRemove?: (this: ContextUser, cursor: Mongo.Cursor<FileObj<MetadataType>>) => boolean;
       onInitiateUpload?: (this: ContextUpload & ContextUser, fileData: FileData<MetadataType>) => void;
       onAfterUpload?: (fileRef: FileRef<MetadataType>) => any;
@@ -144,9 +224,33 @@ declare module "meteor/ostrio:files" {
       onBeforeUpload?: (fileData: FileData<MetadataType>) => any;
       chunkSize?: number | 'dynamic';
       allowWebWorkers?: boolean;
+      resumable?: boolean;
+      concurrency?: number;
+      retry?: boolean | RetryOptions;
       type?: string;
   }
 
+  interface RetryOptions {
+      attempts?: number;
+      delay?: number;
+      maxDelay?: number;
+      jitter?: number;
+      statusCodes?: number[];
+  }
+
+  interface ResumableUpload {
+      fileId: string;
+      collectionName: string;
+      fingerprint: string;
+      name: string;
+      size: number;
+      type: string;
+      chunkSize: number;
+      fileLength: number;
+      chunks: number[];
+      updatedAt: Date;
+  }
+
   interface LoadOptions<MetadataType> {
       fileName: string;
       meta?: MetadataType;
@@ -162,7 +266,7 @@ declare module "meteor/ostrio:files" {
       progress: ReactiveVar<number>;
       estimateTime: ReactiveVar<number>;
       estimateSpeed: ReactiveVar<number>;
-      state: ReactiveVar<'active' | 'paused' | 'aborted' | 'completed'>;
+      state: ReactiveVar<'active' | 'paused' | 'offline' | 'waiting' | 'aborted' | 'completed'>;
       pause(): void;
       continue(): void;
       toggle(): void;
@@ -171,7 +275,69 @@ declare module "meteor/ostrio:files" {
       on(event: string, callback: () => void): void;
   }
 
-  class FileCursor<MetadataType> extends FileRef<MetadataType> { }
+  interface RateLimit {
+      uploadsPerMinute?: number | false;
+      bytesPerMinute?: number | false;
+      concurrentUploads?: number | false;
+  }
+
+  type QuotaLimit = number | false | ((userId?: string) => number | false | Promise<number | false>);
+
+  interface Quota {
+      user?: QuotaLimit;
+      collection?: QuotaLimit;
+  }
+
+  interface Usage {
+      used: number;
+      limit: number | false;
+  }
+
+  interface DiskSpace {
+      minFree?: number;
+      interval?: number;
+  }
+
+  interface StorageStatus {
+      storage: string;
+      free: number | null;
+      minFree: number | false;
+      ok: boolean;
+      checkedAt: Date;
+  }
+
+  interface ReadRange {
+      start?: number;
+      end?: number;
+  }
+
+  interface VerifyResult {
+      valid: boolean | null;
+      checksums: { [algorithm: string]: string } | null;
+      verifiedAt: Date | null;
+      error?: Error | null;
+  }
+
+  interface ReconcileOptions {
+      dryRun?: boolean;
+      removeOrphans?: boolean;
+      flagBroken?: boolean;
+      gracePeriod?: number;
+  }
+
+  interface ReconcileReport {
+      orphans: Array<{ storage: string; path: string; size: number; mtime: Date }>;
+      broken: Array<{ _id: string; version: string; storage: string; path: string }>;
+      removed: number;
+      flagged: number;
+      dryRun: boolean;
+  }
+
+  class FileCursor<MetadataType> extends FileRef<MetadataType> {
+      verify(version?: string): Promise<VerifyResult>;
+      createReadStream(version?: string, opts?: ReadRange): NodeJS.ReadableStream;
+      readAsync(version?: string, opts?: ReadRange): Promise<Buffer>;
+  }
 
   class FilesCursor<MetadataType, TransformAdditions> extends Mongo.Cursor<FileObj<MetadataType>> {
       cursor: Mongo.Cursor<FileObj<MetadataType>>; // Refers to base cursor? Why is this existing?
@@ -225,6 +391,8 @@ declare module "meteor/ostrio:files" {
       ): FileCursor<MetadataType> & TransformAdditions;
 
       insert(settings: InsertOptions<MetadataType>, autoStart?: boolean): FileUpload;
+      getResumableUploads(): Promise<ResumableUpload[]>;
+      discardResumableUpload(fileId: string): Promise<void>;
       remove(select: Mongo.Selector<FileObj<MetadataType>> | string, callback?: (error: Meteor.Error) => void): FilesCollection<MetadataType>;
       update(select: Mongo.Selector<FileObj<MetadataType>> | string, modifier: Mongo.Modifier<FileObj<MetadataType>>, options?: {
         multi?: boolean;
@@ -232,6 +400,15 @@ declare module "meteor/ostrio:files" {
         arrayFilters?: Array<{ [identifier: string]: any }>;
       }, callback?: (error: Meteor.Error, insertedCount: number) => void): FilesCollection<MetadataType>;
       link(fileRef: FileRef<MetadataType>, version?: string): string;
+      getStorage(fileRef: FileObj<MetadataType>, version?: string): StorageAdapter;
+      getUsage(userId?: string, recalculate?: boolean): Promise<Usage>;
+      countUsage(fileRef: FileObj<MetadataType> | string): Promise<number>;
+      getStorageStatus(): Promise<StorageStatus>;
+      usage(): Usage | null;
+      verify(fileRef: FileObj<MetadataType>, version?: string): Promise<VerifyResult>;
+      createReadStream(fileRef: FileObj<MetadataType>, version?: string, opts?: ReadRange): NodeJS.ReadableStream;
+      readAsync(fileRef: FileObj<MetadataType>, version?: string, opts?: ReadRange): Promise<Buffer>;
+      reconcile(opts?: ReconcileOptions): Promise<ReconcileReport>;
       allow(options: Mongo.AllowDenyOptions): void;
       deny(options: Mongo.AllowDenyOptions): void;
       denyClient(): void;
@@ -240,5 +417,7 @@ declare module "meteor/ostrio:files" {
       addFile(path: string, opts: LoadOptions<MetadataType>, callback?: (err: any, fileRef: FileRef<MetadataType>) => any, proceedAfterUpload?: boolean): FilesCollection<MetadataType>;
       load(url: string, opts: LoadOptions<MetadataType>, callback?: (err: object, fileRef: FileRef<MetadataType>) => any, proceedAfterUpload?: boolean): FilesCollection<MetadataType>;
       write(buffer: Buffer, opts: LoadOptions<MetadataType>, callback?: (err: object, fileRef: FileRef<MetadataType>) => any, proceedAfterUpload?: boolean): FilesCollection<MetadataType>;
+      writeStream(readable: NodeJS.ReadableStream, opts?: LoadOptions<MetadataType>, proceedAfterUpload?: boolean): Promise<FileRef<MetadataType>>;
+      createWriteStream(opts?: LoadOptions<MetadataType>, proceedAfterUpload?: boolean): NodeJS.WritableStream & { fileRef: FileRef<MetadataType> | null };
   }
 }
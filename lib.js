@@ -117,7 +117,7 @@ const helpers = {
   }
 };
 
-const _helpers = ['String', 'Number', 'Date'];
+const _helpers = ['String', 'Number', 'Date', 'Uint8Array'];
 for (let i = 0; i < _helpers.length; i++) {
   helpers['is' + _helpers[i]] = function (obj) {
     return Object.prototype.toString.call(obj) === `[object ${_helpers[i]}]`;
@@ -0,0 +1,214 @@
+import { Transform } from 'stream';
+
+/*
+ * @const {Number} SNIFF_LENGTH - Amount of file's first bytes enough to detect any type from `MIME_SIGNATURES`,
+ * enough for PE header of executables and the second frame of MP3 without ID3 tag
+ */
+const SNIFF_LENGTH = 4096;
+
+/*
+ * @const {Function} isPortableExecutable - Check DOS header (`MZ`) pointing to PE header (`PE\0\0`) at offset stored in `e_lfanew` field
+ */
+const isPortableExecutable = (head) => {
+  if (head.length < 64 || head.toString('latin1', 0, 2) !== 'MZ') {
+    return false;
+  }
+  const offset = head.readUInt32LE(60);
+  return offset >= 64 && head.length >= (offset + 4) && head.toString('latin1', offset, offset + 4) === 'PE\x00\x00';
+};
+
+/*
+ * @const {Object} MPEG_BITRATES     - Bitrates (kbps) of MPEG-1 and MPEG-2 audio Layer III by frame header's index
+ * @const {Object} MPEG_SAMPLE_RATES - Sample rates (Hz) of MPEG-1 and MPEG-2 audio by frame header's index
+ */
+const MPEG_BITRATES = {
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const MPEG_SAMPLE_RATES = { 1: [44100, 48000, 32000], 2: [22050, 24000, 16000] };
+
+/*
+ * @const {Function} mpegFrameLength - Length of MPEG audio Layer III frame starting at offset, `0` if there's no valid frame header
+ */
+const mpegFrameLength = (head, offset) => {
+  if (head.length < (offset + 4) || head[offset] !== 0xff || (head[offset + 1] & 0xf6) !== 0xf2) {
+    return 0;
+  }
+  // 0xfb/0xfa is MPEG-1, 0xf3/0xf2 is MPEG-2, both Layer III
+  const version = (head[offset + 1] & 0x08) ? 1 : 2;
+  const bitrate = MPEG_BITRATES[version][head[offset + 2] >> 4];
+  const sampleRate = MPEG_SAMPLE_RATES[version][(head[offset + 2] >> 2) & 0x03];
+  if (!bitrate || !sampleRate) {
+    return 0;
+  }
+  return Math.floor(((version === 1 ? 144000 : 72000) * bitrate) / sampleRate) + ((head[offset + 2] >> 1) & 0x01);
+};
+
+/*
+ * @const {Function} isMpegAudio - Check MP3 without ID3 tag by two consecutive frame headers, two bytes of frame sync alone are too common
+ */
+const isMpegAudio = (head) => {
+  const length = mpegFrameLength(head, 0);
+  return length > 0 && mpegFrameLength(head, length) > 0;
+};
+
+/*
+ * @const {Array} MIME_SIGNATURES - Magic bytes of well-known formats: `[type, [[offset, bytes], ...]]`, bytes as `latin1` string,
+ * or `[type, function (head) {}]` for formats which short magic bytes would match other files. More specific signatures go first
+ */
+const MIME_SIGNATURES = [
+  ['image/png', [[0, '\x89PNG\r\n\x1a\n']]],
+  ['image/jpeg', [[0, '\xff\xd8\xff']]],
+  ['image/gif', [[0, 'GIF87a']]],
+  ['image/gif', [[0, 'GIF89a']]],
+  ['image/webp', [[0, 'RIFF'], [8, 'WEBP']]],
+  ['image/bmp', [[0, 'BM'], [6, '\x00\x00\x00\x00']]],
+  ['image/x-icon', [[0, '\x00\x00\x01\x00']]],
+  ['image/tiff', [[0, 'II*\x00']]],
+  ['image/tiff', [[0, 'MM\x00*']]],
+  ['image/avif', [[4, 'ftypavif']]],
+  ['image/heic', [[4, 'ftypheic']]],
+  ['image/heic', [[4, 'ftypheix']]],
+  ['video/quicktime', [[4, 'ftypqt  ']]],
+  ['audio/mp4', [[4, 'ftypM4A ']]],
+  ['video/3gpp', [[4, 'ftyp3gp']]],
+  ['video/mp4', [[4, 'ftyp']]],
+  ['video/webm', [[0, '\x1a\x45\xdf\xa3']]],
+  ['video/x-msvideo', [[0, 'RIFF'], [8, 'AVI ']]],
+  ['audio/wav', [[0, 'RIFF'], [8, 'WAVE']]],
+  ['audio/ogg', [[0, 'OggS']]],
+  ['audio/flac', [[0, 'fLaC']]],
+  ['audio/mpeg', [[0, 'ID3']]],
+  ['audio/mpeg', isMpegAudio],
+  ['application/pdf', [[0, '%PDF-']]],
+  ['application/zip', [[0, 'PK\x03\x04']]],
+  ['application/zip', [[0, 'PK\x05\x06']]],
+  ['application/x-cfb', [[0, '\xd0\xcf\x11\xe0\xa1\xb1\x1a\xe1']]],
+  ['application/gzip', [[0, '\x1f\x8b\x08']]],
+  ['application/x-7z-compressed', [[0, '7z\xbc\xaf\x27\x1c']]],
+  ['application/vnd.rar', [[0, 'Rar!\x1a\x07']]],
+  ['application/x-sqlite3', [[0, 'SQLite format 3\x00']]],
+  ['application/wasm', [[0, '\x00asm']]],
+  ['application/x-elf', [[0, '\x7fELF']]],
+  ['application/x-msdownload', isPortableExecutable],
+  ['font/woff', [[0, 'wOFF']]],
+  ['font/woff2', [[0, 'wOF2']]]
+].map(([type, parts]) => [type, (typeof parts === 'function') ? parts : parts.map(([offset, bytes]) => [offset, Buffer.from(bytes, 'latin1')])]);
+
+/*
+ * @const {Object} MIME_ALIASES - Declared types compatible with detected type
+ */
+const MIME_ALIASES = {
+  'image/jpeg': ['image/jpg', 'image/pjpeg'],
+  'image/bmp': ['image/x-bmp', 'image/x-ms-bmp'],
+  'image/x-icon': ['image/vnd.microsoft.icon', 'image/ico'],
+  'image/heic': ['image/heif', 'image/heic-sequence', 'image/heif-sequence'],
+  'video/quicktime': ['video/mp4'],
+  'audio/mp4': ['audio/x-m4a', 'audio/m4a', 'audio/aac', 'video/mp4'],
+  'video/3gpp': ['audio/3gpp', 'video/3gpp2', 'audio/3gpp2'],
+  'video/mp4': ['audio/mp4', 'audio/x-m4a', 'audio/m4a', 'video/x-m4v', 'video/quicktime', 'application/mp4'],
+  'video/webm': ['audio/webm', 'video/x-matroska', 'audio/x-matroska'],
+  'video/x-msvideo': ['video/avi', 'video/msvideo'],
+  'audio/wav': ['audio/x-wav', 'audio/wave', 'audio/vnd.wave'],
+  'audio/ogg': ['video/ogg', 'application/ogg', 'audio/opus', 'audio/vorbis'],
+  'audio/flac': ['audio/x-flac'],
+  'audio/mpeg': ['audio/mp3', 'audio/mpeg3', 'audio/x-mpeg'],
+  'application/gzip': ['application/x-gzip', 'application/x-tar', 'application/x-compressed-tar', 'application/x-tgz'],
+  'application/vnd.rar': ['application/x-rar-compressed', 'application/x-rar'],
+  'application/x-sqlite3': ['application/vnd.sqlite3'],
+  'application/x-elf': ['application/x-executable', 'application/x-sharedlib'],
+  'application/x-msdownload': ['application/x-dosexec', 'application/x-msdos-program', 'application/vnd.microsoft.portable-executable'],
+  'font/woff': ['application/font-woff']
+};
+
+/*
+ * @const {Object} MIME_CONTAINERS - Detected container formats and declared types stored in them, like `.docx` in ZIP
+ */
+const MIME_CONTAINERS = {
+  'application/zip': /^application\/(x-zip-compressed|vnd\.openxmlformats-officedocument\.|vnd\.oasis\.opendocument\.|epub\+zip|java-archive|vnd\.android\.package-archive|vnd\.ms-xpsdocument|x-xpinstall)/,
+  'application/x-cfb': /^application\/(msword|vnd\.ms-|x-msi|vnd\.visio)/
+};
+
+/*
+ * @const {[String]} GENERIC_TYPES - Declared types meaning "unknown"
+ */
+const GENERIC_TYPES = ['', 'application/octet-stream', 'binary/octet-stream', 'application/unknown'];
+
+/*
+ * @function
+ * @name detectMimeType
+ * @param {Buffer} head - File's first bytes, at least `SNIFF_LENGTH` unless file is smaller
+ * @summary Detect file's mime-type by its magic bytes
+ * @returns {String|null} - Detected mime-type, or `null` if format is unknown
+ */
+const detectMimeType = (head) => {
+  if (!Buffer.isBuffer(head) || !head.length) {
+    return null;
+  }
+
+  for (const [type, parts] of MIME_SIGNATURES) {
+    if ((typeof parts === 'function') ? parts(head) : parts.every(([offset, bytes]) => head.length >= (offset + bytes.length) && head.subarray(offset, offset + bytes.length).equals(bytes))) {
+      return type;
+    }
+  }
+  return null;
+};
+
+/*
+ * @function
+ * @name normalizeMimeType
+ * @param {String} type - Mime-type, may contain parameters like `; charset=utf-8`
+ * @summary Lower-cased mime-type without parameters
+ * @returns {String}
+ */
+const normalizeMimeType = (type) => (typeof type === 'string' ? type : '').split(';')[0].trim().toLowerCase();
+
+/*
+ * @function
+ * @name isGenericMimeType
+ * @param {String} type - Mime-type
+ * @summary Check if mime-type means "unknown", like `application/octet-stream`
+ * @returns {Boolean}
+ */
+const isGenericMimeType = (type) => GENERIC_TYPES.includes(normalizeMimeType(type));
+
+/*
+ * @function
+ * @name isMimeTypeMatch
+ * @param {String} declared - Mime-type declared by client
+ * @param {String} detected - Mime-type detected by `detectMimeType()`
+ * @summary Check if declared type is compatible with detected one, generic types (like `application/octet-stream`) match any
+ * @returns {Boolean}
+ */
+const isMimeTypeMatch = (declared, detected) => {
+  const type = normalizeMimeType(declared);
+  if (isGenericMimeType(type) || type === detected) {
+    return true;
+  }
+
+  if (MIME_ALIASES[detected] && MIME_ALIASES[detected].includes(type)) {
+    return true;
+  }
+  return !!(MIME_CONTAINERS[detected] && MIME_CONTAINERS[detected].test(type));
+};
+
+/*
+ * @function
+ * @name createMimeSniffer
+ * @summary Create pass-through stream keeping first `SNIFF_LENGTH` bytes of data passing through it, use its `head` property to detect mime-type
+ * @returns {stream.Transform}
+ */
+const createMimeSniffer = () => {
+  const transform = new Transform({
+    transform(chunk, encoding, cb) {
+      if (transform.head.length < SNIFF_LENGTH) {
+        transform.head = Buffer.concat([transform.head, chunk.subarray(0, SNIFF_LENGTH - transform.head.length)]);
+      }
+      cb(null, chunk);
+    }
+  });
+  transform.head = Buffer.alloc(0);
+  return transform;
+};
+
+export { SNIFF_LENGTH, detectMimeType, isMimeTypeMatch, isGenericMimeType, createMimeSniffer };
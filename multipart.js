@@ -0,0 +1,495 @@
+import { Meteor } from 'meteor/meteor';
+import { Random } from 'meteor/random';
+import { helpers } from './lib.js';
+import { createMimeSniffer } from './mime.js';
+import { retryAfterHeaders } from './ratelimit.js';
+
+import { Writable, PassThrough, Transform, pipeline as pipelineCallback } from 'stream';
+import { promisify } from 'util';
+
+const pipeline = promisify(pipelineCallback);
+
+/**
+ * @const {Number} MAX_HEADERS_SIZE - Maximum size of part's headers in bytes
+ * @const {Number} MAX_FIELD_SIZE   - Maximum size of non-file field's value in bytes
+ */
+const MAX_HEADERS_SIZE = 16384;
+const MAX_FIELD_SIZE = 1048576;
+
+/*
+ * @const {Function} parseHeaderParams - Parse parameters of `Content-Type` and `Content-Disposition` headers, like `form-data; name="file"; filename="a.txt"`
+ */
+const parseHeaderParams = (header) => {
+  const params = {};
+  if (!helpers.isString(header)) {
+    return params;
+  }
+
+  const paramsRE = /;\s*([^=;\s]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;]*))/g;
+  for (let match = paramsRE.exec(header); match !== null; match = paramsRE.exec(header)) {
+    const key = match[1].toLowerCase();
+    let value = match[2] !== void 0 ? match[2].replace(/\\(.)/g, '$1') : match[3].trim();
+    if (key.endsWith('*')) {
+      // RFC 5987 extended value: charset'language'percent-encoded
+      try {
+        value = decodeURIComponent(value.replace(/^[^']*'[^']*'/, ''));
+      } catch (error) {
+        continue;
+      }
+      params[key.slice(0, -1)] = value;
+    } else if (!helpers.has(params, key)) {
+      params[key] = value;
+    }
+  }
+  return params;
+};
+
+/**
+ * @private
+ * @locus Server
+ * @class MultipartParser
+ * @param boundary {String} - Boundary from request's `Content-Type` header
+ * @summary Writable stream parsing `multipart/form-data` body. Non-file fields are collected in `fields` object,
+ * for each file part `file` event is emitted with `{ name, filename, type, stream }`, where `stream` is Readable with part's data.
+ * Parsing waits while `stream` is not consumed
+ */
+class MultipartParser extends Writable {
+  constructor(boundary) {
+    super();
+    this.boundary = Buffer.from(`--${boundary}`);
+    this.delimiter = Buffer.from(`\r\n--${boundary}`);
+    this.buffer = Buffer.alloc(0);
+    this.state = 'preamble';
+    this.fields = {};
+    this.part = null;
+  }
+
+  _write(chunk, encoding, callback) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+    this._parse().then(() => callback(), callback);
+  }
+
+  _final(callback) {
+    if (this.state !== 'end') {
+      callback(new Meteor.Error(400, 'Unexpected end of multipart/form-data body'));
+      return;
+    }
+    callback();
+  }
+
+  _destroy(error, callback) {
+    if (this.part && this.part.stream) {
+      this.part.stream.destroy(error || void 0);
+    }
+    callback(error);
+  }
+
+  /**
+   * @memberOf MultipartParser
+   * @name _parse
+   * @summary Internal method. Consume buffered data, until more data is needed
+   * @returns {Promise<undefined>}
+   */
+  async _parse() {
+    for (;;) {
+      if (this.state === 'preamble') {
+        const index = this.buffer.indexOf(this.boundary);
+        if (index === -1) {
+          // Keep tail which may contain beginning of the boundary
+          this.buffer = this.buffer.subarray(Math.max(0, this.buffer.length - this.boundary.length));
+          return;
+        }
+        this.buffer = this.buffer.subarray(index + this.boundary.length);
+        this.state = 'boundary';
+      } else if (this.state === 'boundary') {
+        if (this.buffer.length < 2) {
+          return;
+        }
+
+        const next = this.buffer.toString('latin1', 0, 2);
+        if (next === '--') {
+          this.state = 'end';
+          this.buffer = Buffer.alloc(0);
+          return;
+        }
+
+        if (next !== '\r\n') {
+          throw new Meteor.Error(400, 'Malformed multipart/form-data boundary');
+        }
+        this.buffer = this.buffer.subarray(2);
+        this.state = 'headers';
+      } else if (this.state === 'headers') {
+        const index = this.buffer.indexOf('\r\n\r\n');
+        if (index === -1) {
+          if (this.buffer.length > MAX_HEADERS_SIZE) {
+            throw new Meteor.Error(431, 'Multipart headers are too large');
+          }
+          return;
+        }
+
+        this._startPart(this.buffer.toString('utf8', 0, index));
+        this.buffer = this.buffer.subarray(index + 4);
+        this.state = 'body';
+      } else if (this.state === 'body') {
+        const index = this.buffer.indexOf(this.delimiter);
+        if (index === -1) {
+          // Keep tail which may contain beginning of the delimiter
+          const length = this.buffer.length - this.delimiter.length + 1;
+          if (length > 0) {
+            await this._data(this.buffer.subarray(0, length));
+            this.buffer = this.buffer.subarray(length);
+          }
+          return;
+        }
+
+        await this._data(this.buffer.subarray(0, index));
+        this.buffer = this.buffer.subarray(index + this.delimiter.length);
+        this._endPart();
+        this.state = 'boundary';
+      } else {
+        // Epilogue is ignored
+        this.buffer = Buffer.alloc(0);
+        return;
+      }
+    }
+  }
+
+  /**
+   * @memberOf MultipartParser
+   * @name _startPart
+   * @param {String} rawHeaders - Part's headers
+   * @summary Internal method. Parse part's headers, emit `file` event for file parts
+   * @returns {undefined}
+   */
+  _startPart(rawHeaders) {
+    const headers = {};
+    for (const line of rawHeaders.split('\r\n')) {
+      const index = line.indexOf(':');
+      if (index > 0) {
+        headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+      }
+    }
+
+    const { name, filename } = parseHeaderParams(headers['content-disposition']);
+    this.part = { name: name || '', size: 0 };
+    if (helpers.isString(filename)) {
+      this.part.filename = filename;
+      this.part.type = (headers['content-type'] || 'application/octet-stream').split(';')[0].trim();
+      this.part.stream = new PassThrough();
+      this.emit('file', this.part);
+    } else {
+      this.part.value = [];
+    }
+  }
+
+  /**
+   * @memberOf MultipartParser
+   * @name _data
+   * @param {Buffer} data - Part's data
+   * @summary Internal method. Pass data to file's stream respecting its backpressure, or collect field's value
+   * @returns {Promise<undefined>}
+   */
+  async _data(data) {
+    if (!data.length) {
+      return;
+    }
+
+    this.part.size += data.length;
+    if (this.part.stream) {
+      const stream = this.part.stream;
+      if (!stream.write(data)) {
+        await new Promise((resolve, reject) => {
+          const done = (error) => {
+            stream.off('drain', done);
+            stream.off('error', done);
+            stream.off('close', done);
+            if (error) {
+              reject(error);
+            } else {
+              resolve();
+            }
+          };
+          stream.on('drain', done);
+          stream.on('error', done);
+          stream.on('close', done);
+        });
+      }
+    } else {
+      if (this.part.size > MAX_FIELD_SIZE) {
+        throw new Meteor.Error(413, `Field "${this.part.name}" is too large`);
+      }
+      this.part.value.push(Buffer.from(data));
+    }
+  }
+
+  /**
+   * @memberOf MultipartParser
+   * @name _endPart
+   * @summary Internal method. End file's stream, or store field's value
+   * @returns {undefined}
+   */
+  _endPart() {
+    if (this.part.stream) {
+      this.part.stream.end();
+    } else if (this.part.name) {
+      this.fields[this.part.name] = Buffer.concat(this.part.value).toString('utf8');
+    }
+    this.part = null;
+  }
+}
+
+/**
+ * @private
+ * @locus Server
+ * @class MultipartHandler
+ * @param collection {FilesCollection} - FilesCollection instance
+ * @summary HTTP endpoint accepting files in single `multipart/form-data` POST request, like from HTML `<form>` or `curl -F`.
+ * Each file part is streamed to storage and goes through the same hooks as files uploaded with `insert()`.
+ * Non-file fields sent before the file are used as its `meta`, field named `meta` may hold JSON object
+ */
+class MultipartHandler {
+  constructor(collection) {
+    this.collection = collection;
+    this.route = `${collection.downloadRoute}/${collection.collectionName}/__multipart`;
+  }
+
+  /**
+   * @memberOf MultipartHandler
+   * @name handle
+   * @param {http.IncomingMessage} httpReq - Request
+   * @param {http.ServerResponse} httpResp - Response
+   * @summary Handle request to multipart endpoint, responds with JSON array of created records
+   * @returns {Promise<undefined>}
+   */
+  async handle(httpReq, httpResp) {
+    const created = [];
+    let queue = Promise.resolve();
+    let failure = null;
+    try {
+      if (httpReq.method !== 'POST') {
+        throw new Meteor.Error(405, 'Method Not Allowed');
+      }
+
+      const contentType = httpReq.headers['content-type'] || '';
+      const { boundary } = parseHeaderParams(contentType);
+      if (!contentType.toLowerCase().startsWith('multipart/form-data') || !boundary) {
+        throw new Meteor.Error(415, 'Content-Type must be multipart/form-data');
+      }
+
+      const user = this.collection._getUser({ request: httpReq, response: httpResp });
+      const rateKeys = this.collection._rateLimitKeys(httpReq, user.userId);
+      // Bytes of all files received with this request
+      const received = { bytes: 0 };
+      const parser = new MultipartParser(boundary);
+      parser.on('file', (part) => {
+        if (!part.filename) {
+          // Empty file input of HTML form
+          part.stream.resume();
+          return;
+        }
+
+        const meta = this._meta(parser.fields);
+        // Files are stored one by one, in order of parts
+        queue = queue.then(() => {
+          if (failure) {
+            part.stream.resume();
+            return void 0;
+          }
+          return this._store(part, meta, user.userId, rateKeys, received).then((fileRef) => {
+            created.push(fileRef);
+          });
+        }).catch((error) => {
+          failure = failure || error;
+          part.stream.resume();
+          parser.destroy(error);
+        });
+      });
+
+      await pipeline(httpReq, parser);
+      await queue;
+      if (failure) {
+        throw failure;
+      }
+
+      this._respond(httpResp, 201, JSON.stringify(created));
+    } catch (error) {
+      Meteor._debug('[FilesCollection] [Upload] [multipart] Exception:', error);
+      await queue;
+      // Request is handled as a whole, files stored before an error are removed
+      if (created.length) {
+        await this.collection.removeAsync({ _id: { $in: created.map((fileRef) => fileRef._id) } }).catch((removeError) => {
+          Meteor._debug('[FilesCollection] [Upload] [multipart] Can\'t remove stored files:', removeError);
+        });
+      }
+
+      const reason = failure || error;
+      const code = (reason instanceof Meteor.Error && helpers.isNumber(reason.error)) ? reason.error : 500;
+      this._respond(httpResp, code, JSON.stringify({ error: (reason instanceof Meteor.Error && reason.reason) || 'Unexpected error!' }), retryAfterHeaders(reason));
+    }
+  }
+
+  /**
+   * @memberOf MultipartHandler
+   * @name _store
+   * @param {Object} part - File part emitted by `MultipartParser`
+   * @param {Object} meta - File's meta-data
+   * @param {String} userId - Uploading user id
+   * @param {[String]|null} rateKeys - Keys of `rateLimit` counters
+   * @param {Object} received - `{bytes}` of all files received with the request
+   * @summary Internal method. Stream file part to storage and add its record to collection,
+   * each file is counted by `rateLimit` as separate upload. Part's size is unknown until it's received, so limits
+   * are checked against received bytes while part is streamed: `maxFileSize` and quota against part's bytes,
+   * free space against bytes of all files in the request
+   * @returns {Promise<Object>} - File's record
+   */
+  async _store(part, meta, userId, rateKeys, received) {
+    const collection = this.collection;
+    const opts = {
+      file: {
+        name: part.filename,
+        type: part.type,
+        // Hooks and limits on start get the smallest allowed size
+        size: collection.minFileSize || 0,
+        meta
+      },
+      fileId: Random.id(),
+      chunkSize: collection.chunkSize,
+      fileLength: 1,
+      eof: true,
+      ___s: true
+    };
+
+    const limiter = rateKeys ? collection._rateLimiter : null;
+    if (limiter) {
+      limiter.start(rateKeys, opts.fileId);
+    }
+
+    let result;
+    try {
+      ({ result } = await collection._prepareUpload(helpers.clone(opts), userId, 'multipart'));
+    } catch (error) {
+      if (limiter) {
+        limiter.release(opts.fileId);
+      }
+      throw error;
+    }
+
+    const storage = collection.storage;
+    const sniffer = collection.detectMimeType ? createMimeSniffer() : null;
+    let bytes = 0;
+    let checkedBytes = 0;
+    const counter = new Transform({
+      transform(data, encoding, callback) {
+        bytes += data.length;
+        received.bytes += data.length;
+        try {
+          if (limiter) {
+            limiter.consume(rateKeys, data.length);
+          }
+
+          if (collection.maxFileSize !== false && bytes > collection.maxFileSize) {
+            throw new Meteor.Error(413, `File is larger than ${collection.maxFileSize} bytes`, 'file-too-large');
+          }
+        } catch (error) {
+          callback(error);
+          return;
+        }
+
+        if ((bytes - checkedBytes) < collection.chunkSize) {
+          callback(null, data);
+          return;
+        }
+
+        // Quota and free space are checked once per `chunkSize` of received bytes
+        checkedBytes = bytes;
+        collection._checkQuota(result.userId, bytes)
+          .then(() => collection._checkFreeSpace(received.bytes))
+          .then(() => callback(null, data), callback);
+      }
+    });
+
+    try {
+      await pipeline(...[part.stream, counter, sniffer, storage.createWriteStream(result.path, result)].filter(Boolean));
+      const stats = await storage.stat(result.path);
+      result.size = stats.size;
+      if (sniffer) {
+        opts.file.type = result.type = collection._detectMimeType(result.type, sniffer.head);
+        result.mime = result['mime-type'] = result.type;
+      }
+
+      // Limits were checked with the smallest allowed size and declared type, check them against file's actual size and type
+      collection._checkUploadLimits(result);
+      if (helpers.isObject(result.versions) && helpers.isObject(result.versions.original)) {
+        result.versions.original.size = stats.size;
+        result.versions.original.type = result.type;
+      }
+
+      return await new Promise((resolve, reject) => {
+        collection._finishUpload(result, opts, (error, fileRef) => {
+          if (error) {
+            reject(error);
+          } else {
+            resolve(fileRef);
+          }
+        });
+      });
+    } catch (error) {
+      await storage.unlink(result.path).catch(() => {
+        // File might not be created yet
+      });
+      throw error;
+    } finally {
+      // Multipart upload has no session in `_preCollection`, it's closed once file is stored
+      if (limiter) {
+        limiter.release(opts.fileId);
+      }
+    }
+  }
+
+  /**
+   * @memberOf MultipartHandler
+   * @name _meta
+   * @param {Object} fields - Non-file fields received so far
+   * @summary Internal method. Build file's meta-data from form fields, `meta` field is parsed as JSON object
+   * @returns {Object}
+   */
+  _meta(fields) {
+    const meta = {};
+    for (const name of Object.keys(fields)) {
+      if (name === 'meta') {
+        try {
+          const parsed = JSON.parse(fields.meta);
+          if (helpers.isObject(parsed) && !helpers.isArray(parsed)) {
+            Object.assign(meta, parsed);
+            continue;
+          }
+        } catch (error) {
+          // Not a JSON, stored as string
+        }
+      }
+      meta[name] = fields[name];
+    }
+    return meta;
+  }
+
+  /**
+   * @memberOf MultipartHandler
+   * @name _respond
+   * @summary Internal method. End response with JSON body
+   * @returns {undefined}
+   */
+  _respond(httpResp, code, body, headers = {}) {
+    if (!httpResp.headersSent) {
+      httpResp.writeHead(code, Object.assign({
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store'
+      }, headers));
+    }
+
+    if (!httpResp.finished) {
+      httpResp.end(body);
+    }
+  }
+}
+
+export { MultipartHandler, MultipartParser, parseHeaderParams };
@@ -20,6 +20,9 @@ Package.onUse((api) => {
 Package.onTest((api) => {
   api.use('tinytest');
   api.use('meteortesting:mocha');
+  api.use('fetch', 'server');
+  // Client's `UploadInstance` is tested on the server
+  api.use(['reactive-var', 'tracker'], 'server');
   api.use(['ecmascript', 'ostrio:files'], ['client', 'server']);
   api.addFiles('tests/helpers.js', ['client', 'server']);
   api.mainModule('tests/server.js', 'server');
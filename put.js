@@ -0,0 +1,296 @@
+import { Meteor } from 'meteor/meteor';
+import { Random } from 'meteor/random';
+import { helpers } from './lib.js';
+import { retryAfterHeaders } from './ratelimit.js';
+
+/*
+ * @const {Function} parseContentRange - Parse `Content-Range` header: `bytes start-end/total`, or `bytes *\/total` to request upload's status
+ */
+const parseContentRange = (header) => {
+  if (!helpers.isString(header)) {
+    return null;
+  }
+
+  const match = /^bytes\s+(?:(\d+)-(\d+)|\*)\/(\d+)$/i.exec(header.trim());
+  if (!match) {
+    throw new Meteor.Error(400, 'Invalid Content-Range');
+  }
+
+  const range = { total: parseInt(match[3]) };
+  if (match[1] !== void 0) {
+    range.start = parseInt(match[1]);
+    range.end = parseInt(match[2]);
+    if (range.end < range.start || range.end >= range.total) {
+      throw new Meteor.Error(416, 'Invalid Content-Range');
+    }
+  }
+  return range;
+};
+
+/**
+ * @private
+ * @locus Server
+ * @class PutHandler
+ * @param collection {FilesCollection} - FilesCollection instance
+ * @summary HTTP endpoint receiving whole file as streaming `PUT` request body, for server-to-server and CLI clients.
+ * Received bytes are written to storage in chunks of `chunkSize`, offset of written chunks is stored in `_preCollection`,
+ * so upload interrupted by dropped connection is continued with `Content-Range` header
+ */
+class PutHandler {
+  constructor(collection) {
+    this.collection = collection;
+    this.route = `${collection.downloadRoute}/${collection.collectionName}/__put`;
+    this.locks = {};
+  }
+
+  /**
+   * @memberOf PutHandler
+   * @name handle
+   * @param {http.IncomingMessage} httpReq - Request
+   * @param {http.ServerResponse} httpResp - Response
+   * @summary Handle request to PUT endpoint. Responds with `201` and file's record when upload is finished,
+   * or with `308` and `Range` header of received bytes when request body ended before the whole file is received
+   * @returns {Promise<undefined>}
+   */
+  async handle(httpReq, httpResp) {
+    let fileId;
+    let locked = false;
+    try {
+      const range = parseContentRange(httpReq.headers['content-range']);
+      const length = parseInt(httpReq.headers['content-length']);
+      if (!range && Number.isNaN(length)) {
+        throw new Meteor.Error(411, 'Content-Length is required');
+      }
+
+      if (range && helpers.isNumber(range.start) && !Number.isNaN(length) && length !== (range.end - range.start + 1)) {
+        throw new Meteor.Error(400, 'Content-Length does not match Content-Range');
+      }
+
+      fileId = httpReq.headers['x-fileid'] ? this.collection.sanitize(httpReq.headers['x-fileid'], 20, 'a') : Random.id();
+      let session = await this.collection._preCollection.findOneAsync({ _id: fileId });
+      if (session && !helpers.isObject(session.put)) {
+        throw new Meteor.Error(409, 'Upload is started with another transport');
+      }
+
+      const user = this.collection._getUser({ request: httpReq, response: httpResp });
+      if (session && helpers.isObject(session.file) && session.file.userId && session.file.userId !== user.userId) {
+        throw new Meteor.Error(403, 'Can\'t continue upload started by another user');
+      }
+
+      if (session && session.isFinished) {
+        this._respond(httpResp, 201, fileId, { 'Content-Type': 'application/json' }, JSON.stringify(await this.collection.collection.findOneAsync(fileId)));
+        return;
+      }
+
+      if (session) {
+        // Restore upload stream, received bytes are forgotten when storage can't continue it
+        await this.collection._continueUpload(fileId);
+        session = await this.collection._preCollection.findOneAsync({ _id: fileId });
+      }
+
+      if (range && !helpers.isNumber(range.start)) {
+        // Upload's status request: `Content-Range: bytes */total`
+        if (!session) {
+          throw new Meteor.Error(404, 'Upload not found');
+        }
+        this._incomplete(httpResp, session);
+        return;
+      }
+
+      if (this.locks[fileId]) {
+        throw new Meteor.Error(409, 'Upload is locked by another request');
+      }
+      this.locks[fileId] = locked = true;
+
+      const total = range ? range.total : length;
+      const start = range ? range.start : 0;
+      if (!session) {
+        if (start !== 0) {
+          throw new Meteor.Error(404, 'Upload not found');
+        }
+        session = await this.create(fileId, httpReq, total, user.userId);
+      } else if (session.put.length !== total) {
+        throw new Meteor.Error(400, 'Content-Range does not match upload\'s length');
+      }
+
+      if (start > session.put.offset) {
+        this._incomplete(httpResp, session, 416);
+        return;
+      }
+
+      const fileRef = await this.receive(session, httpReq, start, range ? (range.end + 1) : total, user.userId);
+      if (fileRef) {
+        this._respond(httpResp, 201, fileId, { 'Content-Type': 'application/json' }, JSON.stringify(fileRef));
+      } else {
+        this._incomplete(httpResp, await this.collection._preCollection.findOneAsync({ _id: fileId }));
+      }
+    } catch (error) {
+      Meteor._debug('[FilesCollection] [Upload] [PUT] Exception:', error);
+      const code = (error instanceof Meteor.Error && helpers.isNumber(error.error)) ? error.error : 500;
+      this._respond(httpResp, code, fileId, Object.assign({ 'Content-Type': 'text/plain' }, retryAfterHeaders(error)), (error instanceof Meteor.Error && error.reason) || 'Unexpected error!');
+    } finally {
+      if (locked) {
+        delete this.locks[fileId];
+      }
+    }
+  }
+
+  /**
+   * @memberOf PutHandler
+   * @name create
+   * @param {String} fileId - Upload session id
+   * @param {http.IncomingMessage} httpReq - Request
+   * @param {Number} length - File's size
+   * @param {String} userId - Uploading user id
+   * @summary Create upload session, file's name is taken from the last segment of URL, its meta-data from JSON in `x-meta` header
+   * @returns {Promise<Object>} - Upload session
+   */
+  async create(fileId, httpReq, length, userId) {
+    const pathname = httpReq._parsedUrl.pathname;
+    let name;
+    let meta = {};
+    try {
+      name = decodeURIComponent(pathname.slice(pathname.indexOf(this.route) + this.route.length).replace(/^\/+|\/+$/g, ''));
+      if (httpReq.headers['x-meta']) {
+        meta = JSON.parse(httpReq.headers['x-meta']);
+      }
+    } catch (error) {
+      throw new Meteor.Error(400, 'Invalid file name or x-meta header');
+    }
+
+    const chunkSize = this.collection.chunkSize;
+    const opts = {
+      file: {
+        name: name || 'file',
+        type: (httpReq.headers['content-type'] || 'application/octet-stream').split(';')[0].trim(),
+        size: length,
+        meta: helpers.isObject(meta) && !helpers.isArray(meta) ? meta : {}
+      },
+      fileId,
+      chunkSize,
+      fileLength: Math.max(1, Math.ceil(length / chunkSize)),
+      ___s: true
+    };
+
+    const rateKeys = this.collection._rateLimitKeys(httpReq, userId);
+    if (rateKeys) {
+      this.collection._rateLimiter.start(rateKeys, fileId);
+    }
+
+    let result;
+    const session = helpers.omit(opts, '___s');
+    try {
+      ({ result } = await this.collection._prepareUpload(helpers.clone(opts), userId, 'PUT Start'));
+      if (await this.collection.collection.findOneAsync(result._id)) {
+        throw new Meteor.Error(400, 'Can\'t start upload, data substitution detected!');
+      }
+
+      session._id = fileId;
+      session.createdAt = new Date();
+      session.maxLength = session.fileLength;
+      session.put = { length, offset: 0 };
+      await this.collection._preCollection.insertAsync(session);
+    } catch (error) {
+      // Session which isn't saved is closed here, saved one is closed once it's removed from `_preCollection`
+      if (rateKeys) {
+        this.collection._rateLimiter.release(fileId);
+      }
+      throw error;
+    }
+    this.collection._createStream(result._id, result.path, session);
+    return session;
+  }
+
+  /**
+   * @memberOf PutHandler
+   * @name receive
+   * @param {Object} session - Upload session
+   * @param {http.IncomingMessage} httpReq - Request
+   * @param {Number} start - Offset of the first byte of request's body
+   * @param {Number} limit - Offset after the last byte allowed in request's body
+   * @param {String} userId - Uploading user id
+   * @summary Stream request's body to storage, bytes already written by previous requests are skipped.
+   * Request is rejected as soon as its body exceeds the limit
+   * @returns {Promise<Object|null>} - File's record, or `null` if request's body ended before the whole file is received
+   */
+  async receive(session, httpReq, start, limit, userId) {
+    const { chunkSize } = session;
+    const { length } = session.put;
+    let offset = session.put.offset;
+    let skip = offset - start;
+    let data = Buffer.alloc(0);
+    const rateKeys = this.collection._rateLimitKeys(httpReq, userId);
+
+    for await (const piece of httpReq) {
+      if (rateKeys) {
+        this.collection._rateLimiter.consume(rateKeys, piece.length);
+      }
+
+      let chunk = piece;
+      if (skip > 0) {
+        const skipped = Math.min(skip, chunk.length);
+        chunk = chunk.subarray(skipped);
+        skip -= skipped;
+      }
+
+      if (offset + data.length + chunk.length > limit) {
+        throw new Meteor.Error(413, 'Request body exceeds Content-Length or Content-Range');
+      }
+
+      data = Buffer.concat([data, chunk]);
+      while (data.length >= chunkSize) {
+        await this.collection._uploadChunk(session._id, (offset / chunkSize) + 1, data.subarray(0, chunkSize), userId, 'PUT');
+        data = data.subarray(chunkSize);
+        offset += chunkSize;
+        await this.collection._preCollection.updateAsync({ _id: session._id }, { $set: { 'put.offset': offset } });
+      }
+    }
+
+    if (offset + data.length < length) {
+      // Bytes of incomplete chunk are sent again with the next request
+      return null;
+    }
+
+    if (data.length || length === 0) {
+      await this.collection._uploadChunk(session._id, (offset / chunkSize) + 1, data, userId, 'PUT');
+    }
+    return this.collection._uploadChunk(session._id, void 0, void 0, userId, 'PUT', true);
+  }
+
+  /**
+   * @memberOf PutHandler
+   * @name _incomplete
+   * @param {http.ServerResponse} httpResp - Response
+   * @param {Object} session - Upload session
+   * @param {Number} code - Response code, default: `308`
+   * @summary Internal method. Respond with `Range` header of bytes written to storage
+   * @returns {undefined}
+   */
+  _incomplete(httpResp, session, code = 308) {
+    const headers = {};
+    if (session.put.offset > 0) {
+      headers.Range = `bytes=0-${session.put.offset - 1}`;
+    }
+    this._respond(httpResp, code, session._id, headers);
+  }
+
+  /**
+   * @memberOf PutHandler
+   * @name _respond
+   * @summary Internal method. End response with `x-fileid` header, so client can continue upload
+   * @returns {undefined}
+   */
+  _respond(httpResp, code, fileId, headers = {}, body) {
+    if (!httpResp.headersSent) {
+      httpResp.writeHead(code, Object.assign({
+        'Cache-Control': 'no-store'
+      }, fileId ? { 'x-fileid': fileId } : {}, headers));
+    }
+
+    if (!httpResp.finished) {
+      httpResp.end(body);
+    }
+  }
+}
+
+export { PutHandler, parseContentRange };
@@ -0,0 +1,217 @@
+import { Meteor } from 'meteor/meteor';
+import { helpers } from './lib.js';
+
+/*
+ * @const {Number} RATE_WINDOW - Length of rate limit window, ms
+ */
+const RATE_WINDOW = 60000;
+
+/*
+ * @const {Number} CONCURRENT_RETRY_AFTER - `Retry-After` when too many upload sessions are open, seconds
+ */
+const CONCURRENT_RETRY_AFTER = 10;
+
+/*
+ * @function
+ * @name getClientAddress
+ * @param {http.IncomingMessage} httpReq - Request
+ * @summary Client's IP address, `x-forwarded-for` header is trusted for `HTTP_FORWARDED_COUNT` proxies, like Meteor does for DDP connections
+ * @returns {String|null}
+ */
+const getClientAddress = (httpReq) => {
+  const forwardedCount = parseInt(process.env.HTTP_FORWARDED_COUNT) || 0;
+  if (forwardedCount === 0) {
+    return (httpReq.socket || httpReq.connection || {}).remoteAddress || null;
+  }
+
+  const forwardedFor = helpers.isString(httpReq.headers['x-forwarded-for']) ? httpReq.headers['x-forwarded-for'].split(',').map((address) => address.trim()) : [];
+  if (forwardedCount > forwardedFor.length) {
+    return null;
+  }
+  return forwardedFor[forwardedFor.length - forwardedCount];
+};
+
+/*
+ * @function
+ * @name retryAfterHeaders
+ * @param {Error} error - Error thrown while handling request
+ * @summary Response headers of error thrown by `UploadRateLimiter`, empty object for other errors
+ * @returns {Object}
+ */
+const retryAfterHeaders = (error) => {
+  if (!(error instanceof Meteor.Error) || !helpers.isNumber(error.retryAfter)) {
+    return {};
+  }
+
+  return {
+    'Retry-After': `${error.retryAfter}`,
+    'Access-Control-Expose-Headers': 'Retry-After'
+  };
+};
+
+/**
+ * @private
+ * @locus Server
+ * @class UploadRateLimiter
+ * @param limits {Object} - `rateLimit` option of FilesCollection
+ * @param limits.uploadsPerMinute {Number|Boolean} - Max amount of uploads started per minute
+ * @param limits.bytesPerMinute {Number|Boolean} - Max amount of received bytes per minute
+ * @param limits.concurrentUploads {Number|Boolean} - Max amount of unfinished upload sessions
+ * @summary In-memory rate limiter of upload transports, each limit is applied separately to user and IP address.
+ * Counters aren't shared between server instances
+ */
+class UploadRateLimiter {
+  constructor(limits) {
+    this.uploadsPerMinute = limits.uploadsPerMinute || false;
+    this.bytesPerMinute = limits.bytesPerMinute || false;
+    this.concurrentUploads = limits.concurrentUploads || false;
+    // Counters of current window: {key: {resetAt, uploads, bytes}}
+    this.windows = new Map();
+    // Open upload sessions: {key: Map(fileId)} and {fileId: [key]}
+    this.sessions = new Map();
+    this.sessionKeys = new Map();
+    this.prunedAt = Date.now();
+  }
+
+  /**
+   * @memberOf UploadRateLimiter
+   * @name keys
+   * @param {String} userId - Uploading user id
+   * @param {String} clientAddress - Client's IP address
+   * @summary Keys of counters, anonymous uploads are limited only by IP address
+   * @returns {[String]}
+   */
+  keys(userId, clientAddress) {
+    const keys = [];
+    if (userId) {
+      keys.push(`user:${userId}`);
+    }
+
+    if (clientAddress) {
+      keys.push(`ip:${clientAddress}`);
+    }
+    return keys;
+  }
+
+  /**
+   * @memberOf UploadRateLimiter
+   * @name start
+   * @param {[String]} keys - Keys returned by `keys()`
+   * @param {String} fileId - Upload session id
+   * @summary Count started upload and open its session, session is closed with `release()`
+   * @throws {Meteor.Error} 429 with `rate-limited` in `details`, seconds to wait are in its `retryAfter` property
+   * @returns {undefined}
+   */
+  start(keys, fileId) {
+    const now = Date.now();
+    for (const key of keys) {
+      const window = this._window(key, now);
+      if (this.uploadsPerMinute !== false && window.uploads >= this.uploadsPerMinute) {
+        throw this._error('Too many uploads started', Math.ceil((window.resetAt - now) / 1000));
+      }
+
+      const sessions = this.sessions.get(key);
+      if (this.concurrentUploads !== false && sessions && sessions.size >= this.concurrentUploads && !sessions.has(fileId)) {
+        throw this._error('Too many uploads in progress', CONCURRENT_RETRY_AFTER);
+      }
+    }
+
+    for (const key of keys) {
+      ++this._window(key, now).uploads;
+      if (!this.sessions.has(key)) {
+        this.sessions.set(key, new Map());
+      }
+      this.sessions.get(key).set(fileId, true);
+    }
+    this.sessionKeys.set(fileId, keys);
+  }
+
+  /**
+   * @memberOf UploadRateLimiter
+   * @name consume
+   * @param {[String]} keys - Keys returned by `keys()`
+   * @param {Number} bytes - Length of received chunk
+   * @summary Count received bytes. Chunk bigger than the limit is accepted when no other bytes were received in current window
+   * @throws {Meteor.Error} 429 with `rate-limited` in `details`, seconds to wait are in its `retryAfter` property
+   * @returns {undefined}
+   */
+  consume(keys, bytes) {
+    const now = Date.now();
+    if (this.bytesPerMinute !== false) {
+      for (const key of keys) {
+        const window = this._window(key, now);
+        if (window.bytes > 0 && (window.bytes + bytes) > this.bytesPerMinute) {
+          throw this._error('Too many bytes uploaded', Math.ceil((window.resetAt - now) / 1000));
+        }
+      }
+    }
+
+    for (const key of keys) {
+      this._window(key, now).bytes += bytes;
+    }
+  }
+
+  /**
+   * @memberOf UploadRateLimiter
+   * @name release
+   * @param {String} fileId - Upload session id
+   * @summary Close upload session when upload is finished, aborted or expired
+   * @returns {undefined}
+   */
+  release(fileId) {
+    const keys = this.sessionKeys.get(fileId);
+    if (!keys) {
+      return;
+    }
+
+    for (const key of keys) {
+      const sessions = this.sessions.get(key);
+      if (sessions) {
+        sessions.delete(fileId);
+        if (!sessions.size) {
+          this.sessions.delete(key);
+        }
+      }
+    }
+    this.sessionKeys.delete(fileId);
+  }
+
+  /**
+   * @memberOf UploadRateLimiter
+   * @name _window
+   * @summary Internal method. Counters of key's current window, expired windows are dropped once per window length
+   * @returns {Object}
+   */
+  _window(key, now) {
+    if ((now - this.prunedAt) > RATE_WINDOW) {
+      for (const [_key, window] of this.windows) {
+        if (window.resetAt <= now) {
+          this.windows.delete(_key);
+        }
+      }
+      this.prunedAt = now;
+    }
+
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { resetAt: now + RATE_WINDOW, uploads: 0, bytes: 0 };
+      this.windows.set(key, window);
+    }
+    return window;
+  }
+
+  /**
+   * @memberOf UploadRateLimiter
+   * @name _error
+   * @summary Internal method. Error understood by client's uploader. `retryAfter` isn't sent over DDP,
+   * HTTP endpoints send it in `Retry-After` header, see `retryAfterHeaders()`
+   * @returns {Meteor.Error}
+   */
+  _error(reason, retryAfter) {
+    const error = new Meteor.Error(429, `${reason}, retry in ${retryAfter} seconds`, 'rate-limited');
+    error.retryAfter = retryAfter;
+    return error;
+  }
+}
+
+export { UploadRateLimiter, getClientAddress, retryAfterHeaders };
@@ -6,16 +6,26 @@ import { Random } from 'meteor/random';
 import { Cookies } from 'meteor/ostrio:cookies';
 import { check, Match } from 'meteor/check';
 
-import WriteStream from './write-stream.js';
 import FilesCollectionCore from './core.js';
+import { StorageAdapter, FSStorage } from './storage.js';
+import { GridFSStorage } from './storage-gridfs.js';
+import { S3Storage } from './storage-s3.js';
+import { MemoryStorage } from './storage-memory.js';
 import { fixJSONParse, fixJSONStringify, helpers } from './lib.js';
+import { Checksum, ChunksChecksum, createChecksumTransform, checksumStream } from './checksum.js';
+import { SNIFF_LENGTH, detectMimeType, isMimeTypeMatch, isGenericMimeType, createMimeSniffer } from './mime.js';
+import { TusHandler } from './tus.js';
+import { MultipartHandler } from './multipart.js';
+import { PutHandler } from './put.js';
+import { UploadRateLimiter, getClientAddress, retryAfterHeaders } from './ratelimit.js';
 
 import AbortController from 'abort-controller';
 import fs from 'fs';
+import crypto from 'crypto';
 import nodeQs from 'querystring';
 import nodePath from 'path';
 // in Node.js 14, there is no promises version of stream
-import { pipeline as pipelineCallback } from 'stream';
+import { pipeline as pipelineCallback, finished, Writable } from 'stream';
 import { promisify } from 'util';
 // change to this in "loadAsync" when Meteor supports Node.js 15 upwards
 //import nodeStream from 'stream/promises';
@@ -29,6 +39,16 @@ const pipeline = promisify(pipelineCallback);
 const bound = Meteor.bindEnvironment(callback => callback());
 const noop = function noop () {};
 
+/**
+ * @const {Number} CHUNKS_FLUSH_INTERVAL - Time in ms chunks received by resumable upload are collected before they're saved to `_preCollection`
+ */
+const CHUNKS_FLUSH_INTERVAL = 1000;
+
+/**
+ * @const {Number} MAX_CHUNK_SIZE - Largest `chunkSize` client may declare on upload's start (unless collection's `chunkSize` is larger), and largest body of start and EOF HTTP requests, in bytes
+ */
+const MAX_CHUNK_SIZE = 10485760;
+
 
 /**
  * Create (ensure) index on MongoDB collection, catch and log exception if thrown
@@ -96,6 +116,8 @@ const createIndex = async (_collection, keys, opts) => {
  * @param config.permissions    {Number}  - [Server] Permissions which will be set to uploaded files (octal), like: `511` or `0o755`. Default: 0644
  * @param config.parentDirPermissions {Number}  - [Server] Permissions which will be set to parent directory of uploaded files (octal), like: `611` or `0o777`. Default: 0755
  * @param config.storagePath    {String|Function}  - [Server] Storage path on file system
+ * @param config.storage        {StorageAdapter}   - [Server] Default storage adapter, default: `FSStorage` (local file system)
+ * @param config.storages       {Object}  - [Server] Named storage adapters, used for files and versions with matching `storage` property
  * @param config.cacheControl   {String}  - [Server] Default `Cache-Control` header
  * @param config.responseHeaders {Object|Function} - [Server] Custom response headers, if function is passed, must return Object
  * @param config.throttle       {Number}  - [Server] DEPRECATED bps throttle threshold
@@ -104,12 +126,27 @@ const createIndex = async (_collection, keys, opts) => {
  * @param config.collectionName {String}  - [Both]   Collection name
  * @param config.namingFunction {Function}- [Both]   Function which returns `String`
  * @param config.integrityCheck {Boolean} - [Server] Check file's integrity before serving to users
+ * @param config.checksums      {[String]|Boolean} - [Server] Hash algorithms used to calculate checksums of file's content, stored as `checksums` on file's record and its original version; `true` for `['sha256']`. Default: `false`
+ * @param config.verifyChecksums {Boolean|Object} - [Server] Verify stored checksums before serving file, `true` or object with next properties:
+ *  - `interval` {Number} - Seconds after which successfully verified file is verified again, default: 86400 (24 hours)
+ *  - `onFailure` {String|Function} - `error` (respond `500`), `replica` (serve from `replica` storage), `quarantine` (mark file as quarantined and stop serving it) or function, default: `error`
+ *  - `replica` {String} - Name of storage from `storages`, with a copy of each file under the same path
  * @param config.onAfterUpload  {Function}- [Server] Called right after file is ready on FS. Use to transfer file somewhere else, or do other thing with file directly
  * @param config.onAfterRemove  {Function} - [Server] Called right after file is removed. Removed objects is passed to callback
  * @param config.continueUploadTTL {Number} - [Server] Time in seconds, during upload may be continued, default 3 hours (10800 seconds)
+ * @param config.reconciliation {Boolean|Object} - [Server] Periodically run `.reconcile()` to find orphaned files and broken records, `true` or object with `interval` (seconds, default: 86400) and `.reconcile()` options: `dryRun`, `removeOrphans`, `flagBroken` and `gracePeriod`
  * @param config.onBeforeUpload {Function}- [Both]   Function which executes on server after receiving each chunk and on client right before beginning upload. Function context is `File` - so you are able to check for extension, mime-type, size and etc.:
  *  - return or resolve `true` to continue
  *  - return or resolve `false` or `String` to abort upload
+ * @param config.maxFileSize    {Number|Boolean} - [Both] Max file size in bytes, `false` to disable. Checked on the client before upload, on the server before any bytes are written, and against actually received bytes. Default: `false`
+ * @param config.minFileSize    {Number|Boolean} - [Both] Min file size in bytes, `false` to disable. Default: `false`
+ * @param config.allowedExtensions {[String]|Boolean} - [Both] Allowed file extensions (case-insensitive, like `['png', 'jpg']`), `false` to allow any. Default: `false`
+ * @param config.allowedMimeTypes {[String]|Boolean} - [Both] Allowed mime-types, supports wildcards like `image/*`, `false` to allow any. Default: `false`
+ * @param config.detectMimeType {Boolean|String} - [Server] Detect file's mime-type by its first bytes (magic bytes) and store it instead of type declared by client, unless they're compatible. `'strict'` to reject files with mismatching declared type, `false` to trust declared type. Default: `true`
+ * @param config.maxFilesPerUser {Number|Boolean} - [Server] Max amount of files (including uploads in progress) per user, `false` to disable. Default: `false`
+ * @param config.quota {Object|Boolean} - [Server] Storage quotas in bytes, counting all file's versions: `{user, collection}`, each is `Number`, `false` or `function (userId) {}` returning one of them. Default: `false`
+ * @param config.diskSpace {Boolean|Object} - [Server] Reject uploads which would leave too little free space in local storage, `true` or object with `minFree` (bytes which must stay free, default: 104857600) and `interval` (seconds free space is cached between checks, default: 60). Upload is rejected with `507` before any bytes are written. Default: `false`
+ * @param config.rateLimit {Object|Boolean} - [Server] Limit uploads over DDP and HTTP per user and per IP address: `{uploadsPerMinute, bytesPerMinute, concurrentUploads}`, each is `Number` or `false`. Exceeding request is rejected with `429`. Default: `false`
  * @param config.getUser        {Function} - [Server] Replace default way of recognizing user, usefull when you want to auth user based on custom cookie (or other way). arguments {http: {request: {...}, response: {...}}}, need to return {userId: String, user: Function}
  * @param config.onInitiateUpload {Function} - [Server] Function which executes on server right before upload is begin and right after `onBeforeUpload` hook. This hook is fully asynchronous.
  * @param config.onBeforeRemove {Function} - [Server] Executes before removing file on server, so you can check permissions. Return `true` to allow action and `false` to deny.
@@ -118,6 +155,9 @@ const createIndex = async (_collection, keys, opts) => {
  * @param config.interceptRequest {Function} - [Server] Intercept incoming HTTP request, so you can whatever you want, no checks or preprocessing, arguments {http: {request: {...}, response: {...}}, params: {...}}
  * @param config.interceptDownload {Function} - [Server] Intercept download request, so you can serve file from third-party resource, arguments {http: {request: {...}, response: {...}}, fileRef: {...}}
  * @param config.disableUpload {Boolean} - Disable file upload, useful for server only solutions
+ * @param config.tus {Boolean} - [Server] Enable tus 1.0.0 resumable upload protocol endpoint at `${downloadRoute}/${collectionName}/__tus`, default: `false`
+ * @param config.multipart {Boolean} - [Server] Enable `multipart/form-data` upload endpoint at `${downloadRoute}/${collectionName}/__multipart`, default: `false`
+ * @param config.put {Boolean} - [Server] Enable streaming `PUT` upload endpoint with `Content-Range` resume at `${downloadRoute}/${collectionName}/__put/<fileName>`, default: `false`
  * @param config.disableDownload {Boolean} - Disable file download (serving), useful for file management only solutions
  * @param config.allowedOrigins  {Regex|Boolean}  - [Server]   Regex of Origins that are allowed CORS access or `false` to disable completely. Defaults to `/^http:\/\/localhost:12[0-9]{3}$/` for allowing Meteor-Cordova builds access
  * @param config.allowQueryStringCookies {Boolean} - Allow passing Cookies in a query string (in URL). Primary should be used only in Cordova environment. Note: this option will be used only on Cordova. Default: `false`
@@ -135,22 +175,31 @@ class FilesCollection extends FilesCollectionCore {
         _preCollection: this._preCollection,
         _preCollectionName: this._preCollectionName,
         allowClientCode: this.allowClientCode,
+        allowedExtensions: this.allowedExtensions,
+        allowedMimeTypes: this.allowedMimeTypes,
         allowedOrigins: this.allowedOrigins,
         allowQueryStringCookies: this.allowQueryStringCookies,
         cacheControl: this.cacheControl,
+        checksums: this.checksums,
         chunkSize: this.chunkSize,
         collection: this.collection,
         collectionName: this.collectionName,
         continueUploadTTL: this.continueUploadTTL,
         debug: this.debug,
+        detectMimeType: this.detectMimeType,
         disableDownload: this.disableDownload,
         disableUpload: this.disableUpload,
+        diskSpace: this.diskSpace,
         downloadCallback: this.downloadCallback,
         downloadRoute: this.downloadRoute,
         getUser: this.getUser,
         integrityCheck: this.integrityCheck,
         interceptDownload: this.interceptDownload,
         interceptRequest: this.interceptRequest,
+        maxFileSize: this.maxFileSize,
+        maxFilesPerUser: this.maxFilesPerUser,
+        minFileSize: this.minFileSize,
+        multipart: this.multipart,
         namingFunction: this.namingFunction,
         onAfterRemove: this.onAfterRemove,
         onAfterUpload: this.onAfterUpload,
@@ -161,11 +210,19 @@ class FilesCollection extends FilesCollectionCore {
         permissions: this.permissions,
         protected: this.protected,
         public: this.public,
+        put: this.put,
+        quota: this.quota,
+        rateLimit: this.rateLimit,
+        reconciliation: this.reconciliation,
         responseHeaders: this.responseHeaders,
         sanitize: this.sanitize,
         schema: this.schema,
+        storage: this.storage,
         storagePath,
+        storages: this.storages,
         strict: this.strict,
+        tus: this.tus,
+        verifyChecksums: this.verifyChecksums,
       } = config);
     }
 
@@ -268,6 +325,43 @@ class FilesCollection extends FilesCollectionCore {
       this.disableUpload = false;
     }
 
+    if (!helpers.isBoolean(this.tus)) {
+      this.tus = false;
+    }
+
+    if (!helpers.isBoolean(this.multipart)) {
+      this.multipart = false;
+    }
+
+    if (!helpers.isBoolean(this.put)) {
+      this.put = false;
+    }
+
+    if (this.detectMimeType !== 'strict' && !helpers.isBoolean(this.detectMimeType)) {
+      this.detectMimeType = true;
+    }
+
+    if (!helpers.isObject(this.rateLimit)) {
+      this.rateLimit = false;
+    }
+
+    if (!helpers.isObject(this.quota)) {
+      this.quota = false;
+    }
+
+    if (this.diskSpace === true) {
+      this.diskSpace = {};
+    }
+
+    if (helpers.isObject(this.diskSpace)) {
+      this.diskSpace = Object.assign({
+        minFree: 104857600,
+        interval: 60
+      }, this.diskSpace);
+    } else {
+      this.diskSpace = false;
+    }
+
     if (!helpers.isFunction(this.onAfterRemove)) {
       this.onAfterRemove = false;
     }
@@ -280,6 +374,43 @@ class FilesCollection extends FilesCollectionCore {
       this.integrityCheck = true;
     }
 
+    if (this.verifyChecksums === true) {
+      this.verifyChecksums = {};
+    }
+
+    if (helpers.isObject(this.verifyChecksums)) {
+      this.verifyChecksums = Object.assign({
+        interval: 86400,
+        onFailure: 'error'
+      }, this.verifyChecksums);
+    } else {
+      this.verifyChecksums = false;
+    }
+
+    if (this.reconciliation === true) {
+      this.reconciliation = {};
+    }
+
+    if (helpers.isObject(this.reconciliation)) {
+      this.reconciliation = Object.assign({
+        interval: 86400
+      }, this.reconciliation);
+    } else {
+      this.reconciliation = false;
+    }
+
+    if (!helpers.isObject(this._verifications)) {
+      this._verifications = {};
+    }
+
+    if (this.checksums === true) {
+      this.checksums = ['sha256'];
+    } else if (helpers.isString(this.checksums)) {
+      this.checksums = [this.checksums];
+    } else if (!helpers.isArray(this.checksums) || !this.checksums.length) {
+      this.checksums = false;
+    }
+
     if (!helpers.isBoolean(this.disableDownload)) {
       this.disableDownload = false;
     }
@@ -292,6 +423,15 @@ class FilesCollection extends FilesCollectionCore {
       this._currentUploads = {};
     }
 
+    if (!helpers.isObject(this._currentChecksums)) {
+      this._currentChecksums = {};
+    }
+
+    // Chunks received by resumable uploads, not saved to `_preCollection` yet: {fileId: {chunks, timer}}
+    if (!helpers.isObject(this._receivedChunks)) {
+      this._receivedChunks = {};
+    }
+
     if (!helpers.isFunction(this.downloadCallback)) {
       this.downloadCallback = false;
     }
@@ -354,17 +494,34 @@ class FilesCollection extends FilesCollectionCore {
 
     this._debug('[FilesCollection.storagePath] Set to:', this.storagePath({}));
 
-    try {
-      fs.mkdirSync(this.storagePath({}), {
-        mode: this.parentDirPermissions,
-        recursive: true
+    if (!this.storage) {
+      this.storage = new FSStorage({
+        permissions: this.permissions,
+        parentDirPermissions: this.parentDirPermissions
       });
+    }
+
+    if (!helpers.isObject(this.storages)) {
+      this.storages = {};
+    }
+
+    check(this.storage, StorageAdapter);
+    for (const name in this.storages) {
+      if (helpers.has(this.storages, name)) {
+        check(this.storages[name], StorageAdapter);
+      }
+    }
+    this.storages[this.storage.name] = this.storage;
+
+    try {
+      this.storage.ensureDirectory(this.storagePath({}));
     } catch (error) {
       if (error) {
         throw new Meteor.Error(401, `[FilesCollection.${self.collectionName}] Path "${this.storagePath({})}" is not writable!`, error);
       }
     }
 
+    this._initUploadLimits();
     check(this.strict, Boolean);
     check(this.permissions, Number);
     check(this.storagePath, Function);
@@ -372,17 +529,73 @@ class FilesCollection extends FilesCollectionCore {
     check(this.onAfterRemove, Match.OneOf(false, Function));
     check(this.onAfterUpload, Match.OneOf(false, Function));
     check(this.disableUpload, Boolean);
+    check(this.tus, Boolean);
+    check(this.multipart, Boolean);
+    check(this.put, Boolean);
+    check(this.detectMimeType, Match.OneOf(Boolean, 'strict'));
+    check(this.rateLimit, Match.OneOf(false, {
+      uploadsPerMinute: Match.Optional(Match.OneOf(false, Number)),
+      bytesPerMinute: Match.Optional(Match.OneOf(false, Number)),
+      concurrentUploads: Match.Optional(Match.OneOf(false, Number))
+    }));
+    check(this.quota, Match.OneOf(false, {
+      user: Match.Optional(Match.OneOf(false, Number, Function)),
+      collection: Match.Optional(Match.OneOf(false, Number, Function))
+    }));
+    check(this.diskSpace, Match.OneOf(false, {
+      minFree: Number,
+      interval: Number
+    }));
     check(this.integrityCheck, Boolean);
+    check(this.checksums, Match.OneOf(false, [String]));
+    check(this.verifyChecksums, Match.OneOf(false, {
+      interval: Number,
+      onFailure: Match.OneOf('error', 'replica', 'quarantine', Function),
+      replica: Match.Optional(String)
+    }));
+
+    if (this.verifyChecksums && this.verifyChecksums.onFailure === 'replica' && !this.storages[this.verifyChecksums.replica]) {
+      throw new Meteor.Error(500, `[FilesCollection.${self.collectionName}] "verifyChecksums.replica" must be a name of storage passed in "storages"`);
+    }
     check(this.onBeforeRemove, Match.OneOf(false, Function));
     check(this.disableDownload, Boolean);
     check(this.downloadCallback, Match.OneOf(false, Function));
     check(this.interceptRequest, Match.OneOf(false, Function));
     check(this.interceptDownload, Match.OneOf(false, Function));
     check(this.continueUploadTTL, Number);
+    check(this.reconciliation, Match.OneOf(false, {
+      interval: Number,
+      dryRun: Match.Optional(Boolean),
+      removeOrphans: Match.Optional(Boolean),
+      flagBroken: Match.Optional(Boolean),
+      gracePeriod: Match.Optional(Number)
+    }));
     check(this.responseHeaders, Match.OneOf(Object, Function));
     check(this.allowedOrigins, Match.OneOf(Boolean, RegExp));
     check(this.allowQueryStringCookies, Boolean);
 
+    if (this.checksums) {
+      const supportedHashes = crypto.getHashes();
+      for (const algorithm of this.checksums) {
+        if (!supportedHashes.includes(algorithm)) {
+          throw new Meteor.Error(500, `[FilesCollection.${self.collectionName}] Checksum algorithm "${algorithm}" is not supported`);
+        }
+      }
+    }
+
+    if (this.reconciliation) {
+      const { interval, ...reconcileOpts } = this.reconciliation;
+      this._reconciliationTimer = Meteor.setInterval(() => {
+        this.reconcile(reconcileOpts).catch((reconcileErr) => {
+          Meteor._debug(`[FilesCollection.${self.collectionName}] [reconciliation] [Error:]`, reconcileErr);
+        });
+      }, interval * 1000);
+    }
+
+    // Last known free space of default storage: `{free, checkedAt}`, it's read again when upload
+    // is started more than `diskSpace.interval` seconds after the last check
+    this._diskStatus = { free: null, checkedAt: null };
+
     this._cookies = new Cookies({
       allowQueryStringCookies: this.allowQueryStringCookies,
       allowedCordovaOrigins: this.allowedOrigins
@@ -419,6 +632,10 @@ class FilesCollection extends FilesCollectionCore {
           // Free memory after upload is done
           // Or if upload is unfinished
           self._debug(`[FilesCollection] [_preCollectionCursor.observe] [removed]: ${doc._id}`);
+          if (self._rateLimiter) {
+            self._rateLimiter.release(doc._id);
+          }
+
           if (helpers.isObject(self._currentUploads[doc._id])) {
             self._currentUploads[doc._id].stop();
             self._currentUploads[doc._id].end();
@@ -432,11 +649,35 @@ class FilesCollection extends FilesCollectionCore {
 
             delete self._currentUploads[doc._id];
           }
+          delete self._currentChecksums[doc._id];
+          self._dropReceivedChunks(doc._id);
         }
       });
 
       this._createStream = (_id, path, opts) => {
-        this._currentUploads[_id] = new WriteStream(path, opts.fileLength, opts, this.permissions);
+        this._currentUploads[_id] = this.storage.createUploadStream(path, opts);
+        if (this.checksums) {
+          this._currentChecksums[_id] = new ChunksChecksum(this.checksums);
+        }
+      };
+
+      // Upload streams of storages without `resumableUploads` keep received chunks in memory,
+      // new stream starts from scratch, so received chunks and offsets are forgotten and client sends all chunks again
+      const resetProgress = async (session) => {
+        if (this.storage.resumableUploads || session.isFinished) {
+          return;
+        }
+
+        const modifier = { $unset: { chunks: '' } };
+        for (const transport of ['tus', 'put']) {
+          if (helpers.isObject(session[transport])) {
+            session[transport].offset = 0;
+            modifier.$set = Object.assign(modifier.$set || {}, { [`${transport}.offset`]: 0 });
+          }
+        }
+        delete session.chunks;
+        this._dropReceivedChunks(session._id);
+        await this._preCollection.updateAsync({ _id: session._id }, modifier);
       };
 
       // This little function allows to continue upload
@@ -446,11 +687,13 @@ class FilesCollection extends FilesCollectionCore {
           if (!this._currentUploads[_id].aborted && !this._currentUploads[_id].ended) {
             return this._currentUploads[_id].file;
           }
+          await resetProgress(this._currentUploads[_id].file);
           this._createStream(_id, this._currentUploads[_id].file.file.path, this._currentUploads[_id].file);
           return this._currentUploads[_id].file;
         }
         const contUpld = await this._preCollection.findOneAsync({_id});
         if (contUpld) {
+          await resetProgress(contUpld);
           this._createStream(_id, contUpld.file.path, contUpld);
           return this._currentUploads[_id].file;
         }
@@ -523,12 +766,20 @@ class FilesCollection extends FilesCollectionCore {
       _Abort: `_FilesCollectionAbort_${this.collectionName}`,
       _Write: `_FilesCollectionWrite_${this.collectionName}`,
       _Start: `_FilesCollectionStart_${this.collectionName}`,
-      _Remove: `_FilesCollectionRemove_${this.collectionName}`
+      _Remove: `_FilesCollectionRemove_${this.collectionName}`,
+      _Resume: `_FilesCollectionResume_${this.collectionName}`,
+      _Usage: `_FilesCollectionUsage_${this.collectionName}`
     };
 
     this.on('_handleUpload', this._handleUpload);
     this.on('_finishUpload', this._finishUpload);
     this._handleUploadSync = Meteor.wrapAsync(this._handleUpload.bind(this));
+    this._tus = (this.tus && !this.disableUpload) ? new TusHandler(this) : null;
+    this._multipart = (this.multipart && !this.disableUpload) ? new MultipartHandler(this) : null;
+    this._put = (this.put && !this.disableUpload) ? new PutHandler(this) : null;
+    this._rateLimiter = (this.rateLimit && !this.disableUpload) ? new UploadRateLimiter(this.rateLimit) : null;
+    // Bytes used by each user and by whole collection: `{_id: 'user:<userId>'|'collection', used}`
+    this._quotaCollection = this.quota ? new Mongo.Collection(`__quota_${this.collectionName}`) : null;
 
     if (this.disableUpload && this.disableDownload) {
       return;
@@ -540,9 +791,9 @@ class FilesCollection extends FilesCollectionCore {
           httpResp.setHeader('Access-Control-Allow-Origin', httpReq.headers.origin);
         }
 
-        if (httpReq.method === 'OPTIONS') {
+        if (httpReq.method === 'OPTIONS' && !(this._tus && httpReq._parsedUrl.pathname.includes(this._tus.route))) {
           httpResp.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-          httpResp.setHeader('Access-Control-Allow-Headers', 'Range, Content-Type, x-mtok, x-start, x-chunkid, x-fileid, x-eof');
+          httpResp.setHeader('Access-Control-Allow-Headers', 'Range, Content-Type, x-mtok, x-start, x-chunkid, x-fileid, x-eof, x-checksum');
           httpResp.setHeader('Access-Control-Expose-Headers', 'Accept-Ranges, Content-Encoding, Content-Length, Content-Range');
           httpResp.setHeader('Allow', 'GET, POST, OPTIONS');
           httpResp.writeHead(200);
@@ -551,6 +802,21 @@ class FilesCollection extends FilesCollectionCore {
         }
       }
 
+      if (this._tus && httpReq._parsedUrl.pathname.includes(this._tus.route)) {
+        await this._tus.handle(httpReq, httpResp);
+        return;
+      }
+
+      if (this._multipart && httpReq._parsedUrl.pathname.includes(this._multipart.route) && httpReq.method === 'POST') {
+        await this._multipart.handle(httpReq, httpResp);
+        return;
+      }
+
+      if (this._put && httpReq._parsedUrl.pathname.includes(this._put.route) && httpReq.method === 'PUT') {
+        await this._put.handle(httpReq, httpResp);
+        return;
+      }
+
       if (!this.disableUpload && httpReq._parsedUrl.path.includes(`${this.downloadRoute}/${this.collectionName}/__upload`)) {
         if (httpReq.method !== 'POST') {
           next();
@@ -560,12 +826,16 @@ class FilesCollection extends FilesCollectionCore {
         const handleError = (_error) => {
           let error = _error;
           Meteor._debug('[FilesCollection] [Upload] [HTTP] Exception:', error);
+          const isMeteorError = error instanceof Meteor.Error && helpers.isNumber(error.error);
 
           if (!httpResp.headersSent) {
-            httpResp.writeHead(500);
+            // Rate limited request is sent with `Retry-After` header
+            httpResp.writeHead(isMeteorError ? error.error : 500, retryAfterHeaders(error));
           }
 
           if (!httpResp.finished) {
+            // `reason` and `details` let client re-create Meteor.Error, like upload limits' codes
+            const extra = isMeteorError ? { reason: error.reason, details: error.details } : {};
             if (helpers.isObject(error) && helpers.isFunction(error.toString)) {
               error = error.toString();
             }
@@ -574,16 +844,21 @@ class FilesCollection extends FilesCollectionCore {
               error = 'Unexpected error!';
             }
 
-            httpResp.end(JSON.stringify({ error }));
+            httpResp.end(JSON.stringify(Object.assign({ error }, extra)));
           }
         };
 
+        // Chunks sent as `application/octet-stream` are written as-is, without base64 decoding
+        const isBinary = httpReq.headers['content-type'] === 'application/octet-stream';
+        const binary = [];
         let body = '';
         const handleData = async () => {
+          let reserved = null;
           try {
             let opts;
             let result;
             let user = this._getUser({request: httpReq, response: httpResp});
+            const rateKeys = this._rateLimitKeys(httpReq, user.userId);
 
             if (httpReq.headers['x-start'] !== '1') {
               // CHUNK UPLOAD SCENARIO:
@@ -594,8 +869,11 @@ class FilesCollection extends FilesCollectionCore {
               if (httpReq.headers['x-eof'] === '1') {
                 opts.eof = true;
               } else {
-                opts.binData = Buffer.from(body, 'base64');
+                opts.binData = isBinary ? Buffer.concat(binary) : Buffer.from(body, 'base64');
                 opts.chunkId = parseInt(httpReq.headers['x-chunkid']);
+                if (httpReq.headers['x-checksum']) {
+                  opts.checksum = httpReq.headers['x-checksum'];
+                }
               }
 
               const _continueUpload = await this._continueUpload(opts.fileId);
@@ -603,6 +881,21 @@ class FilesCollection extends FilesCollectionCore {
                 throw new Meteor.Error(408, 'Can\'t continue upload, session expired. Start upload again.');
               }
 
+              if (rateKeys && opts.binData) {
+                this._rateLimiter.consume(rateKeys, opts.binData.length);
+              }
+
+              const rejected = this._verifyChunk(opts);
+              if (rejected) {
+                if (!httpResp.headersSent) {
+                  httpResp.writeHead(422, { 'Content-Type': 'application/json' });
+                }
+                if (!httpResp.finished) {
+                  httpResp.end(JSON.stringify(rejected));
+                }
+                return;
+              }
+
               ({result, opts} = await this._prepareUpload(Object.assign(opts, _continueUpload), user.userId, 'HTTP'));
 
               if (opts.eof) {
@@ -667,11 +960,20 @@ class FilesCollection extends FilesCollectionCore {
                 opts.fileId = this.sanitize(opts.fileId, 20, 'a');
               }
 
+              if (opts.resumable !== void 0) {
+                opts.resumable = opts.resumable === true;
+              }
+
               this._debug(`[FilesCollection] [File Start HTTP] ${opts.file.name || '[no-name]'} - ${opts.fileId}`);
               if (helpers.isObject(opts.file) && opts.file.meta) {
                 opts.file.meta = fixJSONParse(opts.file.meta);
               }
 
+              if (rateKeys) {
+                this._rateLimiter.start(rateKeys, opts.fileId);
+                reserved = opts.fileId;
+              }
+
               opts.___s = true;
               ({result} = await this._prepareUpload(helpers.clone(opts), user.userId, 'HTTP Start Method'));
 
@@ -687,6 +989,8 @@ class FilesCollection extends FilesCollectionCore {
               opts.maxLength = opts.fileLength;
 
               await this._preCollection.insertAsync(helpers.omit(opts, '___s'));
+              // From now on session is closed when its record is removed from `_preCollection`
+              reserved = null;
               this._createStream(result._id, result.path, helpers.omit(opts, '___s'));
 
               if (opts.returnMeta) {
@@ -702,7 +1006,10 @@ class FilesCollection extends FilesCollectionCore {
                 }
               } else {
                 if (!httpResp.headersSent) {
-                  httpResp.writeHead(204);
+                  httpResp.writeHead(204, {
+                    'x-binary-chunks': '1',
+                    'Access-Control-Expose-Headers': 'x-binary-chunks'
+                  });
                 }
 
                 if (!httpResp.finished) {
@@ -711,20 +1018,70 @@ class FilesCollection extends FilesCollectionCore {
               }
             }
           } catch (httpRespErr) {
+            if (reserved) {
+              this._rateLimiter.release(reserved);
+            }
             handleError(httpRespErr);
           }
         };
 
         httpReq.setTimeout(20000, handleError);
-        if (typeof httpReq.body === 'object' && Object.keys(httpReq.body).length !== 0) {
+        if (isBinary && Buffer.isBuffer(httpReq.body)) {
+          binary.push(httpReq.body);
+          handleData();
+        } else if (typeof httpReq.body === 'object' && Object.keys(httpReq.body).length !== 0) {
           body = JSON.stringify(httpReq.body);
           handleData();
         } else {
+          // Chunk's body is kept in memory until it's received, it can't exceed upload's `chunkSize`
+          let limit = MAX_CHUNK_SIZE;
+          if (httpReq.headers['x-start'] !== '1' && httpReq.headers['x-eof'] !== '1') {
+            let session;
+            try {
+              session = await this._preCollection.findOneAsync({ _id: this.sanitize(httpReq.headers['x-fileid'], 20, 'a') }, { fields: { chunkSize: 1 } });
+            } catch (findError) {
+              handleError(findError);
+              return;
+            }
+
+            if (!session) {
+              // Upload's session is expired, no need to receive its chunk
+              handleData();
+              return;
+            }
+            const maxChunkSize = Math.max(MAX_CHUNK_SIZE, this.chunkSize);
+            const chunkSize = (helpers.isNumber(session.chunkSize) && session.chunkSize > 0) ? Math.min(session.chunkSize, maxChunkSize) : maxChunkSize;
+            limit = isBinary ? chunkSize : (Math.ceil(chunkSize / 3) * 4);
+          }
+
+          const tooLarge = () => new Meteor.Error(413, `Chunk exceeds upload's chunk size of ${limit} bytes`, 'chunk-too-large');
+          if (parseInt(httpReq.headers['content-length']) > limit) {
+            handleError(tooLarge());
+            return;
+          }
+
+          let received = 0;
           httpReq.on('data', (data) => bound(() => {
-            body += data;
+            received += data.length;
+            if (received > limit) {
+              // Rest of the body is drained without buffering, error is sent when request is ended
+              binary.length = 0;
+              body = '';
+              return;
+            }
+
+            if (isBinary) {
+              binary.push(data);
+            } else {
+              body += data;
+            }
           }));
 
           httpReq.on('end', () => bound(() => {
+            if (received > limit) {
+              handleError(tooLarge());
+              return;
+            }
             handleData();
           }));
         }
@@ -859,7 +1216,8 @@ class FilesCollection extends FilesCollectionCore {
           fileId: String,
           FSName: Match.Optional(String),
           chunkSize: Number,
-          fileLength: Number
+          fileLength: Number,
+          resumable: Match.Optional(Boolean)
         });
 
         check(returnMeta, Match.Optional(Boolean));
@@ -867,11 +1225,23 @@ class FilesCollection extends FilesCollectionCore {
         opts.fileId = self.sanitize(opts.fileId, 20, 'a');
 
         self._debug(`[FilesCollection] [File Start Method] ${opts.file.name} - ${opts.fileId}`);
-        opts.___s = true;
-        const { result } = await self._prepareUpload(helpers.clone(opts), this.userId, 'DDP Start Method');
+        if (self._rateLimiter) {
+          self._rateLimiter.start(self._rateLimiter.keys(this.userId, this.connection && this.connection.clientAddress), opts.fileId);
+        }
+
+        let result;
+        try {
+          opts.___s = true;
+          ({ result } = await self._prepareUpload(helpers.clone(opts), this.userId, 'DDP Start Method'));
 
-        if (await self.collection.findOneAsync(result._id)) {
-          throw new Meteor.Error(400, 'Can\'t start upload, data substitution detected!');
+          if (await self.collection.findOneAsync(result._id)) {
+            throw new Meteor.Error(400, 'Can\'t start upload, data substitution detected!');
+          }
+        } catch (error) {
+          if (self._rateLimiter) {
+            self._rateLimiter.release(opts.fileId);
+          }
+          throw error;
         }
 
         opts._id = opts.fileId;
@@ -882,6 +1252,9 @@ class FilesCollection extends FilesCollectionCore {
           self._createStream(result._id, result.path, helpers.omit(opts, '___s'));
         } catch (e) {
           self._debug(`[FilesCollection] [File Start Method] [EXCEPTION:] ${opts.file.name} - ${opts.fileId}`, e);
+          if (self._rateLimiter) {
+            self._rateLimiter.release(opts.fileId);
+          }
           throw new Meteor.Error(500, 'Can\'t start');
         }
 
@@ -904,14 +1277,18 @@ class FilesCollection extends FilesCollectionCore {
         check(opts, {
           eof: Match.Optional(Boolean),
           fileId: String,
-          binData: Match.Optional(String),
-          chunkId: Match.Optional(Number)
+          binData: Match.Optional(Match.Where((binData) => helpers.isString(binData) || helpers.isUint8Array(binData))),
+          chunkId: Match.Optional(Number),
+          checksum: Match.Optional(String)
         });
 
         opts.fileId = self.sanitize(opts.fileId, 20, 'a');
 
-        if (opts.binData) {
+        if (helpers.isString(opts.binData)) {
           opts.binData = Buffer.from(opts.binData, 'base64');
+        } else if (opts.binData) {
+          // EJSON binary chunk, wrap it without copying
+          opts.binData = Buffer.from(opts.binData.buffer, opts.binData.byteOffset, opts.binData.byteLength);
         }
 
         const _continueUpload = await self._continueUpload(opts.fileId);
@@ -919,6 +1296,15 @@ class FilesCollection extends FilesCollectionCore {
           throw new Meteor.Error(408, 'Can\'t continue upload, session expired. Start upload again.');
         }
 
+        if (self._rateLimiter && opts.binData) {
+          self._rateLimiter.consume(self._rateLimiter.keys(this.userId, this.connection && this.connection.clientAddress), opts.binData.length);
+        }
+
+        const rejected = self._verifyChunk(opts);
+        if (rejected) {
+          return rejected;
+        }
+
         ({result, opts} = await self._prepareUpload(Object.assign(opts, _continueUpload), this.userId, 'DDP'));
 
         if (opts.eof) {
@@ -935,6 +1321,44 @@ class FilesCollection extends FilesCollectionCore {
         return true;
       };
 
+      // Method used to resume upload after page reload,
+      // returns chunks already received by the server
+      _methods[this._methodNames._Resume] = async function (_id) {
+        check(_id, String);
+
+        const sessionId = self.sanitize(_id, 20, 'a');
+        let session = await self._preCollection.findOneAsync({ _id: sessionId });
+        if (!session || session.isFinished) {
+          return false;
+        }
+
+        if (helpers.isObject(session.file) && session.file.userId && session.file.userId !== this.userId) {
+          throw new Meteor.Error(403, 'Can\'t resume upload started by another user');
+        }
+
+        // Restore upload stream, received chunks are forgotten when storage can't continue it
+        await self._continueUpload(sessionId);
+        session = await self._preCollection.findOneAsync({ _id: sessionId });
+        if (!session) {
+          return false;
+        }
+
+        const chunks = session.chunks || [];
+        if (self._receivedChunks[sessionId]) {
+          for (const chunkId of self._receivedChunks[sessionId].chunks) {
+            if (!chunks.includes(chunkId)) {
+              chunks.push(chunkId);
+            }
+          }
+        }
+
+        return {
+          chunkSize: session.chunkSize,
+          fileLength: session.fileLength,
+          chunks
+        };
+      };
+
       // Method used to Abort upload
       // - Freeing memory by ending writableStreams
       // - Removing temporary record from @_preCollection
@@ -964,119 +1388,585 @@ class FilesCollection extends FilesCollectionCore {
       };
 
       Meteor.methods(_methods);
+
+      // Usage of current user's quota, used by `usage()` on the Client
+      Meteor.publish(this._methodNames._Usage, async function () {
+        if (!self.quota || !this.userId) {
+          this.ready();
+          return;
+        }
+
+        const name = self._quotaCollection._name;
+        const { limit } = await self.getUsage(this.userId);
+        const handle = await self._quotaCollection.find({ _id: `user:${this.userId}` }).observeChanges({
+          added: (id, fields) => {
+            this.added(name, id, { used: Math.max(0, fields.used || 0), limit });
+          },
+          changed: (id, fields) => {
+            if (helpers.isNumber(fields.used)) {
+              this.changed(name, id, { used: Math.max(0, fields.used) });
+            }
+          },
+          removed: (id) => {
+            this.removed(name, id);
+          }
+        });
+
+        this.onStop(() => handle.stop());
+        this.ready();
+      });
     }
   }
 
   /**
    * @locus Server
    * @memberOf FilesCollection
-   * @name _prepareUpload
-   * @summary Internal method. Used to optimize received data and check upload permission
-   * @returns {Promise<Object>}
+   * @name _checkFilesPerUser
+   * @param {String} userId - Uploading user id
+   * @summary Internal method. Check `maxFilesPerUser` limit, counting stored files and uploads in progress. Anonymous uploads aren't limited
+   * @throws {Meteor.Error} 403 with `too-many-files` code in `details`
+   * @returns {Promise<void>}
    */
-  async _prepareUpload(opts = {}, userId, transport) {
-    let ctx;
-    if (!helpers.isBoolean(opts.eof)) {
-      opts.eof = false;
+  async _checkFilesPerUser(userId) {
+    if (this.maxFilesPerUser === false || !userId) {
+      return;
     }
 
-    if (!opts.binData) {
-      opts.binData = 'EOF';
+    const files = await this.collection.find({ userId }).countAsync();
+    const uploads = await this._preCollection.find({ 'file.userId': userId, isFinished: { $ne: true } }).countAsync();
+    if ((files + uploads) >= this.maxFilesPerUser) {
+      throw new Meteor.Error(403, `Can't upload more than ${this.maxFilesPerUser} files`, 'too-many-files');
     }
+  }
 
-    if (!helpers.isNumber(opts.chunkId)) {
-      opts.chunkId = -1;
+  /**
+   * @locus Server
+   * @memberOf FilesCollection
+   * @name _fileBytes
+   * @param {Object} fileRef - fileObj
+   * @param {String} version - [Optional] file's version, all versions by default
+   * @summary Internal method. Bytes taken in storage by file's version, or by all its versions
+   * @returns {Number}
+   */
+  _fileBytes(fileRef, version) {
+    if (!helpers.isObject(fileRef)) {
+      return 0;
     }
 
-    if (!helpers.isString(opts.FSName)) {
-      opts.FSName = opts.fileId;
+    if (!helpers.isObject(fileRef.versions)) {
+      return ((!version || version === 'original') && helpers.isNumber(fileRef.size)) ? fileRef.size : 0;
     }
 
-    this._debug(`[FilesCollection] [Upload] [${transport}] Got #${opts.chunkId}/${opts.fileLength} chunks, dst: ${opts.file.name || opts.file.fileName}`);
-
-    const fileName = this._getFileName(opts.file);
-    const {extension, extensionWithDot} = this._getExt(fileName);
-
-    if (!helpers.isObject(opts.file.meta)) {
-      opts.file.meta = {};
+    let bytes = 0;
+    for (const vKey of Object.keys(fileRef.versions)) {
+      const vRef = fileRef.versions[vKey];
+      if ((!version || vKey === version) && helpers.isObject(vRef) && helpers.isNumber(vRef.size)) {
+        bytes += vRef.size;
+      }
     }
+    return bytes;
+  }
 
-    let result = opts.file;
-    result.name = fileName;
-    result.meta = opts.file.meta;
-    result.extension = extension;
-    result.ext = extension;
-    result._id = opts.fileId;
-    result.userId = userId || null;
-    opts.FSName = this.sanitize(opts.FSName);
-
-    if (this.namingFunction) {
-      opts.FSName = this.namingFunction(opts);
+  /**
+   * @locus Server
+   * @memberOf FilesCollection
+   * @name _versionsBytes
+   * @param {Object} fileRef - fileObj
+   * @summary Internal method. Bytes of each file's version, stored in `_quotaBytes` of file's record when file is counted in usage
+   * @returns {Object} - `{version: bytes}`
+   */
+  _versionsBytes(fileRef) {
+    const bytes = {};
+    if (helpers.isObject(fileRef.versions)) {
+      for (const vKey of Object.keys(fileRef.versions)) {
+        bytes[vKey] = this._fileBytes(fileRef, vKey);
+      }
+    } else if (helpers.isNumber(fileRef.size)) {
+      bytes.original = fileRef.size;
     }
+    return bytes;
+  }
 
-    result.path = `${this.storagePath(result)}${nodePath.sep}${opts.FSName}${extensionWithDot}`;
-    result = Object.assign(result, this._dataToSchema(result));
+  /**
+   * @locus Server
+   * @memberOf FilesCollection
+   * @name _quotaLimits
+   * @param {String} userId - User id
+   * @summary Internal method. Resolve `quota` option, anonymous files are limited only by collection's quota
+   * @returns {Promise<Object>} - `{user, collection}`, each is `Number` or `false`
+   */
+  async _quotaLimits(userId) {
+    const resolve = async (limit, ...args) => {
+      const bytes = helpers.isFunction(limit) ? await limit.call(this, ...args) : limit;
+      return helpers.isNumber(bytes) ? bytes : false;
+    };
 
-    if (this.onBeforeUpload && helpers.isFunction(this.onBeforeUpload)) {
-      ctx = Object.assign({
-        file: opts.file
-      }, {
-        chunkId: opts.chunkId,
-        userId: result.userId,
-        async userAsync() {
-          if (Meteor.users && result.userId) {
-            return Meteor.users.findOneAsync(result.userId);
-          }
-          return null;
-        },
-        eof: opts.eof
-      });
-      const isUploadAllowed = await this.onBeforeUpload.call(ctx, result);
+    return {
+      user: userId ? await resolve(this.quota.user, userId) : false,
+      collection: await resolve(this.quota.collection)
+    };
+  }
 
-      if (isUploadAllowed !== true) {
-        throw new Meteor.Error(403, helpers.isString(isUploadAllowed) ? isUploadAllowed : '@onBeforeUpload() returned false');
-      } else {
-        if ((opts.___s === true) && this.onInitiateUpload && helpers.isFunction(this.onInitiateUpload)) {
-          await this.onInitiateUpload.call(ctx, result);
-        }
+  /**
+   * @locus Server
+   * @memberOf FilesCollection
+   * @name _usedBytes
+   * @param {String} userId - [Optional] User id, whole collection by default
+   * @param {Boolean} recalculate - Sum files' sizes even if usage is already tracked
+   * @summary Internal method. Bytes used by user or by collection. Usage isn't tracked until it's requested for the first time,
+   * then it's summed from `_quotaBytes` of files in collection and kept up to date by inserts, `countUsage()` and `unlink()`.
+   * Files counted for the first time or recalculated get their `_quotaBytes` updated
+   * @returns {Promise<Number>}
+   */
+  async _usedBytes(userId, recalculate = false) {
+    const _id = userId ? `user:${userId}` : 'collection';
+    const counter = recalculate ? null : await this._quotaCollection.findOneAsync({ _id });
+    if (counter) {
+      return Math.max(0, counter.used);
+    }
+
+    const selector = userId ? { userId } : {};
+    const rawCollection = this.collection.rawCollection();
+    const files = rawCollection.find(recalculate ? selector : Object.assign({ _quotaBytes: { $exists: false } }, selector), {
+      projection: { size: 1, versions: 1, _quotaBytes: 1 }
+    });
+    for await (const fileRef of files) {
+      const bytes = this._versionsBytes(fileRef);
+      if (JSON.stringify(bytes) !== JSON.stringify(fileRef._quotaBytes)) {
+        await this.collection.updateAsync({ _id: fileRef._id }, { $set: { _quotaBytes: bytes } });
       }
-    } else if ((opts.___s === true) && this.onInitiateUpload && helpers.isFunction(this.onInitiateUpload)) {
-      ctx = Object.assign({
-        file: opts.file
-      }, {
-        chunkId: opts.chunkId,
-        userId: result.userId,
-        async userAsync() {
-          if (Meteor.users && result.userId) {
-            return Meteor.users.findOneAsync(result.userId);
-          }
-          return null;
-        },
-        eof: opts.eof
-      });
-      await this.onInitiateUpload.call(ctx, result);
     }
 
-    return {result, opts};
+    const [total] = await rawCollection.aggregate([
+      { $match: selector },
+      { $project: { bytes: { $objectToArray: '$_quotaBytes' } } },
+      { $unwind: '$bytes' },
+      { $group: { _id: null, used: { $sum: '$bytes.v' } } }
+    ]).toArray();
+    const used = total ? total.used : 0;
+
+    if (recalculate) {
+      await this._quotaCollection.upsertAsync({ _id }, { $set: { used } });
+    } else {
+      await this._quotaCollection.upsertAsync({ _id }, { $setOnInsert: { used } });
+    }
+    return used;
   }
 
   /**
    * @locus Server
    * @memberOf FilesCollection
-   * @name _finishUpload
-   * @summary Internal method. Finish upload, close Writable stream, add record to MongoDB and flush used memory
+   * @name _updateUsage
+   * @param {String} userId - File owner's id
+   * @param {Number} bytes - Added (or removed, when negative) bytes
+   * @summary Internal method. Update tracked usage of user and collection, errors are logged as tracking shouldn't break uploads and removals
    * @returns {Promise<undefined>}
    */
-  async _finishUpload(result, opts, cb) {
-    this._debug(`[FilesCollection] [Upload] [finish(ing)Upload] -> ${result.path}`);
-    fs.chmod(result.path, this.permissions, noop);
-    result.type = this._getMimeType(opts.file);
-    result.public = this.public;
-    this._updateFileTypes(result);
+  async _updateUsage(userId, bytes) {
+    if (!this._quotaCollection || !bytes) {
+      return;
+    }
 
-    let _id;
+    const keys = userId ? ['collection', `user:${userId}`] : ['collection'];
     try {
-      _id = await this.collection.insertAsync(helpers.clone(result));
+      // Not tracked usage is calculated from files in collection when it's requested
+      await this._quotaCollection.updateAsync({ _id: { $in: keys } }, { $inc: { used: bytes } }, { multi: true });
+    } catch (error) {
+      this._debug('[FilesCollection] [_updateUsage] Error:', error);
+    }
+  }
+
+  /**
+   * @locus Server
+   * @memberOf FilesCollection
+   * @name _insertFile
+   * @param {Object} fileRef - File's record
+   * @summary Internal method. Insert file's record and add its bytes to tracked usage, counted bytes are stored in record's `_quotaBytes`
+   * @returns {Promise<String>} - Inserted record's `_id`
+   */
+  async _insertFile(fileRef) {
+    if (this.quota) {
+      fileRef._quotaBytes = this._versionsBytes(fileRef);
+    }
+
+    const _id = await this.collection.insertAsync(fileRef);
+    await this._updateUsage(fileRef.userId, this._fileBytes(fileRef));
+    return _id;
+  }
+
+  /**
+   * @locus Server
+   * @memberOf FilesCollection
+   * @name _releaseUsage
+   * @param {Object} fileRef - fileObj
+   * @param {String} version - [Optional] file's version, all versions by default
+   * @summary Internal method. Subtract bytes counted for file (or its version) from tracked usage. Counted bytes are removed
+   * from record's `_quotaBytes` first, so they are subtracted only once, and versions which were never counted aren't subtracted
+   * @returns {Promise<undefined>}
+   */
+  async _releaseUsage(fileRef, version) {
+    if (!this._quotaCollection || !helpers.isObject(fileRef) || !fileRef._id) {
+      return;
+    }
+
+    const field = version ? `_quotaBytes.${version}` : '_quotaBytes';
+    try {
+      const counted = await this.collection.findOneAsync({ _id: fileRef._id, [field]: { $exists: true } }, { fields: { userId: 1, _quotaBytes: 1 } });
+      if (!counted) {
+        return;
+      }
+
+      const value = version ? counted._quotaBytes[version] : counted._quotaBytes;
+      let bytes = 0;
+      for (const vKey of Object.keys(counted._quotaBytes)) {
+        if (!version || vKey === version) {
+          bytes += counted._quotaBytes[vKey];
+        }
+      }
+
+      // Concurrent removals of the same file subtract its bytes once
+      if (await this.collection.updateAsync({ _id: fileRef._id, [field]: value }, { $unset: { [field]: '' } })) {
+        await this._updateUsage(counted.userId, -bytes);
+      }
+    } catch (error) {
+      this._debug('[FilesCollection] [_releaseUsage] Error:', error);
+    }
+  }
+
+  /**
+   * @locus Server
+   * @memberOf FilesCollection
+   * @name _checkQuota
+   * @param {String} userId - Uploading user id
+   * @param {Number} bytes - Size of uploaded file
+   * @summary Internal method. Check user's and collection's quotas
+   * @throws {Meteor.Error} 413 with `quota-exceeded` or `collection-quota-exceeded` code in `details`
+   * @returns {Promise<undefined>}
+   */
+  async _checkQuota(userId, bytes) {
+    if (!this.quota) {
+      return;
+    }
+
+    const limits = await this._quotaLimits(userId);
+    if (limits.user !== false) {
+      const used = await this._usedBytes(userId);
+      if ((used + bytes) > limits.user) {
+        throw new Meteor.Error(413, `Storage quota exceeded, ${Math.max(0, limits.user - used)} bytes available`, 'quota-exceeded');
+      }
+    }
+
+    if (limits.collection !== false) {
+      const used = await this._usedBytes();
+      if ((used + bytes) > limits.collection) {
+        throw new Meteor.Error(413, 'Collection\'s storage quota exceeded', 'collection-quota-exceeded');
+      }
+    }
+  }
+
+  /**
+   * @locus Server
+   * @memberOf FilesCollection
+   * @name _readFreeSpace
+   * @summary Internal method. Read free space of default storage and remember it in `_diskStatus`, warns once when it drops below `diskSpace.minFree`
+   * @returns {Promise<Number|null>} - Bytes, or `null` if storage doesn't report free space or it can't be read
+   */
+  async _readFreeSpace() {
+    let free = null;
+    try {
+      free = await this.storage.freeSpace(this.storagePath({}));
+    } catch (error) {
+      Meteor._debug(`[FilesCollection.${this.collectionName}] [_readFreeSpace] [Error:]`, error);
+    }
+
+    if (this.diskSpace && helpers.isNumber(free)) {
+      const wasLow = helpers.isNumber(this._diskStatus.free) && this._diskStatus.free < this.diskSpace.minFree;
+      if (!wasLow && free < this.diskSpace.minFree) {
+        Meteor._debug(`[FilesCollection.${this.collectionName}] Storage is running out of space: ${free} bytes free, new uploads are rejected`);
+      }
+    }
+
+    this._diskStatus = { free: helpers.isNumber(free) ? free : null, checkedAt: new Date() };
+    return this._diskStatus.free;
+  }
+
+  /**
+   * @locus Server
+   * @memberOf FilesCollection
+   * @name _checkFreeSpace
+   * @param {Number} bytes - Size of uploaded file
+   * @summary Internal method. Check that upload leaves at least `diskSpace.minFree` bytes free in default storage.
+   * Free space is read at most once per `diskSpace.interval`. Uploads in progress aren't reserved, their remaining bytes aren't subtracted from free space
+   * @throws {Meteor.Error} 507 with `insufficient-storage` code in `details`
+   * @returns {Promise<undefined>}
+   */
+  async _checkFreeSpace(bytes) {
+    if (!this.diskSpace) {
+      return;
+    }
+
+    const { checkedAt } = this._diskStatus;
+    const isFresh = checkedAt && (Date.now() - checkedAt.getTime()) < (this.diskSpace.interval * 1000);
+    const free = isFresh ? this._diskStatus.free : await this._readFreeSpace();
+    if (free !== null && (free - bytes) < this.diskSpace.minFree) {
+      throw new Meteor.Error(507, `Not enough free space in storage, ${Math.max(0, free - this.diskSpace.minFree)} bytes available`, 'insufficient-storage');
+    }
+  }
+
+  /**
+   * @locus Server
+   * @memberOf FilesCollection
+   * @name getStorageStatus
+   * @summary Returns free space of default storage, use it in health checks
+   * @returns {Promise<Object>} - `{storage, free, minFree, ok, checkedAt}`, `free` is `null` if storage doesn't report free space, `minFree` is `false` if `diskSpace` option isn't set
+   */
+  async getStorageStatus() {
+    const free = await this._readFreeSpace();
+    const minFree = this.diskSpace ? this.diskSpace.minFree : false;
+    return {
+      storage: this.storage.name,
+      free,
+      minFree,
+      ok: free === null || minFree === false || free >= minFree,
+      checkedAt: this._diskStatus.checkedAt
+    };
+  }
+
+  /**
+   * @locus Server
+   * @memberOf FilesCollection
+   * @name getUsage
+   * @param {String} userId - [Optional] User id, whole collection's usage is returned when omitted
+   * @param {Boolean} recalculate - [Optional] Sum sizes of all files again, use when records were updated without `countUsage()`
+   * @summary Returns bytes used by user's files (including all versions) and user's quota
+   * @throws {Meteor.Error} 400 If `quota` option isn't set
+   * @returns {Promise<Object>} - `{used, limit}`, `limit` is `false` if there's no quota
+   */
+  async getUsage(userId, recalculate = false) {
+    check(userId, Match.Optional(Match.OneOf(String, null)));
+    check(recalculate, Boolean);
+    if (!this.quota) {
+      throw new Meteor.Error(400, '[FilesCollection] [getUsage] `quota` option is not set');
+    }
+
+    const limits = await this._quotaLimits(userId);
+    return {
+      used: await this._usedBytes(userId, recalculate),
+      limit: userId ? limits.user : limits.collection
+    };
+  }
+
+  /**
+   * @locus Server
+   * @memberOf FilesCollection
+   * @name countUsage
+   * @param {Object|String} fileRef - fileObj or its `_id`
+   * @summary Count bytes of file's versions added or removed with direct updates of its record, like thumbnails created in `onAfterUpload`
+   * @throws {Meteor.Error} 400 If `quota` option isn't set
+   * @returns {Promise<Number>} - Bytes added to usage, negative when bytes are subtracted
+   */
+  async countUsage(fileRef) {
+    check(fileRef, Match.OneOf(String, Match.ObjectIncluding({ _id: String })));
+    if (!this.quota) {
+      throw new Meteor.Error(400, '[FilesCollection] [countUsage] `quota` option is not set');
+    }
+
+    const _id = helpers.isString(fileRef) ? fileRef : fileRef._id;
+    const current = await this.collection.findOneAsync({ _id }, { fields: { userId: 1, size: 1, versions: 1, _quotaBytes: 1 } });
+    if (!current) {
+      return 0;
+    }
+
+    const bytes = this._versionsBytes(current);
+    if (JSON.stringify(bytes) === JSON.stringify(current._quotaBytes)) {
+      return 0;
+    }
+
+    const sum = (counted) => (helpers.isObject(counted) ? Object.keys(counted).reduce((total, vKey) => total + counted[vKey], 0) : 0);
+    const diff = sum(bytes) - sum(current._quotaBytes);
+    // Concurrent calls count the same change once
+    const counted = helpers.isObject(current._quotaBytes) ? current._quotaBytes : { $exists: false };
+    if (!(await this.collection.updateAsync({ _id, _quotaBytes: counted }, { $set: { _quotaBytes: bytes } }))) {
+      return 0;
+    }
+
+    await this._updateUsage(current.userId, diff);
+    return diff;
+  }
+
+  /**
+   * @locus Server
+   * @memberOf FilesCollection
+   * @name _prepareUpload
+   * @summary Internal method. Used to optimize received data and check upload permission
+   * @returns {Promise<Object>}
+   */
+  async _prepareUpload(opts = {}, userId, transport) {
+    let ctx;
+    if (!helpers.isBoolean(opts.eof)) {
+      opts.eof = false;
+    }
+
+    if (!opts.binData) {
+      opts.binData = 'EOF';
+    }
+
+    if (!helpers.isNumber(opts.chunkId)) {
+      opts.chunkId = -1;
+    }
+
+    if (!helpers.isString(opts.FSName)) {
+      opts.FSName = opts.fileId;
+    }
+
+    this._debug(`[FilesCollection] [Upload] [${transport}] Got #${opts.chunkId}/${opts.fileLength} chunks, dst: ${opts.file.name || opts.file.fileName}`);
+
+    const fileName = this._getFileName(opts.file);
+    const {extension, extensionWithDot} = this._getExt(fileName);
+
+    if (!helpers.isObject(opts.file.meta)) {
+      opts.file.meta = {};
+    }
+
+    let result = opts.file;
+    result.name = fileName;
+    result.meta = opts.file.meta;
+    result.extension = extension;
+    result.ext = extension;
+    result._id = opts.fileId;
+    result.userId = userId || null;
+    opts.FSName = this.sanitize(opts.FSName);
+
+    if (this.namingFunction) {
+      opts.FSName = this.namingFunction(opts);
+    }
+
+    result.path = `${this.storagePath(result)}${nodePath.sep}${opts.FSName}${extensionWithDot}`;
+
+    let typeDetected = false;
+    if (opts.chunkId === 1 && Buffer.isBuffer(opts.binData)) {
+      const type = this._detectMimeType(result.type, opts.binData.subarray(0, SNIFF_LENGTH));
+      if (type !== result.type) {
+        result.type = type;
+        typeDetected = true;
+      }
+    }
+
+    result = Object.assign(result, this._dataToSchema(Object.assign({}, result, { storage: this.storage.name })));
+
+    if (opts.___s === true) {
+      // Chunk's body is kept in memory, its size declared by client is limited
+      const maxChunkSize = Math.max(MAX_CHUNK_SIZE, this.chunkSize);
+      if (!helpers.isNumber(opts.chunkSize) || !(opts.chunkSize > 0) || opts.chunkSize > maxChunkSize) {
+        throw new Meteor.Error(400, `Chunk size must be between 1 and ${maxChunkSize} bytes`, 'invalid-chunk-size');
+      }
+      this._checkUploadLimits(result);
+      await this._checkFilesPerUser(result.userId);
+      await this._checkQuota(result.userId, helpers.isNumber(result.size) ? result.size : 0);
+      await this._checkFreeSpace(helpers.isNumber(result.size) ? result.size : 0);
+    } else if (opts.chunkId > 0 && Buffer.isBuffer(opts.binData) && (this.maxFileSize !== false || this.minFileSize !== false)) {
+      // Size limits are checked against size claimed by client on start,
+      // make sure received bytes match it
+      const expected = (opts.chunkId === opts.fileLength) ? (result.size - ((opts.fileLength - 1) * opts.chunkSize)) : opts.chunkSize;
+      if (opts.chunkId > opts.fileLength || opts.binData.length !== expected) {
+        throw new Meteor.Error(400, 'Received bytes do not match file\'s size', 'size-mismatch');
+      }
+    }
+
+    if (typeDetected) {
+      // `allowedMimeTypes` were checked against type declared by client on start
+      this._checkUploadLimits(result);
+      await this._preCollection.updateAsync({ _id: opts.fileId }, { $set: { 'file.type': result.type } });
+    }
+
+    if (this.onBeforeUpload && helpers.isFunction(this.onBeforeUpload)) {
+      ctx = Object.assign({
+        file: opts.file
+      }, {
+        chunkId: opts.chunkId,
+        userId: result.userId,
+        async userAsync() {
+          if (Meteor.users && result.userId) {
+            return Meteor.users.findOneAsync(result.userId);
+          }
+          return null;
+        },
+        eof: opts.eof
+      });
+      const isUploadAllowed = await this.onBeforeUpload.call(ctx, result);
+
+      if (isUploadAllowed !== true) {
+        throw new Meteor.Error(403, helpers.isString(isUploadAllowed) ? isUploadAllowed : '@onBeforeUpload() returned false');
+      } else {
+        if ((opts.___s === true) && this.onInitiateUpload && helpers.isFunction(this.onInitiateUpload)) {
+          await this.onInitiateUpload.call(ctx, result);
+        }
+      }
+    } else if ((opts.___s === true) && this.onInitiateUpload && helpers.isFunction(this.onInitiateUpload)) {
+      ctx = Object.assign({
+        file: opts.file
+      }, {
+        chunkId: opts.chunkId,
+        userId: result.userId,
+        async userAsync() {
+          if (Meteor.users && result.userId) {
+            return Meteor.users.findOneAsync(result.userId);
+          }
+          return null;
+        },
+        eof: opts.eof
+      });
+      await this.onInitiateUpload.call(ctx, result);
+    }
+
+    return {result, opts};
+  }
+
+  /**
+   * @locus Server
+   * @memberOf FilesCollection
+   * @name _finishUpload
+   * @summary Internal method. Finish upload, close Writable stream, add record to MongoDB and flush used memory
+   * @returns {Promise<undefined>}
+   */
+  async _finishUpload(result, opts, cb) {
+    this._debug(`[FilesCollection] [Upload] [finish(ing)Upload] -> ${result.path}`);
+    this.getStorage(result).finalize(result.path);
+    const checksums = await this._uploadChecksums(result);
+    if (checksums) {
+      result.checksums = checksums;
+      if (helpers.isObject(result.versions) && helpers.isObject(result.versions.original)) {
+        result.versions.original.checksums = checksums;
+      }
+    }
+    result.type = this._getMimeType(opts.file);
+    result.public = this.public;
+    this._updateFileTypes(result);
+
+    if (this.quota) {
+      // Quota was checked against size declared on start, check it against received bytes
+      let bytes = this._fileBytes(result);
+      try {
+        const stats = await this.getStorage(result).stat(result.path);
+        bytes = Math.max(bytes, stats.size);
+      } catch (statError) {
+        // Storage may not support `stat` of finalizing file, declared size is used
+      }
+
+      try {
+        await this._checkQuota(result.userId, bytes);
+      } catch (quotaError) {
+        this._debug('[FilesCollection] [Upload] [_finishUpload] [quota] Error:', quotaError);
+        await this.getStorage(result).unlink(result.path).catch(noop);
+        await this._preCollection.removeAsync({ _id: opts.fileId }).catch(noop);
+        cb(quotaError);
+        return;
+      }
+    }
+
+    let _id;
+    try {
+      _id = await this._insertFile(helpers.clone(result));
       try {
         await this._preCollection.updateAsync({_id: opts.fileId}, {$set: {isFinished: true}});
         if (_id) result._id = _id;
@@ -1096,6 +1986,104 @@ class FilesCollection extends FilesCollectionCore {
     }
   }
 
+  /**
+   * @locus Server
+   * @memberOf FilesCollection
+   * @name _verifyChunk
+   * @param {Object} opts - Chunk's data with `binData` {Buffer}, `chunkId` {Number} and optional `checksum` {String} (hex SHA-256 calculated on the client)
+   * @summary Internal method. Verify chunk's data against its checksum, before it's written to storage
+   * @returns {Object|null} - "Chunk rejected" response: `{ error: 'chunk-rejected', chunkId, reason }`, or `null` if chunk is accepted
+   */
+  _verifyChunk(opts) {
+    if (!helpers.isString(opts.checksum) || !opts.binData) {
+      return null;
+    }
+
+    const { sha256 } = new Checksum(['sha256']).update(opts.binData).digest();
+    if (sha256 === opts.checksum.toLowerCase()) {
+      return null;
+    }
+
+    this._debug(`[FilesCollection] [Upload] [_verifyChunk] Chunk #${opts.chunkId} of ${opts.fileId} is rejected, checksum mismatch`);
+    return {
+      error: 'chunk-rejected',
+      chunkId: opts.chunkId,
+      reason: 'checksum-mismatch'
+    };
+  }
+
+  /**
+   * @locus Server
+   * @memberOf FilesCollection
+   * @name _uploadChecksums
+   * @param {Object} result - Uploaded file's record
+   * @summary Internal method. Returns checksums calculated while chunks were received, or calculates them from stored file when upload was continued after server restart
+   * @returns {Promise<Object|null>}
+   */
+  async _uploadChecksums(result) {
+    if (!this.checksums) {
+      return null;
+    }
+
+    const checksum = this._currentChecksums[result._id];
+    delete this._currentChecksums[result._id];
+    if (checksum && !checksum.broken && checksum.bytes === result.size) {
+      return checksum.digest();
+    }
+
+    try {
+      return await checksumStream(this.getStorage(result).createReadStream(result.path), this.checksums);
+    } catch (error) {
+      this._debug(`[FilesCollection] [Upload] [_uploadChecksums] Can not read "${result.path}" Error:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * @locus Server
+   * @memberOf FilesCollection
+   * @name _rateLimitKeys
+   * @param {http.IncomingMessage} httpReq - Request to upload endpoint
+   * @param {String} userId - Uploading user id
+   * @summary Internal method. Keys of `rateLimit` counters of HTTP request, used by all upload endpoints
+   * @returns {[String]|null} - `null` when `rateLimit` is disabled
+   */
+  _rateLimitKeys(httpReq, userId) {
+    return this._rateLimiter ? this._rateLimiter.keys(userId, getClientAddress(httpReq)) : null;
+  }
+
+  /**
+   * @locus Server
+   * @memberOf FilesCollection
+   * @name _uploadChunk
+   * @param {String} fileId - Upload session id
+   * @param {Number} chunkId - Chunk position, starts from `1`
+   * @param {Buffer} binData - Chunk's data
+   * @param {String} userId - Uploading user id
+   * @param {String} transport - Transport name used in debug messages
+   * @param {Boolean} eof - Finish upload
+   * @summary Internal method. Write chunk (or EOF) of upload session started on the server, through the same `_prepareUpload` and `_handleUpload` as DDP and HTTP transports
+   * @throws {Meteor.Error} 404 If upload session does not exist or expired
+   * @returns {Promise<Object>} - File's record when upload is finished
+   */
+  async _uploadChunk(fileId, chunkId, binData, userId, transport, eof = false) {
+    const _continueUpload = await this._continueUpload(fileId);
+    if (!_continueUpload) {
+      throw new Meteor.Error(404, 'Upload not found');
+    }
+
+    const { result, opts } = await this._prepareUpload(Object.assign({ chunkId, binData, eof }, _continueUpload), userId, transport);
+    return new Promise((resolve, reject) => {
+      this._handleUpload(result, opts, (error, res) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve(res);
+        }
+      });
+    });
+  }
+
   /**
    * @locus Server
    * @memberOf FilesCollection
@@ -1106,11 +2094,31 @@ class FilesCollection extends FilesCollectionCore {
   _handleUpload(result, opts, cb) {
     try {
       if (opts.eof) {
-        this._currentUploads[result._id].end(() => {
+        this._currentUploads[result._id].end((error) => {
+          if (error) {
+            cb && cb(error);
+            return;
+          }
           this.emit('_finishUpload', result, opts, cb);
         });
       } else {
-        this._currentUploads[result._id].write(opts.chunkId, opts.binData, cb);
+        this._currentUploads[result._id].write(opts.chunkId, opts.binData, (error, ...args) => {
+          if (error) {
+            cb && cb(error);
+            return;
+          }
+
+          // Only chunks which are actually stored are hashed
+          if (this._currentChecksums[result._id]) {
+            this._currentChecksums[result._id].write(opts.chunkId, opts.binData);
+          }
+
+          // Keep track of received chunks, so upload can be resumed after page reload
+          if (opts.resumable === true) {
+            this._trackReceivedChunk(result._id, opts.chunkId);
+          }
+          cb && cb(void 0, ...args);
+        });
       }
     } catch (e) {
       this._debug('[_handleUpload] [EXCEPTION:]', e);
@@ -1118,6 +2126,64 @@ class FilesCollection extends FilesCollectionCore {
     }
   }
 
+  /**
+   * @locus Server
+   * @memberOf FilesCollection
+   * @name _trackReceivedChunk
+   * @param {String} fileId - Upload session id
+   * @param {Number} chunkId - Received chunk
+   * @summary Internal method. Remember chunk received by resumable upload, chunks are saved to `_preCollection` in batches, once per `CHUNKS_FLUSH_INTERVAL`
+   * @returns {undefined}
+   */
+  _trackReceivedChunk(fileId, chunkId) {
+    if (!this._receivedChunks[fileId]) {
+      this._receivedChunks[fileId] = {
+        chunks: [],
+        timer: Meteor.setTimeout(() => {
+          this._flushReceivedChunks(fileId);
+        }, CHUNKS_FLUSH_INTERVAL)
+      };
+    }
+    this._receivedChunks[fileId].chunks.push(chunkId);
+  }
+
+  /**
+   * @locus Server
+   * @memberOf FilesCollection
+   * @name _flushReceivedChunks
+   * @param {String} fileId - Upload session id
+   * @summary Internal method. Save collected chunks of resumable upload to `_preCollection`, errors are logged as lost chunks are only re-sent on resume
+   * @returns {Promise<undefined>}
+   */
+  async _flushReceivedChunks(fileId) {
+    const received = this._receivedChunks[fileId];
+    this._dropReceivedChunks(fileId);
+    if (!received || !received.chunks.length) {
+      return;
+    }
+
+    try {
+      await this._preCollection.updateAsync({ _id: fileId }, { $addToSet: { chunks: { $each: received.chunks } } });
+    } catch (updateError) {
+      this._debug('[FilesCollection] [_flushReceivedChunks] [update] Error:', updateError);
+    }
+  }
+
+  /**
+   * @locus Server
+   * @memberOf FilesCollection
+   * @name _dropReceivedChunks
+   * @param {String} fileId - Upload session id
+   * @summary Internal method. Forget collected chunks of upload which is finished, aborted or started over
+   * @returns {undefined}
+   */
+  _dropReceivedChunks(fileId) {
+    if (this._receivedChunks[fileId]) {
+      Meteor.clearTimeout(this._receivedChunks[fileId].timer);
+      delete this._receivedChunks[fileId];
+    }
+  }
+
   /**
    * @locus Anywhere
    * @memberOf FilesCollection
@@ -1139,6 +2205,34 @@ class FilesCollection extends FilesCollectionCore {
     return mime;
   }
 
+  /**
+   * @locus Server
+   * @memberOf FilesCollection
+   * @name _detectMimeType
+   * @param {String} declared - Mime-type declared by client or passed in options
+   * @param {Buffer} head - File's first bytes
+   * @summary Internal method. Detect mime-type by file's magic bytes when `detectMimeType` is enabled.
+   * Declared type is kept when it's compatible with detected one, or when file's format is unknown
+   * @throws {Meteor.Error} 415 with `mime-type-mismatch` code in `details`, when `detectMimeType` is `'strict'`
+   * @returns {String} - Mime-type to store
+   */
+  _detectMimeType(declared, head) {
+    if (!this.detectMimeType) {
+      return declared;
+    }
+
+    const detected = detectMimeType(head);
+    if (!detected || isMimeTypeMatch(declared, detected)) {
+      return (detected && isGenericMimeType(declared)) ? detected : declared;
+    }
+
+    if (this.detectMimeType === 'strict') {
+      throw new Meteor.Error(415, `File content (${detected}) does not match its type "${declared}"`, 'mime-type-mismatch');
+    }
+    this._debug(`[FilesCollection] [_detectMimeType] Declared type "${declared}" replaced with detected "${detected}"`);
+    return detected;
+  }
+
   /**
    * @locus Anywhere
    * @memberOf FilesCollection
@@ -1227,7 +2321,7 @@ class FilesCollection extends FilesCollectionCore {
    * @param {String} opts.userId - UserId, default *null*
    * @param {String} opts.fileId - _id, sanitized, max-length: 20; default *null*
    * @param {Boolean} proceedAfterUpload - Proceed onAfterUpload hook
-   * @summary Write buffer to FS and add to FilesCollection Collection
+   * @summary Write buffer to storage and add to FilesCollection Collection
    * @throws {Meteor.Error} If there is an error writing the file or inserting the document
    * @returns {Promise<FileRef>} Instance
    */
@@ -1241,9 +2335,214 @@ class FilesCollection extends FilesCollectionCore {
       opts = {};
     }
 
-    check(opts, Match.Optional(Object));
-    check(proceedAfterUpload, Match.Optional(Boolean));
-
+    check(opts, Match.Optional(Object));
+    check(proceedAfterUpload, Match.Optional(Boolean));
+
+    opts.fileId = opts.fileId && this.sanitize(opts.fileId, 20, 'a');
+    const fileId = opts.fileId || Random.id();
+    const fsName = this.namingFunction ? this.namingFunction(opts) : fileId;
+    const fileName = (opts.name || opts.fileName) ? (opts.name || opts.fileName) : fsName;
+
+    const {extension, extensionWithDot} = this._getExt(fileName);
+
+    opts.path = `${this.storagePath(opts)}${nodePath.sep}${fsName}${extensionWithDot}`;
+    opts.type = this._detectMimeType(this._getMimeType(opts), buffer.subarray(0, SNIFF_LENGTH));
+    if (!helpers.isObject(opts.meta)) {
+      opts.meta = {};
+    }
+
+    if (!helpers.isNumber(opts.size)) {
+      opts.size = buffer.length;
+    }
+
+    const result = this._dataToSchema({
+      name: fileName,
+      path: opts.path,
+      meta: opts.meta,
+      type: opts.type,
+      size: opts.size,
+      userId: opts.userId,
+      storage: this.storage.name,
+      checksums: this.checksums ? new Checksum(this.checksums).update(buffer).digest() : void 0,
+      extension
+    });
+
+    result._id = fileId;
+
+    let fileRef;
+
+    const stream = this.storage.createWriteStream(opts.path, opts);
+
+    await new Promise((resolve, reject) => {
+      stream.end(buffer, (streamErr) => {
+        if (streamErr) {
+          reject(streamErr);
+        } else {
+          resolve();
+        }
+      });
+    });
+
+    try {
+      const _id = await this._insertFile(result);
+      fileRef = await this.collection.findOneAsync(_id);
+
+      if (proceedAfterUpload === true) {
+        if (this.onAfterUpload){
+          await this.onAfterUpload.call(this, fileRef);
+        }
+        this.emit('afterUploadAsync', fileRef);
+      }
+      this._debug(`[FilesCollection] [write]: ${fileName} -> ${this.collectionName}`);
+    } catch (insertErr) {
+      this._debug(`[FilesCollection] [write] [insert] Error: ${fileName} -> ${this.collectionName}`, insertErr);
+      throw new Meteor.Error('writeAsync', insertErr);
+    }
+
+    return fileRef;
+  }
+
+  /**
+   * @locus Server
+   * @memberOf FilesCollection
+   * @name writeStream
+   * @param {stream.Readable} readable - Readable stream with file's content
+   * @param {Object} opts - Object with file-data
+   * @param {String} opts.name - File name, alias: `fileName`
+   * @param {String} opts.type - File mime-type
+   * @param {Number} opts.size - File size in bytes, if not set it's taken from storage after stream is written
+   * @param {Object} opts.meta - File additional meta-data
+   * @param {String} opts.userId - UserId, default *null*
+   * @param {String} opts.fileId - _id, sanitized, max-length: 20; default *null*
+   * @param {Boolean} proceedAfterUpload - Proceed onAfterUpload hook
+   * @summary Pipe readable stream to storage (respecting backpressure) and add to FilesCollection Collection
+   * @throws {Meteor.Error} If there is an error reading the stream, writing the file or inserting the document
+   * @returns {Promise<FileRef>} Instance
+   */
+  async writeStream(readable, _opts = {}, _proceedAfterUpload) {
+    this._debug('[FilesCollection] [writeStream()]');
+    let opts = _opts;
+    let proceedAfterUpload = _proceedAfterUpload;
+
+    if (helpers.isBoolean(opts)) {
+      proceedAfterUpload = opts;
+      opts = {};
+    }
+
+    check(readable, Match.Where((stream) => !!stream && helpers.isFunction(stream.pipe) && helpers.isFunction(stream.on)));
+    check(opts, Match.Optional(Object));
+    check(proceedAfterUpload, Match.Optional(Boolean));
+
+    if (!helpers.isObject(opts)) {
+      opts = {};
+    }
+
+    opts.fileId = opts.fileId && this.sanitize(opts.fileId, 20, 'a');
+    const fileId = opts.fileId || Random.id();
+    const fsName = this.namingFunction ? this.namingFunction(opts) : fileId;
+    const fileName = (opts.name || opts.fileName) ? (opts.name || opts.fileName) : fsName;
+
+    const {extension, extensionWithDot} = this._getExt(fileName);
+
+    opts.path = `${this.storagePath(opts)}${nodePath.sep}${fsName}${extensionWithDot}`;
+    opts.type = this._getMimeType(opts);
+    if (!helpers.isObject(opts.meta)) {
+      opts.meta = {};
+    }
+
+    const checksumTransform = this.checksums ? createChecksumTransform(this.checksums) : null;
+    const sniffer = this.detectMimeType ? createMimeSniffer() : null;
+    try {
+      await pipeline(...[readable, sniffer, checksumTransform, this.storage.createWriteStream(opts.path, opts)].filter(Boolean));
+
+      if (!helpers.isNumber(opts.size)) {
+        opts.size = (await this.storage.stat(opts.path)).size;
+      }
+
+      if (sniffer) {
+        opts.type = this._detectMimeType(opts.type, sniffer.head);
+      }
+    } catch (streamErr) {
+      this._debug(`[FilesCollection] [writeStream] [pipeline] Error: ${fileName} -> ${this.collectionName}`, streamErr);
+      try {
+        await this.storage.unlink(opts.path);
+      } catch (unlinkError) {
+        // File might not be created yet
+      }
+
+      if (streamErr instanceof Meteor.Error) {
+        throw streamErr;
+      }
+      throw new Meteor.Error(500, `[FilesCollection] [writeStream]: Can not write stream to "${this.storage.name}" storage`);
+    }
+
+    const result = this._dataToSchema({
+      name: fileName,
+      path: opts.path,
+      meta: opts.meta,
+      type: opts.type,
+      size: opts.size,
+      userId: opts.userId,
+      storage: this.storage.name,
+      checksums: checksumTransform ? checksumTransform.checksum.digest() : void 0,
+      extension
+    });
+
+    result._id = fileId;
+
+    let fileRef;
+    try {
+      const _id = await this._insertFile(result);
+      fileRef = await this.collection.findOneAsync(_id);
+
+      if (proceedAfterUpload === true) {
+        if (this.onAfterUpload){
+          await this.onAfterUpload.call(this, fileRef);
+        }
+        this.emit('afterUploadAsync', fileRef);
+      }
+      this._debug(`[FilesCollection] [writeStream]: ${fileName} -> ${this.collectionName}`);
+    } catch (insertErr) {
+      this._debug(`[FilesCollection] [writeStream] [insert] Error: ${fileName} -> ${this.collectionName}`, insertErr);
+      throw new Meteor.Error('writeStream', insertErr);
+    }
+
+    return fileRef;
+  }
+
+  /**
+   * @locus Server
+   * @memberOf FilesCollection
+   * @name createWriteStream
+   * @param {Object} opts - Object with file-data
+   * @param {String} opts.name - File name, alias: `fileName`
+   * @param {String} opts.type - File mime-type
+   * @param {Object} opts.meta - File additional meta-data
+   * @param {String} opts.userId - UserId, default *null*
+   * @param {String} opts.fileId - _id, sanitized, max-length: 20; default *null*
+   * @param {Boolean} proceedAfterUpload - Proceed onAfterUpload hook
+   * @summary Create writable stream for files generated on the server. Written data is piped to storage,
+   * record (with size and checksums of written data) is inserted into FilesCollection Collection before `finish` event
+   * and available as `stream.fileRef`. When stream is destroyed or fails before record is inserted, partially written file is removed
+   * @returns {stream.Writable}
+   */
+  createWriteStream(_opts = {}, _proceedAfterUpload) {
+    this._debug('[FilesCollection] [createWriteStream()]');
+    let opts = _opts;
+    let proceedAfterUpload = _proceedAfterUpload;
+
+    if (helpers.isBoolean(opts)) {
+      proceedAfterUpload = opts;
+      opts = {};
+    }
+
+    check(opts, Match.Optional(Object));
+    check(proceedAfterUpload, Match.Optional(Boolean));
+
+    if (!helpers.isObject(opts)) {
+      opts = {};
+    }
+
     opts.fileId = opts.fileId && this.sanitize(opts.fileId, 20, 'a');
     const fileId = opts.fileId || Random.id();
     const fsName = this.namingFunction ? this.namingFunction(opts) : fileId;
@@ -1257,69 +2556,98 @@ class FilesCollection extends FilesCollectionCore {
       opts.meta = {};
     }
 
-    if (!helpers.isNumber(opts.size)) {
-      opts.size = buffer.length;
-    }
-
-    const result = this._dataToSchema({
-      name: fileName,
-      path: opts.path,
-      meta: opts.meta,
-      type: opts.type,
-      size: opts.size,
-      userId: opts.userId,
-      extension
-    });
+    const checksum = this.checksums ? new Checksum(this.checksums) : null;
+    const storageStream = this.storage.createWriteStream(opts.path, opts);
+    let size = 0;
+    let head = Buffer.alloc(0);
+    let inserted = false;
 
-    result._id = fileId;
+    const insert = async () => {
+      opts.type = this._detectMimeType(opts.type, head);
+      const result = this._dataToSchema({
+        name: fileName,
+        path: opts.path,
+        meta: opts.meta,
+        type: opts.type,
+        size,
+        userId: opts.userId,
+        storage: this.storage.name,
+        checksums: checksum ? checksum.digest() : void 0,
+        extension
+      });
 
-    let fileRef;
+      result._id = fileId;
+      const _id = await this._insertFile(result);
+      const fileRef = await this.collection.findOneAsync(_id);
+      inserted = true;
 
-    let mustCreateFileFirst = false;
-    try {
-      const stats = await fs.promises.stat(opts.path);
-      if (!stats.isFile()) {
-        mustCreateFileFirst = true;
+      if (proceedAfterUpload === true) {
+        if (this.onAfterUpload){
+          await this.onAfterUpload.call(this, fileRef);
+        }
+        this.emit('afterUploadAsync', fileRef);
       }
-    } catch (statError) {
-      mustCreateFileFirst = true;
-    }
-    if (mustCreateFileFirst) {
-      const paths = opts.path.split('/');
-      paths.pop();
-      await fs.promises.mkdir(paths.join('/'), { recursive: true });
-      await fs.promises.writeFile(opts.path, '');
-    }
+      this._debug(`[FilesCollection] [createWriteStream]: ${fileName} -> ${this.collectionName}`);
+      return fileRef;
+    };
+
+    const stream = new Writable({
+      write(chunk, encoding, cb) {
+        size += chunk.length;
+        if (head.length < SNIFF_LENGTH) {
+          head = Buffer.concat([head, chunk.subarray(0, SNIFF_LENGTH - head.length)]);
+        }
 
-    const stream = fs.createWriteStream(opts.path, {flags: 'w', mode: this.permissions});
+        if (checksum) {
+          checksum.update(chunk);
+        }
 
-    await new Promise((resolve, reject) => {
-      stream.end(buffer, (streamErr) => {
-        if (streamErr) {
-          reject(streamErr);
+        if (storageStream.write(chunk)) {
+          cb();
         } else {
-          resolve();
+          storageStream.once('drain', () => cb());
         }
-      });
-    });
+      },
+      final: (cb) => {
+        storageStream.end();
+        finished(storageStream, (streamErr) => {
+          if (streamErr) {
+            // Handled by storage stream's `error` listener
+            return;
+          }
 
-    try {
-      const _id = await this.collection.insertAsync(result);
-      fileRef = await this.collection.findOneAsync(_id);
+          insert().then((fileRef) => {
+            stream.fileRef = fileRef;
+            cb();
+          }, (insertErr) => {
+            this._debug(`[FilesCollection] [createWriteStream] [insert] Error: ${fileName} -> ${this.collectionName}`, insertErr);
+            cb((insertErr instanceof Meteor.Error) ? insertErr : new Meteor.Error('createWriteStream', insertErr));
+          });
+        });
+      },
+      destroy: (error, cb) => {
+        if (inserted) {
+          cb(error);
+          return;
+        }
 
-      if (proceedAfterUpload === true) {
-        if (this.onAfterUpload){
-          await this.onAfterUpload.call(this, fileRef);
+        this._debug(`[FilesCollection] [createWriteStream] Aborted: ${fileName} -> ${this.collectionName}`, error);
+        if (!storageStream.destroyed) {
+          storageStream.destroy(error);
         }
-        this.emit('afterUploadAsync', fileRef);
+
+        finished(storageStream, () => {
+          this.storage.unlink(opts.path).then(() => cb(error), () => cb(error));
+        });
       }
-      this._debug(`[FilesCollection] [write]: ${fileName} -> ${this.collectionName}`);
-    } catch (insertErr) {
-      this._debug(`[FilesCollection] [write] [insert] Error: ${fileName} -> ${this.collectionName}`, insertErr);
-      throw new Meteor.Error('writeAsync', insertErr);
-    }
+    });
 
-    return fileRef;
+    storageStream.on('error', (streamErr) => {
+      stream.destroy(streamErr);
+    });
+
+    stream.fileRef = null;
+    return stream;
   }
 
   /**
@@ -1337,7 +2665,7 @@ class FilesCollection extends FilesCollectionCore {
    * @param {Number} opts.timeout - Timeout in milliseconds, default: 360000 (6 mins)
    * @param {Function} callback - function(error, fileObj){...}
    * @param {Boolean} [proceedAfterUpload] - Proceed onAfterUpload hook
-   * @summary Download file over HTTP, write stream to FS, and add to FilesCollection Collection
+   * @summary Download file over HTTP, write stream to storage, and add to FilesCollection Collection
    * @returns {Promise<fileObj>} File Object
    */
   async load(url, _opts = {}, _proceedAfterUpload = false) {
@@ -1379,7 +2707,7 @@ class FilesCollection extends FilesCollectionCore {
     // this might throw an error from collection.insertAsync or collection.findOneAsync
     const storeResult = async (result) => {
       result._id = fileId;
-      const _id  = await this.collection.insertAsync(result);
+      const _id  = await this._insertFile(result);
 
       fileRef = await this.collection.findOneAsync(_id);
       if (proceedAfterUpload === true) {
@@ -1391,24 +2719,7 @@ class FilesCollection extends FilesCollectionCore {
       this._debug(`[FilesCollection] [load] [insert] ${fileName} -> ${this.collectionName}`);
     };
 
-    // check if the file already exists, otherwise create it
-    let mustCreateFileFirst = false;
-    try {
-      const stats = await fs.promises.stat(opts.path);
-      if (!stats.isFile()) {
-        mustCreateFileFirst = true;
-      }
-    } catch (statError) {
-      mustCreateFileFirst = true;
-    }
-    if(mustCreateFileFirst) {
-      const paths = opts.path.split('/');
-      paths.pop();
-      fs.mkdirSync(paths.join('/'), { recursive: true });
-      fs.writeFileSync(opts.path, '');
-    }
-
-    const wStream = fs.createWriteStream(opts.path, {flags: 'w', mode: this.permissions, autoClose: true, emitClose: false });
+    const wStream = this.storage.createWriteStream(opts.path, opts);
     const controller = new AbortController();
 
     try {
@@ -1435,20 +2746,25 @@ class FilesCollection extends FilesCollectionCore {
         throw new Error(`Unexpected response ${res.statusText}`);
       }
 
-      await pipeline(res.body, wStream);
+      const checksumTransform = this.checksums ? createChecksumTransform(this.checksums) : null;
+      const sniffer = this.detectMimeType ? createMimeSniffer() : null;
+      await pipeline(...[res.body, sniffer, checksumTransform, wStream].filter(Boolean));
 
+      const type = opts.type || res.headers.get('content-type') || this._getMimeType({path: opts.path});
       const result = this._dataToSchema({
         name: fileName,
         path: opts.path,
         meta: opts.meta,
-        type: opts.type || res.headers.get('content-type') || this._getMimeType({path: opts.path}),
+        type: sniffer ? this._detectMimeType(type, sniffer.head) : type,
         size: opts.size || parseInt(res.headers.get('content-length') || 0),
         userId: opts.userId,
+        storage: this.storage.name,
+        checksums: checksumTransform ? checksumTransform.checksum.digest() : void 0,
         extension
       });
 
       if (!result.size) {
-        const newStats = await fs.promises.stat(opts.path);
+        const newStats = await this.storage.stat(opts.path);
         result.versions.original.size = (result.size = newStats.size);
         await storeResult(result);
       } else {
@@ -1458,8 +2774,10 @@ class FilesCollection extends FilesCollectionCore {
     } catch(error){
       this._debug(`[FilesCollection] [loadAsync] [fetch(${url})] Error:`, error);
 
-      if (fs.existsSync(opts.path)) {
-        await fs.promises.unlink(opts.path);
+      try {
+        await this.storage.unlink(opts.path);
+      } catch (unlinkError) {
+        // File might not be created yet
       }
 
       throw error;
@@ -1524,12 +2842,29 @@ class FilesCollection extends FilesCollectionCore {
         opts.fileName = path.split(nodePath.sep)[pathParts.length - 1];
       }
 
-      const { extension } = this._getExt(opts.fileName);
+      const { extension, extensionWithDot } = this._getExt(opts.fileName);
 
       if (!helpers.isString(opts.type)) {
         opts.type = this._getMimeType(opts);
       }
 
+      if (this.detectMimeType) {
+        let head;
+        try {
+          const fileHandle = await fs.promises.open(path, 'r');
+          try {
+            const { buffer, bytesRead } = await fileHandle.read(Buffer.alloc(SNIFF_LENGTH), 0, SNIFF_LENGTH, 0);
+            head = buffer.subarray(0, bytesRead);
+          } finally {
+            await fileHandle.close();
+          }
+        } catch (readErr) {
+          this._debug(`[FilesCollection] [addFileAsync] [detectMimeType] Error: ${path}`, readErr);
+          throw new Meteor.Error(400, `[FilesCollection] [addFile(${path})]: File is not readable`);
+        }
+        opts.type = this._detectMimeType(opts.type, head);
+      }
+
       if (!helpers.isObject(opts.meta)) {
         opts.meta = {};
       }
@@ -1538,21 +2873,57 @@ class FilesCollection extends FilesCollectionCore {
         opts.size = stats.size;
       }
 
+      let fileId = (opts.fileId && this.sanitize(opts.fileId, 20, 'a')) || null;
+      let checksums;
+      let storedPath = path;
+      let _storagePath = path.replace(`${nodePath.sep}${opts.fileName}`, '');
+
+      if (!(this.storage instanceof FSStorage)) {
+        // File is on local FS, but collection uses other storage,
+        // copy file's content to the collection's storage
+        fileId = fileId || Random.id();
+        const fsName = this.namingFunction ? this.namingFunction(opts) : fileId;
+        _storagePath = this.storagePath(opts);
+        storedPath = `${_storagePath}${nodePath.sep}${fsName}${extensionWithDot}`;
+
+        const checksumTransform = this.checksums ? createChecksumTransform(this.checksums) : null;
+        try {
+          if (checksumTransform) {
+            await pipeline(fs.createReadStream(path), checksumTransform, this.storage.createWriteStream(storedPath, opts));
+            checksums = checksumTransform.checksum.digest();
+          } else {
+            await pipeline(fs.createReadStream(path), this.storage.createWriteStream(storedPath, opts));
+          }
+        } catch (copyErr) {
+          this._debug(`[FilesCollection] [addFileAsync] [copy] Error: ${path} -> ${storedPath}`, copyErr);
+          throw new Meteor.Error(500, `[FilesCollection] [addFile(${path})]: Can not copy file to "${this.storage.name}" storage`);
+        }
+      } else if (this.checksums) {
+        try {
+          checksums = await checksumStream(fs.createReadStream(path), this.checksums);
+        } catch (readErr) {
+          this._debug(`[FilesCollection] [addFileAsync] [checksums] Error: ${path}`, readErr);
+          throw new Meteor.Error(400, `[FilesCollection] [addFile(${path})]: File is not readable`);
+        }
+      }
+
       const result = this._dataToSchema({
         name: opts.fileName,
-        path,
+        path: storedPath,
         meta: opts.meta,
         type: opts.type,
         size: opts.size,
         userId: opts.userId,
+        storage: this.storage.name,
+        checksums,
         extension,
-        _storagePath: path.replace(`${nodePath.sep}${opts.fileName}`, ''),
-        fileId: (opts.fileId && this.sanitize(opts.fileId, 20, 'a')) || null,
+        _storagePath,
+        fileId,
       });
 
       let _id;
       try {
-        _id = await this.collection.insertAsync(result);
+        _id = await this._insertFile(result);
       } catch (insertErr) {
         this._debug(
           `[FilesCollection] [addFileAsync] [insertAsync] Error: ${result.name} -> ${this.collectionName}`,
@@ -1595,9 +2966,11 @@ class FilesCollection extends FilesCollectionCore {
 
     const files = this.collection.find(selector);
     if (await files.countAsync() > 0) {
-      await files.forEachAsync((file) => {
+      for (const file of await files.fetchAsync()) {
+        // Counted bytes are read from the record, before it's removed
+        await this._releaseUsage(file);
         this.unlink(file);
-      });
+      }
     } else {
       throw new Meteor.Error(404, 'Cursor is empty, no files is removed');
     }
@@ -1682,27 +3055,345 @@ class FilesCollection extends FilesCollectionCore {
    * @param {Object} fileRef - fileObj
    * @param {String} version - [Optional] file's version
    * @param {Function} callback - [Optional] callback function
-   * @summary Unlink files and it's versions from FS
+   * @summary Unlink files and it's versions from storage, bytes counted for unlinked versions are subtracted from tracked quota usage
    * @returns {FilesCollection} Instance
    */
   unlink(fileRef, version, callback) {
     this._debug(`[FilesCollection] [unlink(${fileRef._id}, ${version})]`);
-    if (version) {
-      if (helpers.isObject(fileRef.versions) && helpers.isObject(fileRef.versions[version]) && fileRef.versions[version].path) {
-        fs.unlink(fileRef.versions[version].path, (callback || noop));
+    const done = callback || noop;
+    const unlinkPath = (storage, path) => {
+      storage.unlink(path).then(() => done(), done);
+    };
+
+    const unlinkFiles = () => {
+      if (version) {
+        if (helpers.isObject(fileRef.versions) && helpers.isObject(fileRef.versions[version]) && fileRef.versions[version].path) {
+          unlinkPath(this.getStorage(fileRef, version), fileRef.versions[version].path);
+        }
+      } else {
+        if (helpers.isObject(fileRef.versions)) {
+          for(let vKey in fileRef.versions) {
+            if (fileRef.versions[vKey] && fileRef.versions[vKey].path) {
+              unlinkPath(this.getStorage(fileRef, vKey), fileRef.versions[vKey].path);
+            }
+          }
+        } else {
+          unlinkPath(this.getStorage(fileRef), fileRef.path);
+        }
       }
-    } else {
-      if (helpers.isObject(fileRef.versions)) {
-        for(let vKey in fileRef.versions) {
-          if (fileRef.versions[vKey] && fileRef.versions[vKey].path) {
-            fs.unlink(fileRef.versions[vKey].path, (callback || noop));
+    };
+
+    // Files are unlinked once counted bytes are subtracted, errors of usage tracking are logged and don't stop unlinking
+    this._releaseUsage(fileRef, version).then(unlinkFiles, (error) => {
+      this._debug('[FilesCollection] [unlink] [_releaseUsage] Error:', error);
+      unlinkFiles();
+    });
+    return this;
+  }
+
+  /**
+   * @locus Server
+   * @memberOf FilesCollection
+   * @name getStorage
+   * @param {Object} fileRef - fileObj
+   * @param {String} version - [Optional] file's version, default: `original`
+   * @summary Returns storage adapter used by file's version, falls back to collection's default `storage`
+   * @returns {StorageAdapter} Instance
+   */
+  getStorage(fileRef, version = 'original') {
+    const vRef = (helpers.isObject(fileRef) && helpers.isObject(fileRef.versions) && fileRef.versions[version]) || fileRef;
+    if (helpers.isObject(vRef) && helpers.isString(vRef.storage) && this.storages[vRef.storage]) {
+      return this.storages[vRef.storage];
+    }
+    return this.storage;
+  }
+
+  /**
+   * @locus Server
+   * @memberOf FilesCollection
+   * @name createReadStream
+   * @param {Object} fileRef - fileObj
+   * @param {String} version - [Optional] file's version, default: `original`
+   * @param {Object} opts - [Optional] Byte range to read
+   * @param {Number} opts.start - Offset of the first byte, default: `0`
+   * @param {Number} opts.end - Offset of the last byte (inclusive), default: last byte of file
+   * @summary Read file's version from storage it's stored in, without knowing where file lives
+   * @throws {Meteor.Error} 404 If file's version does not exist, 416 if range is not satisfiable
+   * @returns {stream.Readable}
+   */
+  createReadStream(fileRef, version = 'original', opts = {}) {
+    this._debug(`[FilesCollection] [createReadStream(${fileRef && fileRef._id}, ${version})]`);
+    check(version, String);
+    check(opts, Match.Optional({
+      start: Match.Optional(Match.Where((n) => Number.isInteger(n) && n >= 0)),
+      end: Match.Optional(Match.Where((n) => Number.isInteger(n) && n >= 0))
+    }));
+
+    if (!helpers.isObject(fileRef)) {
+      throw new Meteor.Error(400, '[FilesCollection] [createReadStream()] fileRef must be an Object');
+    }
+
+    let vRef = helpers.isObject(fileRef.versions) ? fileRef.versions[version] : void 0;
+    if (!vRef && version === 'original') {
+      vRef = fileRef;
+    }
+    if (!helpers.isObject(vRef) || !helpers.isString(vRef.path)) {
+      throw new Meteor.Error(404, `[FilesCollection] [createReadStream()] Version "${version}" of file "${fileRef._id}" not found`);
+    }
+
+    let range;
+    if (opts && (helpers.isNumber(opts.start) || helpers.isNumber(opts.end))) {
+      const last = helpers.isNumber(vRef.size) ? (vRef.size - 1) : Infinity;
+      range = {
+        start: opts.start || 0,
+        end: Math.min(helpers.isNumber(opts.end) ? opts.end : last, last)
+      };
+
+      if (range.start > range.end) {
+        throw new Meteor.Error(416, '[FilesCollection] [createReadStream()] Requested range is not satisfiable');
+      }
+    }
+
+    return this.getStorage(fileRef, version).createReadStream(vRef.path, range);
+  }
+
+  /**
+   * @locus Server
+   * @memberOf FilesCollection
+   * @name readAsync
+   * @param {Object} fileRef - fileObj
+   * @param {String} version - [Optional] file's version, default: `original`
+   * @param {Object} opts - [Optional] Byte range to read, see `createReadStream()`
+   * @summary Read file's version (or its range) from storage into `Buffer`
+   * @throws {Meteor.Error} 404 If file's version does not exist in collection or storage
+   * @returns {Promise<Buffer>}
+   */
+  async readAsync(fileRef, version = 'original', opts = {}) {
+    const chunks = [];
+    try {
+      for await (const chunk of this.createReadStream(fileRef, version, opts)) {
+        chunks.push(chunk);
+      }
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'NoSuchKey') {
+        throw new Meteor.Error(404, `[FilesCollection] [readAsync()] File "${fileRef._id}" is not found in storage`);
+      }
+      throw error;
+    }
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * @locus Server
+   * @memberOf FilesCollection
+   * @name verify
+   * @param {Object} fileRef - fileObj
+   * @param {String} version - [Optional] file's version, default: `original`
+   * @summary Read file's version from storage and compare its hashes to stored `checksums`. Result of successful verification is cached as `verifiedAt` on file's version
+   * and lifts its quarantine, concurrent calls for the same file's version are merged
+   * @returns {Promise<Object>} - Object with `valid` {Boolean|null}, `checksums` {Object}, `verifiedAt` {Date} and `error` {Error} properties.
+   * `valid` is `null` when file's version has no stored checksums, or when it can't be read (`error` is set), read errors aren't treated as checksum mismatch
+   */
+  async verify(fileRef, version = 'original') {
+    const vRef = (helpers.isObject(fileRef.versions) && fileRef.versions[version]) || fileRef;
+    if (!this._checksumAlgorithms(vRef).length) {
+      return { valid: null, checksums: null, verifiedAt: null };
+    }
+
+    const key = `${fileRef._id}/${version}`;
+    if (!this._verifications[key]) {
+      this._verifications[key] = (async () => {
+        const { valid, checksums, error } = await this._compareChecksums(this.getStorage(fileRef, version), vRef);
+        if (error) {
+          return { valid, checksums, verifiedAt: null, error };
+        }
+
+        const verifiedAt = valid ? new Date() : null;
+        if (valid) {
+          await this.collection.updateAsync(fileRef._id, {
+            $set: { [`versions.${version}.verifiedAt`]: verifiedAt },
+            $unset: { [`versions.${version}.quarantined`]: '' }
+          });
+          delete vRef.quarantined;
+        } else {
+          this._debug(`[FilesCollection] [verify(${fileRef._id}, ${version})] Checksum mismatch`);
+          await this.collection.updateAsync(fileRef._id, {
+            $unset: { [`versions.${version}.verifiedAt`]: '' }
+          });
+          this.emit('integrityCheckFailed', fileRef, version, checksums);
+        }
+        vRef.verifiedAt = verifiedAt;
+        return { valid, checksums, verifiedAt };
+      })().finally(() => {
+        delete this._verifications[key];
+      });
+    }
+    return this._verifications[key];
+  }
+
+  /**
+   * @locus Server
+   * @memberOf FilesCollection
+   * @name _checksumAlgorithms
+   * @param {Object} vRef - File's version Object
+   * @summary Internal method. Hash algorithms of version's stored `checksums` supported by this server
+   * @returns {[String]}
+   */
+  _checksumAlgorithms(vRef) {
+    return helpers.isObject(vRef.checksums) ? Object.keys(vRef.checksums).filter((algorithm) => crypto.getHashes().includes(algorithm)) : [];
+  }
+
+  /**
+   * @locus Server
+   * @memberOf FilesCollection
+   * @name _compareChecksums
+   * @param {StorageAdapter} storage - Storage to read file's version from
+   * @param {Object} vRef - File's version Object
+   * @summary Internal method. Read file's version from storage and compare its hashes to stored `checksums`
+   * @returns {Promise<Object>} - `{valid, checksums, error}`, `valid` is `null` and `error` is set when file can't be read
+   */
+  async _compareChecksums(storage, vRef) {
+    const algorithms = this._checksumAlgorithms(vRef);
+    let checksums;
+    try {
+      checksums = await checksumStream(storage.createReadStream(vRef.path), algorithms);
+    } catch (error) {
+      this._debug(`[FilesCollection] [_compareChecksums] Can not read "${vRef.path}" from "${storage.name}" Error:`, error);
+      return { valid: null, checksums: null, error };
+    }
+
+    return {
+      valid: algorithms.every((algorithm) => checksums[algorithm] === vRef.checksums[algorithm]),
+      checksums,
+      error: null
+    };
+  }
+
+  /**
+   * @locus Server
+   * @memberOf FilesCollection
+   * @name reconcile
+   * @param {Object}  opts               - [Optional] Options
+   * @param {Boolean} opts.dryRun        - Only report what would be removed and flagged, default: `false`
+   * @param {Boolean} opts.removeOrphans - Remove orphaned files from storage, default: `false`
+   * @param {Boolean} opts.flagBroken    - Set `status: 'broken'` on records with missing files (and unset it once files are found again), default: `false`
+   * @param {Number}  opts.gracePeriod   - Time in seconds, files modified within this period are never treated as orphans, default: `continueUploadTTL`
+   * @summary Walk storage under `storagePath` and collection's records. Find orphans — files in storage without record (like leftovers of crashed uploads), and broken records — which file's versions are missing in storage
+   * @returns {Promise<Object>} - Report with `orphans` [{storage, path, size, mtime}], `broken` [{_id, version, storage, path}], `removed` and `flagged` properties
+   */
+  async reconcile(opts = {}) {
+    check(opts, {
+      dryRun: Match.Optional(Boolean),
+      removeOrphans: Match.Optional(Boolean),
+      flagBroken: Match.Optional(Boolean),
+      gracePeriod: Match.Optional(Number)
+    });
+
+    const { dryRun = false, removeOrphans = false, flagBroken = false, gracePeriod = this.continueUploadTTL } = opts;
+    this._debug(`[FilesCollection] [reconcile(${JSON.stringify(opts)})]`);
+
+    const report = { orphans: [], broken: [], removed: 0, flagged: 0, dryRun };
+    // Compare paths regardless of separators and leading slash, as some storages use keys instead of paths
+    const normalize = (path) => path.replace(/\\/g, '/').replace(/^\/+/, '');
+    const known = {};
+    const track = (storage, path) => {
+      if (!known[storage.name]) {
+        known[storage.name] = {};
+      }
+      known[storage.name][normalize(path)] = true;
+    };
+
+    const files = await this.collection.find({}, {
+      fields: { _id: 1, path: 1, versions: 1, status: 1 }
+    }).fetchAsync();
+
+    for (const fileRef of files) {
+      const versions = helpers.isObject(fileRef.versions) ? Object.keys(fileRef.versions) : [];
+      let isBroken = false;
+
+      for (const version of versions) {
+        const vRef = fileRef.versions[version];
+        if (!helpers.isObject(vRef) || !helpers.isString(vRef.path)) {
+          continue;
+        }
+
+        const storage = this.getStorage(fileRef, version);
+        track(storage, vRef.path);
+        try {
+          await storage.stat(vRef.path);
+        } catch (statErr) {
+          if (statErr.code !== 'ENOENT') {
+            throw statErr;
           }
+          isBroken = true;
+          report.broken.push({ _id: fileRef._id, version, storage: storage.name, path: vRef.path });
+        }
+      }
+
+      if (helpers.isString(fileRef.path)) {
+        track(this.getStorage(fileRef), fileRef.path);
+      }
+
+      if (flagBroken && isBroken !== (fileRef.status === 'broken')) {
+        ++report.flagged;
+        if (!dryRun) {
+          await this.collection.updateAsync(fileRef._id, isBroken ? { $set: { status: 'broken' } } : { $unset: { status: '' } });
         }
-      } else {
-        fs.unlink(fileRef.path, (callback || noop));
       }
     }
-    return this;
+
+    // Files of unfinished uploads are not orphans
+    for (const _id of Object.keys(this._currentUploads)) {
+      const upload = this._currentUploads[_id];
+      if (upload && helpers.isString(upload.path)) {
+        track(this.storage, upload.path);
+      }
+    }
+
+    if (this._preCollection) {
+      const uploads = await this._preCollection.find({}, { fields: { file: 1 } }).fetchAsync();
+      for (const upload of uploads) {
+        if (helpers.isObject(upload.file) && helpers.isString(upload.file.path)) {
+          track(this.getStorage(upload.file), upload.file.path);
+        }
+      }
+    }
+
+    const storages = [this.storage];
+    for (const storage of Object.values(this.storages)) {
+      if (!storages.includes(storage)) {
+        storages.push(storage);
+      }
+    }
+
+    const root = this.storagePath({});
+    const modifiedAfter = Date.now() - (gracePeriod * 1000);
+    for (const storage of storages) {
+      try {
+        for await (const entry of storage.list(root)) {
+          const isKnown = known[storage.name] && known[storage.name][normalize(entry.path)];
+          if (isKnown || (entry.mtime && new Date(entry.mtime).getTime() > modifiedAfter)) {
+            continue;
+          }
+
+          report.orphans.push({ storage: storage.name, path: entry.path, size: entry.size, mtime: entry.mtime });
+          if (removeOrphans) {
+            ++report.removed;
+            if (!dryRun) {
+              await storage.unlink(entry.path);
+            }
+          }
+        }
+      } catch (listErr) {
+        if (listErr.error !== 501) {
+          throw listErr;
+        }
+        this._debug(`[FilesCollection] [reconcile] Storage "${storage.name}" can not be listed, skipping`);
+      }
+    }
+
+    this.emit('reconciled', report);
+    return report;
   }
 
   /**
@@ -1728,6 +3419,57 @@ class FilesCollection extends FilesCollectionCore {
     }
   }
 
+  /**
+   * @locus Server
+   * @memberOf FilesCollection
+   * @name _integrityFailure
+   * @param {Object} http    - Server HTTP object
+   * @param {Object} fileRef - Requested file Object
+   * @param {Object} vRef    - Requested file's version Object
+   * @param {String} version - Requested file version
+   * @param {Error} readError - [Optional] Error, when file's version couldn't be read to verify it
+   * @summary Internal method. Respond to request of file which failed checksum verification, according to `verifyChecksums.onFailure` policy.
+   * Files which couldn't be read aren't quarantined, read error may be temporary
+   * @returns {Promise<undefined>}
+   */
+  async _integrityFailure(http, fileRef, vRef, version, readError) {
+    const { onFailure, replica } = this.verifyChecksums;
+    this._debug(`[FilesCollection] [download(${http.request.originalUrl}, ${version})] [_integrityFailure] Policy: ${helpers.isFunction(onFailure) ? 'function' : onFailure}`);
+
+    if (helpers.isFunction(onFailure)) {
+      await onFailure.call(this, http, fileRef, version);
+    } else if (onFailure === 'quarantine' && !vRef.quarantined && !readError) {
+      await this.collection.updateAsync(fileRef._id, {
+        $set: { [`versions.${version}.quarantined`]: true }
+      });
+    } else if (onFailure === 'replica') {
+      const replicaRef = helpers.clone(fileRef);
+      const replicaVRef = Object.assign({}, vRef, { storage: replica });
+      replicaRef.versions[version] = replicaVRef;
+
+      try {
+        const stats = await this.storages[replica].stat(vRef.path);
+        if (stats.isFile() && stats.size === vRef.size && (await this._compareChecksums(this.storages[replica], vRef)).valid === true) {
+          this.serve(http, replicaRef, replicaVRef, version);
+          return void 0;
+        }
+        this._debug(`[FilesCollection] [download(${http.request.originalUrl}, ${version})] [_integrityFailure] Replica doesn't match stored checksums`);
+      } catch (statErr) {
+        this._debug(`[FilesCollection] [download(${http.request.originalUrl}, ${version})] [_integrityFailure] Replica is not available`, statErr);
+      }
+    }
+
+    if (!http.response.headersSent) {
+      const text = 'File integrity check failed';
+      http.response.writeHead(500, {
+        'Content-Type': 'text/plain',
+        'Content-Length': text.length
+      });
+      http.response.end(text);
+    }
+    return void 0;
+  }
+
   /**
    * @locus Server
    * @memberOf FilesCollection
@@ -1779,10 +3521,22 @@ class FilesCollection extends FilesCollectionCore {
         return void 0;
       }
 
+      const storage = this.getStorage(fileRef, version);
+      const redirectURL = await storage.getRedirectURL(vRef.path, vRef);
+      if (redirectURL) {
+        this._debug(`[FilesCollection] [download(${http.request.originalUrl}, ${version})] [302] Redirect to storage`);
+        http.response.writeHead(302, {
+          Location: redirectURL,
+          'Cache-Control': 'no-cache, no-store'
+        });
+        http.response.end();
+        return void 0;
+      }
+
       let stats;
 
       try {
-        stats = await fs.promises.stat(vRef.path);
+        stats = await storage.stat(vRef.path);
       } catch (statErr){
         if (statErr) {
           return this._404(http);
@@ -1801,6 +3555,20 @@ class FilesCollection extends FilesCollectionCore {
         responseType = '400';
       }
 
+      if (!responseType && this.verifyChecksums) {
+        if (vRef.quarantined) {
+          return this._integrityFailure(http, fileRef, vRef, version);
+        }
+
+        const verifiedAt = vRef.verifiedAt ? +new Date(vRef.verifiedAt) : 0;
+        if (helpers.isObject(vRef.checksums) && (Date.now() - verifiedAt) > (this.verifyChecksums.interval * 1000)) {
+          const verification = await this.verify(fileRef, version);
+          if (verification.valid === false || verification.error) {
+            return this._integrityFailure(http, fileRef, vRef, version, verification.error);
+          }
+        }
+      }
+
       this.serve(
         http,
         fileRef,
@@ -1938,7 +3706,8 @@ class FilesCollection extends FilesCollectionCore {
         }
       };
 
-      if (!http.response.headersSent && readableStream) {
+      if (!http.response.headersSent && (readableStream || !(stream instanceof fs.ReadStream))) {
+        // Only `fs.ReadStream` emits "open" event
         http.response.writeHead(code);
       }
 
@@ -2001,17 +3770,17 @@ class FilesCollection extends FilesCollectionCore {
       if (!http.response.headersSent) {
         http.response.setHeader('Content-Range', `bytes ${reqRange.start}-${reqRange.end}/${vRef.size}`);
       }
-      respond(readableStream || fs.createReadStream(vRef.path, {start: reqRange.start, end: reqRange.end}), 206);
+      respond(readableStream || this.getStorage(fileRef, version).createReadStream(vRef.path, {start: reqRange.start, end: reqRange.end}), 206);
       break;
     default:
       if (!http.response.headersSent) {
         http.response.setHeader('Content-Length', `${vRef.size}`);
       }
       this._debug(`[FilesCollection] [serve(${vRef.path}, ${version})] [200]`);
-      respond(readableStream || fs.createReadStream(vRef.path), 200);
+      respond(readableStream || this.getStorage(fileRef, version).createReadStream(vRef.path), 200);
       break;
     }
   }
 }
 
-export { FilesCollection, helpers };
+export { FilesCollection, helpers, StorageAdapter, FSStorage, GridFSStorage, S3Storage, MemoryStorage };
@@ -0,0 +1,299 @@
+import { Meteor } from 'meteor/meteor';
+import { MongoInternals } from 'meteor/mongo';
+import { StorageAdapter } from './storage.js';
+import { helpers } from './lib.js';
+
+const noop = () => {};
+
+/*
+ * @const {Function} enoent - Create "file not found" error, compatible with `fs` errors
+ */
+const enoent = (path) => {
+  const error = new Error(`[FilesCollection] [GridFSStorage] ENOENT: no such file "${path}"`);
+  error.code = 'ENOENT';
+  return error;
+};
+
+/**
+ * @private
+ * @locus Server
+ * @class GridFSUploadStream
+ * @param storage {GridFSStorage} - Storage instance
+ * @param path    {String} - GridFS file name
+ * @param file    {Object} - Upload session object
+ * @summary Writes upload chunks directly as GridFS chunks; chunks may arrive in any order and can be re-sent
+ */
+class GridFSUploadStream {
+  constructor(storage, path, file) {
+    this.storage = storage;
+    this.path = path;
+    this.file = file;
+    this.maxLength = file.fileLength;
+    this.filesId = `${file._id || file.fileId}`;
+    this.ended = false;
+    this.aborted = false;
+    this.writtenChunks = 0;
+  }
+
+  /**
+   * @memberOf GridFSUploadStream
+   * @name write
+   * @param {Number} num - Chunk position in a stream
+   * @param {Buffer} chunk - Buffer (chunk binary data)
+   * @param {Function} callback - Callback
+   * @summary Upsert chunk document at its position
+   * @returns {Boolean}
+   */
+  write(num, chunk, callback) {
+    if (!this.aborted && !this.ended) {
+      this.storage._chunks().then((chunks) => {
+        return chunks.updateOne({ files_id: this.filesId, n: num - 1 }, {
+          $set: { data: chunk }
+        }, { upsert: true });
+      }).then(() => {
+        ++this.writtenChunks;
+        callback && callback(void 0, chunk.length, chunk);
+      }, (error) => {
+        Meteor._debug('[FilesCollection] [GridFSStorage] [write] [Error:]', error);
+        callback && callback(error);
+        this.abort();
+      });
+    }
+    return false;
+  }
+
+  /**
+   * @memberOf GridFSUploadStream
+   * @name end
+   * @param {Function} callback - Callback
+   * @summary Insert GridFS file document, only after all chunks are written
+   * @returns {Boolean}
+   */
+  end(callback) {
+    if (this.aborted || this.ended) {
+      callback && callback(void 0, this.ended);
+      return false;
+    }
+
+    this.storage._chunks().then(async (chunks) => {
+      const written = await chunks.countDocuments({ files_id: this.filesId });
+      if (written < this.maxLength) {
+        Meteor.setTimeout(() => {
+          this.end(callback);
+        }, 25);
+        return;
+      }
+
+      const last = await chunks.findOne({ files_id: this.filesId, n: this.maxLength - 1 }, { projection: { data: 1 } });
+      let lastLength = 0;
+      if (last && last.data) {
+        // `data` is BSON `Binary`
+        lastLength = helpers.isFunction(last.data.length) ? last.data.length() : last.data.length;
+      }
+
+      await this.storage._files().replaceOne({ _id: this.filesId }, {
+        length: ((this.maxLength - 1) * this.file.chunkSize) + lastLength,
+        chunkSize: this.file.chunkSize,
+        uploadDate: new Date(),
+        filename: this.path,
+        metadata: { fileId: this.filesId }
+      }, { upsert: true });
+
+      this.ended = true;
+      callback && callback(void 0, true);
+    }).catch((error) => {
+      Meteor._debug('[FilesCollection] [GridFSStorage] [end] [Error:]', error);
+      callback && callback(error);
+    });
+    return false;
+  }
+
+  /**
+   * @memberOf GridFSUploadStream
+   * @name abort
+   * @param {Function} callback - Callback
+   * @summary Aborts upload, removes written chunks
+   * @returns {Boolean} - True
+   */
+  abort(callback) {
+    this.aborted = true;
+    Promise.all([
+      this.storage._chunks().then((chunks) => chunks.deleteMany({ files_id: this.filesId })),
+      this.storage._files().deleteOne({ _id: this.filesId })
+    ]).then(() => {
+      (callback || noop)();
+    }).catch(callback || noop);
+    return true;
+  }
+
+  /**
+   * @memberOf GridFSUploadStream
+   * @name stop
+   * @summary Stop writing to upload stream
+   * @returns {Boolean} - True
+   */
+  stop() {
+    this.aborted = true;
+    return true;
+  }
+}
+
+/**
+ * @locus Server
+ * @class GridFSStorage
+ * @param opts                {Object} - Adapter options
+ * @param opts.name           {String} - Adapter name, default: `gridfs`
+ * @param opts.bucketName     {String} - GridFS bucket name, default: `fs`
+ * @param opts.chunkSizeBytes {Number} - GridFS chunk size for files written with `write()` and `load()`, default: 261120 (255 kB). Uploaded files use upload's chunk size
+ * @param opts.db             {Db}     - MongoDB `Db` instance, default: Meteor's default database
+ * @summary Storage adapter storing files in MongoDB GridFS bucket, file's `path` is used as GridFS `filename`
+ */
+class GridFSStorage extends StorageAdapter {
+  constructor(opts = {}) {
+    super(Object.assign({ name: 'gridfs' }, opts));
+    this.resumableUploads = true;
+    this.bucketName = helpers.isString(opts.bucketName) ? opts.bucketName : 'fs';
+    this.chunkSizeBytes = helpers.isNumber(opts.chunkSizeBytes) ? opts.chunkSizeBytes : 261120;
+    this.db = opts.db || null;
+    this.__bucket = null;
+    this.__indexes = null;
+  }
+
+  /**
+   * @memberOf GridFSStorage
+   * @name _db
+   * @summary Internal method. Returns MongoDB `Db` instance
+   * @returns {Db}
+   */
+  _db() {
+    return this.db || MongoInternals.defaultRemoteCollectionDriver().mongo.db;
+  }
+
+  /**
+   * @memberOf GridFSStorage
+   * @name _bucket
+   * @summary Internal method. Returns (and creates on first call) `GridFSBucket` instance
+   * @returns {GridFSBucket}
+   */
+  _bucket() {
+    if (!this.__bucket) {
+      this.__bucket = new MongoInternals.NpmModules.mongodb.module.GridFSBucket(this._db(), {
+        bucketName: this.bucketName,
+        chunkSizeBytes: this.chunkSizeBytes
+      });
+    }
+    return this.__bucket;
+  }
+
+  /**
+   * @memberOf GridFSStorage
+   * @name _files
+   * @summary Internal method. Returns bucket's files collection
+   * @returns {Collection}
+   */
+  _files() {
+    return this._db().collection(`${this.bucketName}.files`);
+  }
+
+  /**
+   * @memberOf GridFSStorage
+   * @name _chunks
+   * @summary Internal method. Returns bucket's chunks collection, ensures indexes required by GridFS spec
+   * @returns {Promise<Collection>}
+   */
+  async _chunks() {
+    const chunks = this._db().collection(`${this.bucketName}.chunks`);
+    if (!this.__indexes) {
+      this.__indexes = Promise.all([
+        chunks.createIndex({ files_id: 1, n: 1 }, { unique: true }),
+        this._files().createIndex({ filename: 1, uploadDate: 1 })
+      ]);
+    }
+    await this.__indexes;
+    return chunks;
+  }
+
+  /**
+   * @memberOf GridFSStorage
+   * @name _findFile
+   * @param {String} path - GridFS file name
+   * @summary Internal method. Returns latest revision of GridFS file document
+   * @returns {Promise<Object|null>}
+   */
+  async _findFile(path) {
+    const files = await this._bucket().find({ filename: path }).sort({ uploadDate: -1 }).limit(1).toArray();
+    return files[0] || null;
+  }
+
+  createUploadStream(path, file) {
+    return new GridFSUploadStream(this, path, file);
+  }
+
+  createWriteStream(path, opts = {}) {
+    return this._bucket().openUploadStream(path, {
+      chunkSizeBytes: this.chunkSizeBytes,
+      contentType: helpers.isString(opts.type) ? opts.type : void 0
+    });
+  }
+
+  createReadStream(path, opts = {}) {
+    if (helpers.isNumber(opts.start) && helpers.isNumber(opts.end)) {
+      // GridFS `end` is exclusive
+      return this._bucket().openDownloadStreamByName(path, { start: opts.start, end: opts.end + 1 });
+    }
+    return this._bucket().openDownloadStreamByName(path);
+  }
+
+  async stat(path) {
+    const file = await this._findFile(path);
+    if (!file) {
+      throw enoent(path);
+    }
+
+    return {
+      size: file.length,
+      mtime: file.uploadDate,
+      isFile() {
+        return true;
+      }
+    };
+  }
+
+  async *list(path) {
+    const prefix = path.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const cursor = this._files().find({ filename: { $regex: `^${prefix}` } }, {
+      projection: { filename: 1, length: 1, uploadDate: 1 },
+      sort: { filename: 1, uploadDate: -1 }
+    });
+
+    let previous = null;
+    for await (const file of cursor) {
+      // Skip older revisions
+      if (file.filename !== previous) {
+        previous = file.filename;
+        yield { path: file.filename, size: file.length, mtime: file.uploadDate };
+      }
+    }
+  }
+
+  async unlink(path) {
+    const files = await this._bucket().find({ filename: path }).toArray();
+    if (!files.length) {
+      throw enoent(path);
+    }
+
+    for (const file of files) {
+      await this._bucket().delete(file._id);
+    }
+  }
+
+  async move(from, to) {
+    const file = await this._findFile(from);
+    if (!file) {
+      throw enoent(from);
+    }
+    await this._bucket().rename(file._id, to);
+  }
+}
+
+export { GridFSStorage };
@@ -0,0 +1,240 @@
+import { Meteor } from 'meteor/meteor';
+import { Readable, Writable } from 'stream';
+import { StorageAdapter } from './storage.js';
+import { helpers } from './lib.js';
+
+/*
+ * @const {Number} END_TIMEOUT - Time in ms `end()` waits for missing chunks, counted from `end()` call or last received chunk
+ */
+const END_TIMEOUT = 30000;
+
+/*
+ * @const {Function} enoent - Create "file not found" error, compatible with `fs` errors
+ */
+const enoent = (path) => {
+  const error = new Error(`[FilesCollection] [MemoryStorage] ENOENT: no such file "${path}"`);
+  error.code = 'ENOENT';
+  return error;
+};
+
+/**
+ * @private
+ * @locus Server
+ * @class MemoryUploadStream
+ * @param storage {MemoryStorage} - Storage instance
+ * @param path    {String} - Destination path
+ * @param file    {Object} - Upload session object
+ * @summary Keeps upload chunks in memory, concatenates them into file on EOF
+ */
+class MemoryUploadStream {
+  constructor(storage, path, file) {
+    this.storage = storage;
+    this.path = path;
+    this.file = file;
+    this.maxLength = file.fileLength;
+    this.chunks = {};
+    this.ended = false;
+    this.aborted = false;
+    this.writtenChunks = 0;
+    this.endTimeout = END_TIMEOUT;
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * @memberOf MemoryUploadStream
+   * @name write
+   * @param {Number} num - Chunk position in a stream
+   * @param {Buffer} chunk - Buffer (chunk binary data)
+   * @param {Function} callback - Callback
+   * @summary Keep chunk at its position
+   * @returns {Boolean}
+   */
+  write(num, chunk, callback) {
+    if (!this.aborted && !this.ended) {
+      if (!this.chunks[num]) {
+        ++this.writtenChunks;
+      }
+      this.chunks[num] = chunk;
+      this.updatedAt = Date.now();
+      callback && callback(void 0, chunk.length, chunk);
+    }
+    return false;
+  }
+
+  /**
+   * @memberOf MemoryUploadStream
+   * @name end
+   * @param {Function} callback - Callback
+   * @param {Number} startedAt - Internal. Time of first `end()` call
+   * @summary Concatenate chunks into file, only after all chunks are written.
+   * Fails with `incomplete-upload` when chunks are still missing `endTimeout` ms after `end()` call or last received chunk
+   * @returns {Boolean}
+   */
+  end(callback, startedAt = Date.now()) {
+    if (this.aborted || this.ended) {
+      callback && callback(void 0, this.ended);
+      return false;
+    }
+
+    if (this.writtenChunks < this.maxLength) {
+      if ((Date.now() - Math.max(startedAt, this.updatedAt)) > this.endTimeout) {
+        callback && callback(new Meteor.Error(400, `Upload is incomplete, ${this.writtenChunks} of ${this.maxLength} chunks received`, 'incomplete-upload'));
+        return false;
+      }
+
+      Meteor.setTimeout(() => {
+        this.end(callback, startedAt);
+      }, 25);
+      return false;
+    }
+
+    const data = Buffer.concat(Object.keys(this.chunks).sort((a, b) => a - b).map((num) => this.chunks[num]));
+    this.storage._set(this.path, data);
+    this.chunks = {};
+    this.ended = true;
+    callback && callback(void 0, true);
+    return false;
+  }
+
+  /**
+   * @memberOf MemoryUploadStream
+   * @name abort
+   * @param {Function} callback - Callback
+   * @summary Aborts upload, frees written chunks
+   * @returns {Boolean} - True
+   */
+  abort(callback) {
+    this.aborted = true;
+    this.chunks = {};
+    if (this.ended) {
+      this.storage.files.delete(this.path);
+    }
+    callback && callback();
+    return true;
+  }
+
+  /**
+   * @memberOf MemoryUploadStream
+   * @name stop
+   * @summary Stop writing to upload stream
+   * @returns {Boolean} - True
+   */
+  stop() {
+    this.aborted = true;
+    this.chunks = {};
+    return true;
+  }
+}
+
+/**
+ * @locus Server
+ * @class MemoryStorage
+ * @param opts      {Object} - Adapter options
+ * @param opts.name {String} - Adapter name, default: `memory`
+ * @summary Storage adapter keeping files in server's memory. Files are lost on restart, use it in tests and ephemeral (preview/sandbox) deployments
+ */
+class MemoryStorage extends StorageAdapter {
+  constructor(opts = {}) {
+    super(Object.assign({ name: 'memory' }, opts));
+    this.files = new Map();
+  }
+
+  /**
+   * @memberOf MemoryStorage
+   * @name _set
+   * @param {String} path - Path to file
+   * @param {Buffer} data - File's content
+   * @summary Internal method. Save file's content
+   * @returns {void}
+   */
+  _set(path, data) {
+    this.files.set(path, { data, mtime: new Date() });
+  }
+
+  /**
+   * @memberOf MemoryStorage
+   * @name clear
+   * @summary Remove all files from storage, handy in tests' `afterEach` hooks
+   * @returns {void}
+   */
+  clear() {
+    this.files.clear();
+  }
+
+  createUploadStream(path, file) {
+    return new MemoryUploadStream(this, path, file);
+  }
+
+  createWriteStream(path) {
+    const chunks = [];
+    return new Writable({
+      write: (chunk, encoding, cb) => {
+        chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding));
+        cb();
+      },
+      final: (cb) => {
+        this._set(path, Buffer.concat(chunks));
+        cb();
+      }
+    });
+  }
+
+  createReadStream(path, opts = {}) {
+    const file = this.files.get(path);
+    return new Readable({
+      read() {
+        if (!file) {
+          this.destroy(enoent(path));
+          return;
+        }
+
+        if (helpers.isNumber(opts.start) && helpers.isNumber(opts.end)) {
+          this.push(file.data.subarray(opts.start, opts.end + 1));
+        } else {
+          this.push(file.data);
+        }
+        this.push(null);
+      }
+    });
+  }
+
+  async stat(path) {
+    const file = this.files.get(path);
+    if (!file) {
+      throw enoent(path);
+    }
+
+    return {
+      size: file.data.length,
+      mtime: file.mtime,
+      isFile() {
+        return true;
+      }
+    };
+  }
+
+  async *list(path) {
+    for (const [filePath, file] of this.files) {
+      if (filePath.startsWith(path)) {
+        yield { path: filePath, size: file.data.length, mtime: file.mtime };
+      }
+    }
+  }
+
+  async unlink(path) {
+    if (!this.files.delete(path)) {
+      throw enoent(path);
+    }
+  }
+
+  async move(from, to) {
+    const file = this.files.get(from);
+    if (!file) {
+      throw enoent(from);
+    }
+    this.files.set(to, file);
+    this.files.delete(from);
+  }
+}
+
+export { MemoryStorage };
@@ -0,0 +1,452 @@
+import { Meteor } from 'meteor/meteor';
+import { check, Match } from 'meteor/check';
+import { PassThrough, Writable } from 'stream';
+import { StorageAdapter } from './storage.js';
+import { helpers } from './lib.js';
+
+const noop = () => {};
+
+/*
+ * @const {Number} END_TIMEOUT - Time in ms `end()` waits for missing chunks, counted from `end()` call, last received chunk or uploaded part
+ */
+const END_TIMEOUT = 30000;
+
+/*
+ * @const {Function} enoent - Create "file not found" error, compatible with `fs` errors
+ */
+const enoent = (key, error) => {
+  const notFound = new Error(`[FilesCollection] [S3Storage] ENOENT: no such object "${key}"`);
+  notFound.code = 'ENOENT';
+  notFound.details = error;
+  return notFound;
+};
+
+/*
+ * @const {Function} isNotFound - Check if S3 error means missing object, compatible with aws-sdk v2 and v3
+ */
+const isNotFound = (error) => {
+  if (!error) {
+    return false;
+  }
+  const statusCode = error.statusCode || (error.$metadata && error.$metadata.httpStatusCode);
+  return statusCode === 404 || error.code === 'NotFound' || error.code === 'NoSuchKey' || error.name === 'NotFound' || error.name === 'NoSuchKey';
+};
+
+/**
+ * @private
+ * @locus Server
+ * @class S3MultipartUpload
+ * @param storage {S3Storage} - Storage instance
+ * @param key     {String} - Object key
+ * @param type    {String} - Object's content type
+ * @summary Multipart upload wrapper: lazily initiates upload, uploads parts and completes or aborts it
+ */
+class S3MultipartUpload {
+  constructor(storage, key, type) {
+    this.storage = storage;
+    this.key = key;
+    this.type = type;
+    this.etags = {};
+    this.uploadId = null;
+    this.completed = false;
+  }
+
+  async init() {
+    if (!this.uploadId) {
+      this.uploadId = this.storage._call('createMultipartUpload', {
+        Bucket: this.storage.bucket,
+        Key: this.key,
+        ContentType: this.type
+      }).then((res) => res.UploadId);
+    }
+    return this.uploadId;
+  }
+
+  async uploadPart(partNumber, body) {
+    const res = await this.storage._call('uploadPart', {
+      Bucket: this.storage.bucket,
+      Key: this.key,
+      UploadId: await this.init(),
+      PartNumber: partNumber,
+      Body: body
+    });
+    this.etags[partNumber] = res.ETag;
+  }
+
+  async complete() {
+    const parts = Object.keys(this.etags).map((partNumber) => ({
+      ETag: this.etags[partNumber],
+      PartNumber: parseInt(partNumber)
+    })).sort((a, b) => a.PartNumber - b.PartNumber);
+
+    await this.storage._call('completeMultipartUpload', {
+      Bucket: this.storage.bucket,
+      Key: this.key,
+      UploadId: await this.init(),
+      MultipartUpload: { Parts: parts }
+    });
+    this.completed = true;
+  }
+
+  async abort() {
+    if (this.uploadId && !this.completed) {
+      await this.storage._call('abortMultipartUpload', {
+        Bucket: this.storage.bucket,
+        Key: this.key,
+        UploadId: await this.uploadId
+      });
+    }
+  }
+}
+
+/**
+ * @private
+ * @locus Server
+ * @class S3UploadStream
+ * @param storage {S3Storage} - Storage instance
+ * @param path    {String} - Object key
+ * @param file    {Object} - Upload session object
+ * @summary Groups upload chunks into S3 multipart parts of at least `partSize` bytes and uploads each part as soon as all its chunks are received. Completes multipart upload on EOF
+ */
+class S3UploadStream {
+  constructor(storage, path, file) {
+    this.storage = storage;
+    this.path = path;
+    this.file = file;
+    this.maxLength = file.fileLength;
+    this.chunksPerPart = Math.max(1, Math.ceil(storage.partSize / file.chunkSize));
+    this.partsLength = Math.ceil(this.maxLength / this.chunksPerPart);
+    this.multipart = new S3MultipartUpload(storage, storage._key(path), (helpers.isObject(file.file) && file.file.type) || void 0);
+    this.parts = {};
+    this.pending = 0;
+    this.ended = false;
+    this.aborted = false;
+    this.writtenChunks = 0;
+    this.endTimeout = END_TIMEOUT;
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * @memberOf S3UploadStream
+   * @name write
+   * @param {Number} num - Chunk position in a stream
+   * @param {Buffer} chunk - Buffer (chunk binary data)
+   * @param {Function} callback - Callback
+   * @summary Buffer chunk, upload part when all its chunks are received
+   * @returns {Boolean}
+   */
+  write(num, chunk, callback) {
+    if (this.aborted || this.ended) {
+      return false;
+    }
+
+    const partNumber = Math.ceil(num / this.chunksPerPart);
+    if (this.multipart.etags[partNumber]) {
+      // Chunk is re-sent, but its part is already uploaded
+      callback && callback(void 0, chunk.length, chunk);
+      return false;
+    }
+
+    if (!this.parts[partNumber]) {
+      this.parts[partNumber] = { chunks: {}, received: 0, uploading: false };
+    }
+
+    const part = this.parts[partNumber];
+    this.updatedAt = Date.now();
+    if (!part.chunks[num]) {
+      ++part.received;
+      ++this.writtenChunks;
+    }
+    part.chunks[num] = chunk;
+
+    const partLength = (partNumber === this.partsLength) ? (this.maxLength - ((partNumber - 1) * this.chunksPerPart)) : this.chunksPerPart;
+    if (part.received < partLength || part.uploading) {
+      callback && callback(void 0, chunk.length, chunk);
+      return false;
+    }
+
+    part.uploading = true;
+    ++this.pending;
+    const body = Buffer.concat(Object.keys(part.chunks).sort((a, b) => a - b).map((n) => part.chunks[n]));
+    this.multipart.uploadPart(partNumber, body).then(() => {
+      --this.pending;
+      this.updatedAt = Date.now();
+      delete this.parts[partNumber];
+      callback && callback(void 0, chunk.length, chunk);
+    }, (error) => {
+      --this.pending;
+      Meteor._debug('[FilesCollection] [S3Storage] [uploadPart] [Error:]', error);
+      callback && callback(error);
+      this.abort();
+    });
+    return false;
+  }
+
+  /**
+   * @memberOf S3UploadStream
+   * @name end
+   * @param {Function} callback - Callback
+   * @param {Number} startedAt - Internal. Time of first `end()` call
+   * @summary Completes multipart upload, only after all parts are uploaded.
+   * Fails with `incomplete-upload` when chunks are still missing `endTimeout` ms after `end()` call, last received chunk or uploaded part
+   * @returns {Boolean}
+   */
+  end(callback, startedAt = Date.now()) {
+    if (this.aborted || this.ended) {
+      callback && callback(void 0, this.ended);
+      return false;
+    }
+
+    if (this.pending > 0 || Object.keys(this.multipart.etags).length < this.partsLength) {
+      if (this.pending === 0 && (Date.now() - Math.max(startedAt, this.updatedAt)) > this.endTimeout) {
+        callback && callback(new Meteor.Error(400, `Upload is incomplete, ${this.writtenChunks} of ${this.maxLength} chunks received`, 'incomplete-upload'));
+        return false;
+      }
+
+      Meteor.setTimeout(() => {
+        this.end(callback, startedAt);
+      }, 25);
+      return false;
+    }
+
+    this.multipart.complete().then(() => {
+      this.ended = true;
+      callback && callback(void 0, true);
+    }, (error) => {
+      Meteor._debug('[FilesCollection] [S3Storage] [completeMultipartUpload] [Error:]', error);
+      callback && callback(error);
+    });
+    return false;
+  }
+
+  /**
+   * @memberOf S3UploadStream
+   * @name abort
+   * @param {Function} callback - Callback
+   * @summary Aborts multipart upload, frees buffered chunks
+   * @returns {Boolean} - True
+   */
+  abort(callback) {
+    this.aborted = true;
+    this.parts = {};
+    const done = callback || noop;
+    const abort = this.ended ? this.storage.unlink(this.path) : this.multipart.abort();
+    abort.then(() => done(), done);
+    return true;
+  }
+
+  /**
+   * @memberOf S3UploadStream
+   * @name stop
+   * @summary Stop writing, frees buffered chunks
+   * @returns {Boolean} - True
+   */
+  stop() {
+    this.aborted = true;
+    this.parts = {};
+    return true;
+  }
+}
+
+/**
+ * @locus Server
+ * @class S3Storage
+ * @param opts          {Object}   - Adapter options
+ * @param opts.client   {S3}       - S3 client instance, `S3` from `aws-sdk` (v2) or aggregated `S3` from `@aws-sdk/client-s3` (v3), works with any S3-compatible storage
+ * @param opts.bucket   {String}   - Bucket name
+ * @param opts.name     {String}   - Adapter name, default: `s3`
+ * @param opts.partSize {Number}   - Multipart upload part size in bytes, default: 5242880 (5 MB, minimum allowed by S3)
+ * @param opts.redirect {Boolean}  - Respond with `302` redirect to presigned URL instead of proxying file, default: `false`
+ * @param opts.presign  {Function} - Function returning (or resolving) presigned URL, arguments: `key`, `{ expires }`. Required for `redirect` with aws-sdk v3
+ * @param opts.expires  {Number}   - Presigned URL TTL in seconds, default: 300
+ * @summary Storage adapter storing files in S3 or S3-compatible object storage, file's `path` is used as object's key
+ */
+class S3Storage extends StorageAdapter {
+  constructor(opts = {}) {
+    super(Object.assign({ name: 's3' }, opts));
+    check(opts.client, Match.Where((client) => helpers.isObject(client) && helpers.isFunction(client.uploadPart)));
+    check(opts.bucket, String);
+    check(opts.presign, Match.Optional(Function));
+
+    this.client = opts.client;
+    this.bucket = opts.bucket;
+    this.partSize = helpers.isNumber(opts.partSize) ? opts.partSize : 5242880;
+    this.redirect = opts.redirect === true;
+    this.presign = opts.presign || false;
+    this.expires = helpers.isNumber(opts.expires) ? opts.expires : 300;
+  }
+
+  /**
+   * @memberOf S3Storage
+   * @name _call
+   * @param {String} method - S3 client method name
+   * @param {Object} params - Request params
+   * @summary Internal method. Call S3 client method, compatible with aws-sdk v2 and v3
+   * @returns {Promise<Object>}
+   */
+  _call(method, params) {
+    const res = this.client[method](params);
+    if (res && helpers.isFunction(res.promise)) {
+      return res.promise();
+    }
+    return Promise.resolve(res);
+  }
+
+  /**
+   * @memberOf S3Storage
+   * @name _key
+   * @param {String} path - File's path
+   * @summary Internal method. Convert file's path to object's key
+   * @returns {String}
+   */
+  _key(path) {
+    return path.replace(/\\/g, '/').replace(/^\/+/, '');
+  }
+
+  createUploadStream(path, file) {
+    return new S3UploadStream(this, path, file);
+  }
+
+  createWriteStream(path, opts = {}) {
+    const multipart = new S3MultipartUpload(this, this._key(path), helpers.isString(opts.type) ? opts.type : void 0);
+    const partSize = this.partSize;
+    let buffered = [];
+    let bufferedLength = 0;
+    let partNumber = 0;
+
+    const flush = async () => {
+      const body = Buffer.concat(buffered);
+      buffered = [];
+      bufferedLength = 0;
+      await multipart.uploadPart(++partNumber, body);
+    };
+
+    return new Writable({
+      write(chunk, encoding, cb) {
+        buffered.push(chunk);
+        bufferedLength += chunk.length;
+        if (bufferedLength < partSize) {
+          cb();
+          return;
+        }
+        flush().then(() => cb(), cb);
+      },
+      final(cb) {
+        // Only last part may be smaller than `partSize`, empty file is uploaded as single empty part
+        const last = (bufferedLength > 0 || partNumber === 0) ? flush() : Promise.resolve();
+        last.then(() => multipart.complete()).then(() => cb(), cb);
+      },
+      destroy(error, cb) {
+        // Stream destroyed before it's finished leaves incomplete multipart upload, which is billed until aborted
+        multipart.abort().then(() => cb(error), () => cb(error));
+      }
+    });
+  }
+
+  createReadStream(path, opts = {}) {
+    const params = {
+      Bucket: this.bucket,
+      Key: this._key(path)
+    };
+
+    if (helpers.isNumber(opts.start) && helpers.isNumber(opts.end)) {
+      params.Range = `bytes=${opts.start}-${opts.end}`;
+    }
+
+    const req = this.client.getObject(params);
+    if (req && helpers.isFunction(req.createReadStream)) {
+      // aws-sdk v2
+      return req.createReadStream();
+    }
+
+    // aws-sdk v3
+    const stream = new PassThrough();
+    Promise.resolve(req).then((res) => {
+      res.Body.on('error', (error) => stream.destroy(error));
+      res.Body.pipe(stream);
+    }, (error) => {
+      stream.destroy(isNotFound(error) ? enoent(params.Key, error) : error);
+    });
+    return stream;
+  }
+
+  async stat(path) {
+    let res;
+    try {
+      res = await this._call('headObject', {
+        Bucket: this.bucket,
+        Key: this._key(path)
+      });
+    } catch (error) {
+      if (isNotFound(error)) {
+        throw enoent(this._key(path), error);
+      }
+      throw error;
+    }
+
+    return {
+      size: res.ContentLength,
+      mtime: res.LastModified,
+      isFile() {
+        return true;
+      }
+    };
+  }
+
+  async *list(path) {
+    const prefix = this._key(path);
+    let ContinuationToken;
+    do {
+      const res = await this._call('listObjectsV2', {
+        Bucket: this.bucket,
+        Prefix: prefix ? `${prefix.replace(/\/+$/, '')}/` : void 0,
+        ContinuationToken
+      });
+
+      for (const object of (res.Contents || [])) {
+        yield { path: object.Key, size: object.Size, mtime: object.LastModified };
+      }
+      ContinuationToken = res.IsTruncated ? res.NextContinuationToken : void 0;
+    } while (ContinuationToken);
+  }
+
+  async unlink(path) {
+    await this._call('deleteObject', {
+      Bucket: this.bucket,
+      Key: this._key(path)
+    });
+  }
+
+  async move(from, to) {
+    await this._call('copyObject', {
+      Bucket: this.bucket,
+      Key: this._key(to),
+      CopySource: `${this.bucket}/${encodeURIComponent(this._key(from))}`
+    });
+    await this.unlink(from);
+  }
+
+  async getRedirectURL(path) {
+    if (!this.redirect) {
+      return null;
+    }
+
+    const key = this._key(path);
+    if (this.presign) {
+      return this.presign(key, { expires: this.expires });
+    }
+
+    if (helpers.isFunction(this.client.getSignedUrlPromise)) {
+      // aws-sdk v2
+      return this.client.getSignedUrlPromise('getObject', {
+        Bucket: this.bucket,
+        Key: key,
+        Expires: this.expires
+      });
+    }
+
+    throw new Meteor.Error(500, '[FilesCollection] [S3Storage] [getRedirectURL] "presign" option is required for redirects with this S3 client');
+  }
+}
+
+export { S3Storage };
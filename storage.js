@@ -0,0 +1,279 @@
+import fs from 'fs';
+import nodePath from 'path';
+import { Meteor } from 'meteor/meteor';
+import WriteStream from './write-stream.js';
+import { helpers } from './lib.js';
+
+/*
+ * @var {Boolean} statfsWarned - Warning about missing `fs.statfs()` is logged once per process
+ */
+let statfsWarned = false;
+
+/**
+ * @locus Server
+ * @class StorageAdapter
+ * @param opts      {Object} - Adapter options
+ * @param opts.name {String} - Unique adapter name, stored as `versions[version].storage` on each file document
+ * @summary Base class and contract for storage adapters. Extend it and implement all methods to use custom storage
+ */
+class StorageAdapter {
+  constructor(opts = {}) {
+    this.name = helpers.isString(opts.name) ? opts.name : 'storage';
+    // Set to `true` when chunks written by upload stream are kept in storage and a new stream
+    // created for the same upload (after server restart, or on other server) continues with them
+    this.resumableUploads = false;
+  }
+
+  /**
+   * @memberOf StorageAdapter
+   * @name _notImplemented
+   * @param {String} method - Method name
+   * @summary Internal method. Throws "Not implemented" error
+   * @throws {Meteor.Error}
+   */
+  _notImplemented(method) {
+    throw new Meteor.Error(501, `[FilesCollection] [StorageAdapter.${this.name}] [${method}] is not implemented`);
+  }
+
+  /**
+   * @memberOf StorageAdapter
+   * @name ensureDirectory
+   * @param {String} path - Path to directory
+   * @summary Make sure "directory" exists and writable, called once from FilesCollection constructor
+   * @throws {Error} If directory can not be created
+   * @returns {void}
+   */
+  ensureDirectory() {}
+
+  /**
+   * @memberOf StorageAdapter
+   * @name createUploadStream
+   * @param {String} path - Destination path
+   * @param {Object} file - Upload session object, same as stored in `_preCollection`; has `fileLength` and `chunkSize` properties
+   * @summary Open chunked upload stream. Returned object must implement `write(num, chunk, cb)`, `end(cb)`, `abort(cb)` and `stop()` methods and `file`, `ended` and `aborted` properties, see `WriteStream`
+   * @returns {WriteStream}
+   */
+  createUploadStream() {
+    return this._notImplemented('createUploadStream');
+  }
+
+  /**
+   * @memberOf StorageAdapter
+   * @name createWriteStream
+   * @param {String} path - Destination path
+   * @param {Object} opts - Options
+   * @summary Open sequential write stream
+   * @returns {stream.Writable}
+   */
+  createWriteStream() {
+    return this._notImplemented('createWriteStream');
+  }
+
+  /**
+   * @memberOf StorageAdapter
+   * @name createReadStream
+   * @param {String} path - Path to file
+   * @param {Object} opts - Range options
+   * @param {Number} opts.start - First byte (inclusive)
+   * @param {Number} opts.end - Last byte (inclusive)
+   * @summary Open read stream for the whole file or its byte range
+   * @returns {stream.Readable}
+   */
+  createReadStream() {
+    return this._notImplemented('createReadStream');
+  }
+
+  /**
+   * @memberOf StorageAdapter
+   * @name stat
+   * @param {String} path - Path to file
+   * @summary Get file's stats, rejects with `ENOENT` coded error if file does not exist
+   * @returns {Promise<Object>} - Object with `size` property and `isFile()` method
+   */
+  async stat() {
+    return this._notImplemented('stat');
+  }
+
+  /**
+   * @memberOf StorageAdapter
+   * @name unlink
+   * @param {String} path - Path to file
+   * @summary Remove file from storage
+   * @returns {Promise<void>}
+   */
+  async unlink() {
+    return this._notImplemented('unlink');
+  }
+
+  /**
+   * @memberOf StorageAdapter
+   * @name move
+   * @param {String} from - Current path to file
+   * @param {String} to - New path to file
+   * @summary Move (rename) file within storage
+   * @returns {Promise<void>}
+   */
+  async move() {
+    return this._notImplemented('move');
+  }
+
+  /**
+   * @memberOf StorageAdapter
+   * @name list
+   * @param {String} path - Path to directory
+   * @summary List all files stored under directory, including nested directories
+   * @returns {AsyncIterable<Object>} - Objects with `path`, `size` and `mtime` properties
+   */
+  async *list() {
+    this._notImplemented('list');
+  }
+
+  /**
+   * @memberOf StorageAdapter
+   * @name freeSpace
+   * @param {String} path - Path to directory
+   * @summary Free space available for new files, used by `diskSpace` option of FilesCollection
+   * @returns {Promise<Number|null>} - Bytes, or `null` if storage doesn't report free space
+   */
+  async freeSpace() {
+    return null;
+  }
+
+  /**
+   * @memberOf StorageAdapter
+   * @name getRedirectURL
+   * @param {String} path - Path to file
+   * @param {Object} vRef - File's version object
+   * @summary Return URL to redirect download request to (e.g. presigned URL), or `null` to serve file from storage stream
+   * @returns {Promise<String|null>}
+   */
+  async getRedirectURL() {
+    return null;
+  }
+
+  /**
+   * @memberOf StorageAdapter
+   * @name finalize
+   * @param {String} path - Path to file
+   * @summary Called after chunked upload is finished and before file's record is inserted into collection
+   * @returns {void}
+   */
+  finalize() {}
+}
+
+/**
+ * @locus Server
+ * @class FSStorage
+ * @param opts                      {Object} - Adapter options
+ * @param opts.name                 {String} - Adapter name, default: `fs`
+ * @param opts.permissions          {Number} - Permissions which will be set to written files (octal). Default: 0644
+ * @param opts.parentDirPermissions {Number} - Permissions which will be set to parent directories of written files (octal). Default: 0755
+ * @summary Default storage adapter, stores files on local file system
+ */
+class FSStorage extends StorageAdapter {
+  constructor(opts = {}) {
+    super(Object.assign({ name: 'fs' }, opts));
+    this.resumableUploads = true;
+    this.permissions = helpers.isNumber(opts.permissions) ? opts.permissions : parseInt('644', 8);
+    this.parentDirPermissions = helpers.isNumber(opts.parentDirPermissions) ? opts.parentDirPermissions : parseInt('755', 8);
+  }
+
+  ensureDirectory(path) {
+    fs.mkdirSync(path, {
+      mode: this.parentDirPermissions,
+      recursive: true
+    });
+  }
+
+  createUploadStream(path, file) {
+    return new WriteStream(path, file.fileLength, file, this.permissions);
+  }
+
+  createWriteStream(path) {
+    try {
+      this.ensureDirectory(nodePath.dirname(path));
+    } catch (mkdirError) {
+      throw new Meteor.Error(500, `[FilesCollection] [FSStorage] [createWriteStream] ERROR: can not make/ensure directory "${nodePath.dirname(path)}"`, mkdirError);
+    }
+    return fs.createWriteStream(path, { flags: 'w', mode: this.permissions });
+  }
+
+  createReadStream(path, opts = {}) {
+    if (helpers.isNumber(opts.start) && helpers.isNumber(opts.end)) {
+      return fs.createReadStream(path, { start: opts.start, end: opts.end });
+    }
+    return fs.createReadStream(path);
+  }
+
+  async stat(path) {
+    return fs.promises.stat(path);
+  }
+
+  unlink(path) {
+    return new Promise((resolve, reject) => {
+      fs.unlink(path, (error) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  async move(from, to) {
+    await fs.promises.mkdir(nodePath.dirname(to), { mode: this.parentDirPermissions, recursive: true });
+    try {
+      await fs.promises.rename(from, to);
+    } catch (renameError) {
+      if (renameError.code !== 'EXDEV') {
+        throw renameError;
+      }
+      // Cross-device move, e.g. between mounted volumes
+      await fs.promises.copyFile(from, to);
+      await fs.promises.unlink(from);
+    }
+  }
+
+  async *list(path) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(path, { withFileTypes: true });
+    } catch (readdirError) {
+      if (readdirError.code === 'ENOENT') {
+        return;
+      }
+      throw readdirError;
+    }
+
+    for (const entry of entries) {
+      const entryPath = nodePath.join(path, entry.name);
+      if (entry.isDirectory()) {
+        yield* this.list(entryPath);
+      } else if (entry.isFile()) {
+        const stats = await fs.promises.stat(entryPath);
+        yield { path: entryPath, size: stats.size, mtime: stats.mtime };
+      }
+    }
+  }
+
+  async freeSpace(path) {
+    if (!helpers.isFunction(fs.promises.statfs)) {
+      // `fs.statfs()` is available since Node.js 18.15, older Meteor releases run on Node.js 14
+      if (!statfsWarned) {
+        statfsWarned = true;
+        Meteor._debug('[FilesCollection] [FSStorage] [freeSpace] fs.statfs() requires Node.js >= 18.15, free space can\'t be read and uploads aren\'t guarded by "diskSpace" option');
+      }
+      return null;
+    }
+
+    const stats = await fs.promises.statfs(path);
+    return stats.bavail * stats.bsize;
+  }
+
+  finalize(path) {
+    fs.chmod(path, this.permissions, () => {});
+  }
+}
+
+export { StorageAdapter, FSStorage };
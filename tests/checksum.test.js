@@ -0,0 +1,266 @@
+/* global describe, it, before, afterEach, Meteor */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import crypto from 'crypto';
+import { FilesCollection } from '../server';
+import { MemoryStorage } from '../storage-memory';
+import { Checksum, ChunksChecksum } from '../checksum';
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+describe('Checksum', function() {
+  it('should calculate multiple hashes at once', function() {
+    const checksums = new Checksum(['sha256', 'md5']).update(Buffer.from('0123')).update(Buffer.from('4567')).digest();
+
+    expect(checksums.sha256).to.equal(sha256('01234567'));
+    expect(checksums.md5).to.equal(crypto.createHash('md5').update('01234567').digest('hex'));
+  });
+
+  it('should hash out-of-order and re-sent chunks in order', function() {
+    const checksum = new ChunksChecksum(['sha256']);
+    checksum.write(3, Buffer.from('89'));
+    checksum.write(2, Buffer.from('4567'));
+    expect(checksum.bytes).to.equal(0);
+    checksum.write(1, Buffer.from('0123'));
+    checksum.write(2, Buffer.from('4567'));
+
+    expect(checksum.bytes).to.equal(10);
+    expect(checksum.digest().sha256).to.equal(sha256('0123456789'));
+  });
+
+  it('should give up when too many chunks are out of order', function() {
+    const checksum = new ChunksChecksum(['sha256'], 1);
+    checksum.write(2, Buffer.from('4567'));
+    checksum.write(3, Buffer.from('89'));
+
+    expect(checksum.broken).to.be.true;
+    expect(checksum.pending).to.deep.equal({});
+  });
+});
+
+describe('FilesCollection checksums', function() {
+  let storage;
+  let filesCollection;
+
+  before(function() {
+    storage = new MemoryStorage();
+    filesCollection = new FilesCollection({ collectionName: 'testserver-checksums', storage, checksums: true });
+  });
+
+  it('should throw on unsupported algorithm', function() {
+    expect(() => new FilesCollection({ collectionName: 'testserver-checksums-unsupported', storage, checksums: ['not-a-hash'] })).to.throw();
+  });
+
+  it('should not calculate checksums by default', async function() {
+    const collection = new FilesCollection({ collectionName: 'testserver-checksums-default', storage });
+    expect(collection.checksums).to.be.false;
+
+    const fileRef = await collection.write(Buffer.from('no checksum'), { name: 'plain.txt', type: 'text/plain' });
+    expect(fileRef.checksums).to.equal(undefined);
+    await collection.removeAsync(fileRef._id);
+  });
+
+  it('should store checksums on write()', async function() {
+    const fileRef = await filesCollection.write(Buffer.from('hello checksum'), { name: 'hello.txt', type: 'text/plain' });
+
+    expect(fileRef.checksums).to.deep.equal({ sha256: sha256('hello checksum') });
+    expect(fileRef.versions.original.checksums).to.deep.equal({ sha256: sha256('hello checksum') });
+    await filesCollection.removeAsync(fileRef._id);
+  });
+
+  it('should calculate checksums of chunked upload', async function() {
+    const path = '/uploads/chunked.txt';
+    filesCollection._createStream('checksumUpload', path, { fileLength: 2, chunkSize: 4 });
+    const write = (chunkId, data) => new Promise((resolve, reject) => {
+      filesCollection._handleUpload({ _id: 'checksumUpload' }, { chunkId, binData: Buffer.from(data) }, (error) => (error ? reject(error) : resolve()));
+    });
+
+    await write(2, '45');
+    await write(1, '0123');
+    await new Promise((resolve) => filesCollection._currentUploads.checksumUpload.end(resolve));
+
+    expect(await filesCollection._uploadChecksums({ _id: 'checksumUpload', path, size: 6 })).to.deep.equal({ sha256: sha256('012345') });
+    expect(filesCollection._currentChecksums).to.not.have.property('checksumUpload');
+  });
+
+  it('should not hash chunk which failed to write', async function() {
+    filesCollection._createStream('checksumFailed', '/uploads/failed.txt', { fileLength: 1, chunkSize: 4 });
+    filesCollection._currentUploads.checksumFailed.write = (num, chunk, callback) => callback(new Error('EIO'));
+
+    const error = await new Promise((resolve) => {
+      filesCollection._handleUpload({ _id: 'checksumFailed' }, { chunkId: 1, binData: Buffer.from('0123') }, resolve);
+    });
+    expect(error.message).to.equal('EIO');
+    expect(filesCollection._currentChecksums.checksumFailed.bytes).to.equal(0);
+    delete filesCollection._currentUploads.checksumFailed;
+    delete filesCollection._currentChecksums.checksumFailed;
+  });
+
+  it('should calculate checksums from storage when upload was continued', async function() {
+    storage._set('/uploads/continued.txt', Buffer.from('continued'));
+
+    expect(await filesCollection._uploadChecksums({ _id: 'checksumContinued', path: '/uploads/continued.txt', size: 9 })).to.deep.equal({ sha256: sha256('continued') });
+  });
+});
+
+describe('FilesCollection checksums verification', function() {
+  let storage;
+  let filesCollection;
+
+  const fakeHttp = () => ({
+    request: { originalUrl: '/file.txt', headers: {} },
+    response: {
+      headersSent: false,
+      writeHead: sinon.fake(),
+      end: sinon.fake()
+    }
+  });
+
+  before(function() {
+    storage = new MemoryStorage();
+    filesCollection = new FilesCollection({ collectionName: 'testserver-verify', storage, checksums: true, verifyChecksums: { onFailure: 'quarantine' } });
+  });
+
+  afterEach(async function() {
+    await filesCollection.collection.removeAsync({});
+    storage.clear();
+  });
+
+  it('should cache successful verification on file\'s version', async function() {
+    const fileRef = await filesCollection.write(Buffer.from('valid content'), { name: 'valid.txt' });
+    const file = await filesCollection.findOneAsync(fileRef._id);
+    const result = await file.verify();
+
+    expect(result.valid).to.be.true;
+    expect(result.verifiedAt).to.be.instanceOf(Date);
+    expect((await filesCollection.collection.findOneAsync(fileRef._id)).versions.original.verifiedAt).to.be.instanceOf(Date);
+  });
+
+  it('should detect corrupted content of the same size', async function() {
+    const fileRef = await filesCollection.write(Buffer.from('valid content'), { name: 'corrupted.txt' });
+    storage._set(fileRef.path, Buffer.from('valid c0ntent'));
+    const listener = sinon.fake();
+    filesCollection.once('integrityCheckFailed', listener);
+
+    const result = await filesCollection.verify(fileRef);
+
+    expect(result.valid).to.be.false;
+    expect(result.checksums.sha256).to.equal(sha256('valid c0ntent'));
+    expect(listener.calledOnce).to.be.true;
+  });
+
+  it('should respond with 500 and quarantine corrupted file on download', async function() {
+    const fileRef = await filesCollection.write(Buffer.from('valid content'), { name: 'quarantined.txt' });
+    storage._set(fileRef.path, Buffer.from('valid c0ntent'));
+    const http = fakeHttp();
+
+    await filesCollection.download(http, 'original', fileRef);
+
+    expect(http.response.writeHead.calledWith(500)).to.be.true;
+    expect((await filesCollection.collection.findOneAsync(fileRef._id)).versions.original.quarantined).to.be.true;
+  });
+
+  it('should lift quarantine after successful verification', async function() {
+    const fileRef = await filesCollection.write(Buffer.from('valid content'), { name: 'lifted.txt' });
+    await filesCollection.collection.updateAsync(fileRef._id, { $set: { 'versions.original.quarantined': true } });
+
+    const result = await filesCollection.verify(await filesCollection.collection.findOneAsync(fileRef._id));
+    expect(result.valid).to.be.true;
+    expect((await filesCollection.collection.findOneAsync(fileRef._id)).versions.original).to.not.have.property('quarantined');
+  });
+
+  it('should not quarantine file which can not be read', async function() {
+    const fileRef = await filesCollection.write(Buffer.from('valid content'), { name: 'unreadable.txt' });
+    const listener = sinon.fake();
+    filesCollection.once('integrityCheckFailed', listener);
+    const createReadStream = sinon.stub(storage, 'createReadStream').throws(new Error('EIO'));
+    const http = fakeHttp();
+
+    try {
+      const result = await filesCollection.verify(fileRef);
+      expect(result.valid).to.be.null;
+      expect(result.error.message).to.equal('EIO');
+
+      await filesCollection.download(http, 'original', fileRef);
+    } finally {
+      createReadStream.restore();
+      filesCollection.removeListener('integrityCheckFailed', listener);
+    }
+
+    expect(http.response.writeHead.calledWith(500)).to.be.true;
+    expect(listener.called).to.be.false;
+    expect((await filesCollection.collection.findOneAsync(fileRef._id)).versions.original).to.not.have.property('quarantined');
+  });
+
+  it('should serve replica only when it matches stored checksums', async function() {
+    const replica = new MemoryStorage({ name: 'replica' });
+    const collection = new FilesCollection({
+      collectionName: 'testserver-verify-replica',
+      storage,
+      storages: { replica },
+      checksums: true,
+      verifyChecksums: { onFailure: 'replica', replica: 'replica' }
+    });
+    collection.serve = sinon.fake();
+
+    const fileRef = await collection.write(Buffer.from('valid content'), { name: 'replicated.txt' });
+    storage._set(fileRef.path, Buffer.from('valid c0ntent'));
+    replica._set(fileRef.path, Buffer.from('valid c1ntent'));
+    let http = fakeHttp();
+    await collection.download(http, 'original', fileRef);
+    expect(collection.serve.called).to.be.false;
+    expect(http.response.writeHead.calledWith(500)).to.be.true;
+
+    replica._set(fileRef.path, Buffer.from('valid content'));
+    http = fakeHttp();
+    await collection.download(http, 'original', fileRef);
+    expect(collection.serve.calledOnce).to.be.true;
+    expect(collection.serve.firstCall.args[2].storage).to.equal('replica');
+    await collection.collection.removeAsync({});
+  });
+
+  it('should not verify file without stored checksums', async function() {
+    const result = await filesCollection.verify({ _id: 'noChecksums', path: '/uploads/no-checksums.txt', versions: { original: { path: '/uploads/no-checksums.txt' } } });
+    expect(result.valid).to.be.null;
+  });
+});
+
+describe('FilesCollection chunk checksums', function() {
+  let filesCollection;
+
+  before(function() {
+    filesCollection = new FilesCollection({ collectionName: 'testserver-chunk-checksums', storage: new MemoryStorage() });
+  });
+
+  it('should accept chunk with matching or without checksum', function() {
+    const binData = Buffer.from('chunk');
+    expect(filesCollection._verifyChunk({ chunkId: 1, binData, checksum: sha256('chunk') })).to.be.null;
+    expect(filesCollection._verifyChunk({ chunkId: 1, binData, checksum: sha256('chunk').toUpperCase() })).to.be.null;
+    expect(filesCollection._verifyChunk({ chunkId: 1, binData })).to.be.null;
+  });
+
+  it('should reject chunk with checksum mismatch over DDP', async function() {
+    const fileId = 'chunkChecksumDDP';
+    await filesCollection._preCollection.insertAsync({
+      _id: fileId,
+      fileId,
+      file: { name: 'chunk.txt', path: '/uploads/chunk.txt', meta: {} },
+      chunkSize: 5,
+      fileLength: 1,
+      createdAt: new Date()
+    });
+
+    const write = Meteor.server.method_handlers[filesCollection._methodNames._Write];
+    const result = await write.call({ userId: null }, {
+      fileId,
+      chunkId: 1,
+      binData: Buffer.from('chunk').toString('base64'),
+      checksum: sha256('other')
+    });
+
+    expect(result).to.deep.equal({ error: 'chunk-rejected', chunkId: 1, reason: 'checksum-mismatch' });
+    expect(filesCollection._currentUploads[fileId].writtenChunks).to.equal(0);
+    await filesCollection._preCollection.removeAsync({ _id: fileId });
+  });
+});
@@ -39,6 +39,33 @@ describe('FilesCollectionCore', function() {
     });
   });
 
+  describe('_checkUploadLimits', function() {
+    const check = (limits, fileData) => {
+      Object.assign(filesCollectionCore, limits);
+      filesCollectionCore._initUploadLimits();
+      try {
+        filesCollectionCore._checkUploadLimits(fileData);
+        return null;
+      } catch (error) {
+        return error.details;
+      }
+    };
+
+    it('should allow any file without limits', function() {
+      expect(check({}, { name: 'file.exe', size: 1e10, type: 'application/x-msdownload' })).to.equal(null);
+    });
+
+    it('should check size, extension and mime-type', function() {
+      const limits = { maxFileSize: 1024, minFileSize: 1, allowedExtensions: ['.PNG', 'jpg'], allowedMimeTypes: ['image/*', 'application/pdf'] };
+      expect(check(limits, { name: 'image.png', size: 512, type: 'image/png' })).to.equal(null);
+      expect(check(limits, { name: 'image.JPG', size: 1024, type: 'image/jpeg' })).to.equal(null);
+      expect(check(limits, { name: 'image.png', size: 1025, type: 'image/png' })).to.equal('file-too-large');
+      expect(check(limits, { name: 'image.png', size: 0, type: 'image/png' })).to.equal('file-too-small');
+      expect(check(limits, { name: 'image.gif', size: 512, type: 'image/gif' })).to.equal('extension-not-allowed');
+      expect(check(limits, { name: 'image.png', size: 512, type: 'text/html' })).to.equal('mime-type-not-allowed');
+    });
+  });
+
   describe('_dataToSchema', function() {
     it('should create a schema object from the given data', function() {
       const core = new FilesCollectionCore();
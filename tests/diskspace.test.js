@@ -0,0 +1,97 @@
+/* global describe, it, before, afterEach, Meteor */
+
+import fs from 'fs';
+import { expect } from 'chai';
+import { FilesCollection } from '../server';
+import { MemoryStorage } from '../storage-memory';
+import { FSStorage } from '../storage';
+
+class LimitedStorage extends MemoryStorage {
+  async freeSpace() {
+    return this.free;
+  }
+}
+
+describe('FilesCollection diskSpace', function() {
+  let storage;
+  let filesCollection;
+
+  const start = (fileId, size) => ({
+    file: { name: 'disk.txt', type: 'text/plain', size, meta: {} },
+    fileId,
+    chunkSize: size,
+    fileLength: 1,
+    ___s: true
+  });
+
+  before(function() {
+    storage = new LimitedStorage();
+    storage.free = 100;
+    filesCollection = new FilesCollection({
+      collectionName: 'testserver-diskspace',
+      storage,
+      diskSpace: { minFree: 50, interval: 3600 }
+    });
+  });
+
+  afterEach(async function() {
+    await filesCollection._preCollection.removeAsync({});
+    filesCollection._diskStatus = { free: null, checkedAt: null };
+    storage.free = 100;
+  });
+
+  it('should reject upload which would leave less than minFree bytes', async function() {
+    await filesCollection._prepareUpload(start('diskAllowed', 50), 'diskUser', 'DDP');
+
+    try {
+      await filesCollection._prepareUpload(start('diskRejected', 51), 'diskUser', 'DDP');
+      throw new Error('should be rejected');
+    } catch (error) {
+      expect(error).to.be.instanceOf(Meteor.Error);
+      expect(error.error).to.equal(507);
+      expect(error.details).to.equal('insufficient-storage');
+    }
+  });
+
+  it('should read free space once per interval', async function() {
+    await filesCollection._checkFreeSpace(10);
+    storage.free = 0;
+    await filesCollection._checkFreeSpace(10);
+
+    filesCollection._diskStatus.checkedAt = new Date(Date.now() - 3600001);
+    try {
+      await filesCollection._checkFreeSpace(10);
+      throw new Error('should be rejected');
+    } catch (error) {
+      expect(error.error).to.equal(507);
+    }
+    expect(filesCollection._diskStatus.free).to.equal(0);
+  });
+
+  it('should report storage status', async function() {
+    expect(await filesCollection.getStorageStatus()).to.include({ storage: 'memory', free: 100, minFree: 50, ok: true });
+
+    storage.free = 10;
+    const status = await filesCollection.getStorageStatus();
+    expect(status.ok).to.be.false;
+    expect(status.checkedAt).to.be.instanceOf(Date);
+    expect(filesCollection._diskStatus.free).to.equal(10);
+  });
+
+  it('should not guard storage which does not report free space', async function() {
+    const collection = new FilesCollection({ collectionName: 'testserver-diskspace-unknown', storage: new MemoryStorage(), diskSpace: true });
+    expect(collection.diskSpace).to.deep.equal({ minFree: 104857600, interval: 60 });
+    await collection._prepareUpload(start('diskUnknown', 1024), 'diskUser', 'DDP');
+    expect((await collection.getStorageStatus()).ok).to.be.true;
+  });
+
+  it('should not read free space of FSStorage without fs.statfs()', async function() {
+    const statfs = fs.promises.statfs;
+    fs.promises.statfs = void 0;
+    try {
+      expect(await new FSStorage().freeSpace('/tmp')).to.be.null;
+    } finally {
+      fs.promises.statfs = statfs;
+    }
+  });
+});
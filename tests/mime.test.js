@@ -0,0 +1,129 @@
+/* global describe, it, before, afterEach, Meteor */
+
+import { expect } from 'chai';
+import { Readable, pipeline as pipelineCallback } from 'stream';
+import { promisify } from 'util';
+import { FilesCollection } from '../server';
+import { MemoryStorage } from '../storage-memory';
+import { detectMimeType, isMimeTypeMatch, createMimeSniffer } from '../mime';
+
+const pipeline = promisify(pipelineCallback);
+
+const png = Buffer.concat([Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex'), Buffer.alloc(64)]);
+
+describe('detectMimeType', function() {
+  it('should detect type by magic bytes', function() {
+    expect(detectMimeType(png)).to.equal('image/png');
+    expect(detectMimeType(Buffer.from('%PDF-1.7'))).to.equal('application/pdf');
+    expect(detectMimeType(Buffer.from('RIFF\x00\x00\x00\x00WEBPVP8 ', 'latin1'))).to.equal('image/webp');
+    expect(detectMimeType(Buffer.from('\x00\x00\x00\x18ftypmp42', 'latin1'))).to.equal('video/mp4');
+  });
+
+  it('should detect executables and MP3 without ID3 tag by their structure', function() {
+    const exe = Buffer.alloc(256);
+    exe.write('MZ', 0, 'latin1');
+    exe.writeUInt32LE(128, 60);
+    exe.write('PE\x00\x00', 128, 'latin1');
+    expect(detectMimeType(exe)).to.equal('application/x-msdownload');
+    expect(detectMimeType(Buffer.concat([Buffer.from('MZ is a plain text'), Buffer.alloc(128, 32)]))).to.equal(null);
+
+    // MPEG-1 Layer III, 128 kbps, 44.1 kHz: 417 bytes frames
+    const frame = Buffer.concat([Buffer.from([0xff, 0xfb, 0x90, 0x00]), Buffer.alloc(413)]);
+    expect(detectMimeType(Buffer.concat([frame, frame]))).to.equal('audio/mpeg');
+    expect(detectMimeType(Buffer.concat([frame, Buffer.alloc(16)]))).to.equal(null);
+    expect(detectMimeType(Buffer.from('\xff\xfb text', 'latin1'))).to.equal(null);
+  });
+
+  it('should return null for unknown or empty data', function() {
+    expect(detectMimeType(Buffer.from('plain text'))).to.equal(null);
+    expect(detectMimeType(Buffer.alloc(0))).to.equal(null);
+    expect(detectMimeType(void 0)).to.equal(null);
+  });
+
+  it('should match declared type with aliases, containers and generic types', function() {
+    expect(isMimeTypeMatch('image/PNG; charset=binary', 'image/png')).to.be.true;
+    expect(isMimeTypeMatch('image/jpg', 'image/jpeg')).to.be.true;
+    expect(isMimeTypeMatch('application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'application/zip')).to.be.true;
+    expect(isMimeTypeMatch('application/octet-stream', 'image/png')).to.be.true;
+    expect(isMimeTypeMatch('text/plain', 'image/png')).to.be.false;
+  });
+
+  it('should keep first bytes passing through sniffer', async function() {
+    const sniffer = createMimeSniffer();
+    const chunks = [];
+    await pipeline(Readable.from([png.subarray(0, 3), png.subarray(3)]), sniffer, async function * (source) {
+      for await (const chunk of source) {
+        chunks.push(chunk);
+      }
+    });
+
+    expect(detectMimeType(sniffer.head)).to.equal('image/png');
+    expect(Buffer.concat(chunks).equals(png)).to.be.true;
+  });
+});
+
+describe('FilesCollection detectMimeType', function() {
+  let storage;
+  let filesCollection;
+  let strictCollection;
+
+  before(function() {
+    storage = new MemoryStorage();
+    filesCollection = new FilesCollection({ collectionName: 'testserver-mime', storage });
+    strictCollection = new FilesCollection({ collectionName: 'testserver-mime-strict', storage, detectMimeType: 'strict' });
+  });
+
+  afterEach(async function() {
+    await filesCollection.collection.removeAsync({});
+    await filesCollection._preCollection.removeAsync({});
+    await strictCollection.collection.removeAsync({});
+    storage.clear();
+  });
+
+  it('should store detected type instead of mismatching declared type on write()', async function() {
+    const fileRef = await filesCollection.write(png, { name: 'image.txt', type: 'text/plain' });
+
+    expect(fileRef.type).to.equal('image/png');
+    expect(fileRef.versions.original.type).to.equal('image/png');
+    expect(fileRef.isImage).to.be.true;
+    expect(fileRef.isText).to.be.false;
+  });
+
+  it('should keep declared type when it is compatible or format is unknown', async function() {
+    expect((await filesCollection.write(png, { name: 'image.jpg', type: 'image/png' })).type).to.equal('image/png');
+    expect((await filesCollection.write(Buffer.from('{"a":1}'), { name: 'data.json', type: 'application/json' })).type).to.equal('application/json');
+  });
+
+  it('should detect type of the first uploaded chunk', async function() {
+    const file = { name: 'upload.txt', type: 'text/plain', size: png.length, meta: {} };
+    await filesCollection._preCollection.insertAsync({ _id: 'mimeUpload', fileId: 'mimeUpload', file, chunkSize: png.length, fileLength: 1, createdAt: new Date() });
+
+    const { result } = await filesCollection._prepareUpload({ file, fileId: 'mimeUpload', chunkId: 1, chunkSize: png.length, fileLength: 1, binData: png }, null, 'DDP');
+
+    expect(result.type).to.equal('image/png');
+    expect(result.isImage).to.be.true;
+    expect((await filesCollection._preCollection.findOneAsync('mimeUpload')).file.type).to.equal('image/png');
+  });
+
+  it('should reject mismatching type and remove stored data in strict mode', async function() {
+    try {
+      await strictCollection.writeStream(Readable.from([png]), { name: 'image.txt', type: 'text/plain' });
+      throw new Error('should fail');
+    } catch (error) {
+      expect(error).to.be.instanceOf(Meteor.Error);
+      expect(error.error).to.equal(415);
+      expect(error.details).to.equal('mime-type-mismatch');
+    }
+
+    expect(storage.files.size).to.equal(0);
+    expect(await strictCollection.collection.find().countAsync()).to.equal(0);
+  });
+
+  it('should trust declared type when detection is disabled', async function() {
+    const collection = new FilesCollection({ collectionName: 'testserver-mime-disabled', storage, detectMimeType: false });
+    const fileRef = await collection.write(png, { name: 'image.txt', type: 'text/plain' });
+
+    expect(fileRef.type).to.equal('text/plain');
+    await collection.collection.removeAsync({});
+  });
+});
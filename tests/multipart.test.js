@@ -0,0 +1,139 @@
+/* global describe, it, before, afterEach */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { Readable } from 'stream';
+import { FilesCollection } from '../server';
+import { MemoryStorage } from '../storage-memory';
+import { parseHeaderParams } from '../multipart';
+
+const boundary = 'FilesCollectionBoundary';
+
+const form = (parts) => Buffer.concat(parts.map(({ headers, data }) => Buffer.concat([
+  Buffer.from(`--${boundary}\r\n${headers}\r\n\r\n`),
+  Buffer.from(data),
+  Buffer.from('\r\n')
+])).concat(Buffer.from(`--${boundary}--\r\n`)));
+
+const request = (route, body) => {
+  // Small pieces, so boundaries are split between them
+  const pieces = [];
+  for (let i = 0; i < body.length; i += 7) {
+    pieces.push(body.subarray(i, i + 7));
+  }
+
+  const httpReq = Readable.from(pieces);
+  httpReq.method = 'POST';
+  httpReq.headers = {
+    'content-type': `multipart/form-data; boundary=${boundary}`,
+    'content-length': `${body.length}`
+  };
+  httpReq._parsedUrl = { pathname: route, path: route };
+  return httpReq;
+};
+
+const response = () => ({
+  headersSent: false,
+  finished: false,
+  setHeader: sinon.fake(),
+  writeHead: sinon.fake(),
+  end: sinon.fake()
+});
+
+describe('multipart/form-data', function() {
+  let storage;
+  let filesCollection;
+
+  const send = async (body) => {
+    const httpResp = response();
+    await filesCollection._multipart.handle(request(filesCollection._multipart.route, body), httpResp);
+    return { code: httpResp.writeHead.firstCall.args[0], body: JSON.parse(httpResp.end.firstCall.args[0]) };
+  };
+
+  before(function() {
+    storage = new MemoryStorage();
+    filesCollection = new FilesCollection({
+      collectionName: 'testserver-multipart',
+      storage,
+      multipart: true,
+      onBeforeUpload(file) {
+        return file.name !== 'rejected.txt' || 'File is rejected';
+      }
+    });
+  });
+
+  afterEach(async function() {
+    await filesCollection.collection.removeAsync({});
+    storage.clear();
+  });
+
+  it('should parse Content-Disposition header', function() {
+    expect(parseHeaderParams('form-data; name="file"; filename="a \\"b\\".txt"')).to.deep.equal({ name: 'file', filename: 'a "b".txt' });
+    expect(parseHeaderParams('form-data; name=file; filename*=UTF-8\'\'%D1%84.txt')).to.deep.equal({ name: 'file', filename: 'ф.txt' });
+  });
+
+  it('should store files with fields as meta', async function() {
+    const res = await send(form([
+      { headers: 'Content-Disposition: form-data; name="title"', data: 'Holidays' },
+      { headers: 'Content-Disposition: form-data; name="meta"', data: '{"album":1}' },
+      { headers: 'Content-Disposition: form-data; name="file"; filename="a.txt"\r\nContent-Type: text/plain', data: 'text\r\n--FilesColle' },
+      { headers: 'Content-Disposition: form-data; name="empty"; filename=""', data: '' },
+      { headers: 'Content-Disposition: form-data; name="file"; filename="b.bin"', data: Buffer.from([0, 255, 13, 10]) }
+    ]));
+
+    expect(res.code).to.equal(201);
+    expect(res.body.map((fileRef) => fileRef.name)).to.deep.equal(['a.txt', 'b.bin']);
+    expect(res.body[0].meta).to.deep.equal({ title: 'Holidays', album: 1 });
+    expect(res.body[0].type).to.equal('text/plain');
+
+    const text = 'text\r\n--FilesColle';
+    const fileRef = await filesCollection.collection.findOneAsync(res.body[0]._id);
+    expect(fileRef.size).to.equal(text.length);
+    expect(storage.files.get(fileRef.path).data.toString()).to.equal(text);
+    expect(storage.files.get(res.body[1].path).data.equals(Buffer.from([0, 255, 13, 10]))).to.be.true;
+  });
+
+  it('should remove stored files when one of files is rejected', async function() {
+    const res = await send(form([
+      { headers: 'Content-Disposition: form-data; name="file"; filename="a.txt"', data: 'stored' },
+      { headers: 'Content-Disposition: form-data; name="file"; filename="rejected.txt"', data: 'rejected' }
+    ]));
+
+    expect(res.code).to.equal(403);
+    expect(res.body.error).to.equal('File is rejected');
+    expect(await filesCollection.collection.find().countAsync()).to.equal(0);
+    expect(storage.files.size).to.equal(0);
+  });
+
+  it('should reject truncated body', async function() {
+    const body = form([{ headers: 'Content-Disposition: form-data; name="file"; filename="a.txt"', data: 'truncated' }]);
+    const res = await send(body.subarray(0, body.length - 10));
+    expect(res.code).to.equal(400);
+    expect(storage.files.size).to.equal(0);
+  });
+
+  it('should check each file against its received bytes', async function() {
+    const limited = new FilesCollection({ collectionName: 'testserver-multipart-limited', storage, multipart: true, maxFileSize: 8 });
+    const sendLimited = async (body) => {
+      const httpResp = response();
+      await limited._multipart.handle(request(limited._multipart.route, body), httpResp);
+      return { code: httpResp.writeHead.firstCall.args[0], body: JSON.parse(httpResp.end.firstCall.args[0]) };
+    };
+
+    try {
+      // Request is larger than `maxFileSize`, each of its files isn't
+      const res = await sendLimited(form([
+        { headers: 'Content-Disposition: form-data; name="file"; filename="a.txt"', data: '12345678' },
+        { headers: 'Content-Disposition: form-data; name="file"; filename="b.txt"', data: '1234' }
+      ]));
+      expect(res.code).to.equal(201);
+      expect(res.body.map((fileRef) => fileRef.size)).to.deep.equal([8, 4]);
+
+      const tooLarge = await sendLimited(form([{ headers: 'Content-Disposition: form-data; name="file"; filename="c.txt"', data: '123456789' }]));
+      expect(tooLarge.code).to.equal(413);
+      expect(await limited.collection.find({ name: 'c.txt' }).countAsync()).to.equal(0);
+    } finally {
+      await limited.collection.removeAsync({});
+    }
+  });
+});
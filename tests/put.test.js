@@ -0,0 +1,143 @@
+/* global describe, it, before, afterEach */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { Readable } from 'stream';
+import { FilesCollection } from '../server';
+import { MemoryStorage } from '../storage-memory';
+import { parseContentRange } from '../put';
+
+const request = (route, headers = {}, body) => {
+  // Small pieces, so chunks are split between them
+  const data = Buffer.from(body || '');
+  const pieces = [];
+  for (let i = 0; i < data.length; i += 5) {
+    pieces.push(data.subarray(i, i + 5));
+  }
+
+  const httpReq = Readable.from(pieces);
+  httpReq.method = 'PUT';
+  httpReq.headers = headers;
+  httpReq._parsedUrl = { pathname: route, path: route };
+  return httpReq;
+};
+
+const response = () => ({
+  headersSent: false,
+  finished: false,
+  setHeader: sinon.fake(),
+  writeHead: sinon.fake(),
+  end: sinon.fake()
+});
+
+describe('PUT upload', function() {
+  let storage;
+  let filesCollection;
+
+  const send = async (name, headers, body) => {
+    const httpResp = response();
+    await filesCollection._put.handle(request(`${filesCollection._put.route}/${name}`, headers, body), httpResp);
+    return { code: httpResp.writeHead.firstCall.args[0], headers: httpResp.writeHead.firstCall.args[1] || {}, body: httpResp.end.firstCall.args[0] };
+  };
+
+  before(function() {
+    storage = new MemoryStorage();
+    filesCollection = new FilesCollection({
+      collectionName: 'testserver-put',
+      storage,
+      chunkSize: 8,
+      put: true,
+      onBeforeUpload(file) {
+        return file.size <= 32 || 'File is too big';
+      }
+    });
+  });
+
+  afterEach(async function() {
+    await filesCollection.collection.removeAsync({});
+    await filesCollection._preCollection.removeAsync({});
+    storage.clear();
+  });
+
+  it('should parse Content-Range header', function() {
+    expect(parseContentRange('bytes 0-9/20')).to.deep.equal({ start: 0, end: 9, total: 20 });
+    expect(parseContentRange('bytes */20')).to.deep.equal({ total: 20 });
+    expect(parseContentRange(void 0)).to.equal(null);
+    expect(() => parseContentRange('bytes 10-20/20')).to.throw();
+  });
+
+  it('should upload file in a single request', async function() {
+    const res = await send('put%20file.txt', { 'content-length': '20', 'content-type': 'text/plain', 'x-meta': '{"title":"PUT"}' }, '0123456789abcdefghij');
+    expect(res.code).to.equal(201);
+
+    const fileRef = JSON.parse(res.body);
+    expect(fileRef.name).to.equal('put file.txt');
+    expect(fileRef.type).to.equal('text/plain');
+    expect(fileRef.size).to.equal(20);
+    expect(fileRef.meta.title).to.equal('PUT');
+    expect(storage.files.get(fileRef.path).data.toString()).to.equal('0123456789abcdefghij');
+  });
+
+  it('should require Content-Length', async function() {
+    expect((await send('file.txt', {}, '0123')).code).to.equal(411);
+  });
+
+  it('should reject file by onBeforeUpload before receiving its body', async function() {
+    const res = await send('file.txt', { 'content-length': '40' }, '0123456789');
+    expect(res.code).to.equal(403);
+    expect(await filesCollection._preCollection.find().countAsync()).to.equal(0);
+  });
+
+  it('should reject request body exceeding Content-Length', async function() {
+    const res = await send('file.txt', { 'content-length': '10', 'x-fileid': 'putTooLong' }, '0123456789abcdef');
+    expect(res.code).to.equal(413);
+    expect(await filesCollection.collection.find().countAsync()).to.equal(0);
+  });
+
+  it('should resume interrupted upload with Content-Range', async function() {
+    const headers = { 'x-fileid': 'putResumeId' };
+    const first = await send('resume.txt', Object.assign({ 'content-range': 'bytes 0-12/20' }, headers), '0123456789abc');
+    expect(first.code).to.equal(308);
+    expect(first.headers.Range).to.equal('bytes=0-7');
+
+    const status = await send('resume.txt', Object.assign({ 'content-range': 'bytes */20' }, headers));
+    expect(status.code).to.equal(308);
+    expect(status.headers.Range).to.equal('bytes=0-7');
+
+    expect((await send('resume.txt', Object.assign({ 'content-range': 'bytes 10-19/20' }, headers), 'abcdefghij')).code).to.equal(416);
+
+    // Overlapping bytes are skipped
+    const last = await send('resume.txt', Object.assign({ 'content-range': 'bytes 5-19/20' }, headers), '56789abcdefghij');
+    expect(last.code).to.equal(201);
+
+    const fileRef = await filesCollection.collection.findOneAsync('putResumeId');
+    expect(fileRef.size).to.equal(20);
+    expect(storage.files.get(fileRef.path).data.toString()).to.equal('0123456789abcdefghij');
+
+    expect((await send('resume.txt', Object.assign({ 'content-range': 'bytes */20' }, headers))).code).to.equal(201);
+  });
+
+  it('should not overwrite existing file', async function() {
+    const fileRef = JSON.parse((await send('existing.txt', { 'content-length': '4', 'x-fileid': 'putExisting' }, '0123')).body);
+    await filesCollection._preCollection.removeAsync({});
+
+    const res = await send('existing.txt', { 'content-length': '4', 'x-fileid': 'putExisting' }, 'abcd');
+    expect(res.code).to.equal(400);
+    expect(storage.files.get(fileRef.path).data.toString()).to.equal('0123');
+  });
+
+  it('should not continue upload of another user', async function() {
+    const getUser = sinon.stub(filesCollection, '_getUser').returns({ user: null, userId: 'owner' });
+    try {
+      const headers = { 'content-length': '4', 'x-fileid': 'putOwner' };
+      expect((await send('owner.txt', headers, '0123')).code).to.equal(201);
+
+      getUser.returns({ user: null, userId: 'another' });
+      const res = await send('owner.txt', headers, '0123');
+      expect(res.code).to.equal(403);
+      expect(res.body).to.not.include('putOwner');
+    } finally {
+      getUser.restore();
+    }
+  });
+});
@@ -0,0 +1,140 @@
+/* global describe, it, before, afterEach, Meteor */
+
+import { expect } from 'chai';
+import { FilesCollection } from '../server';
+import { MemoryStorage } from '../storage-memory';
+
+const tick = (ms = 25) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('FilesCollection quota', function() {
+  let storage;
+  let filesCollection;
+
+  const start = (fileId, size) => ({
+    file: { name: 'quota.txt', type: 'text/plain', size, meta: {} },
+    fileId,
+    chunkSize: size,
+    fileLength: 1,
+    ___s: true
+  });
+
+  before(function() {
+    storage = new MemoryStorage();
+    filesCollection = new FilesCollection({
+      collectionName: 'testserver-quota',
+      storage,
+      quota: {
+        user: (userId) => (userId === 'proUser' ? 20 : 10),
+        collection: 30
+      }
+    });
+  });
+
+  afterEach(async function() {
+    await filesCollection.collection.removeAsync({});
+    await filesCollection._preCollection.removeAsync({});
+    await filesCollection._quotaCollection.removeAsync({});
+    storage.clear();
+  });
+
+  it('should calculate usage from existing files and track added and removed files', async function() {
+    await filesCollection.write(Buffer.from('1234'), { name: 'a.txt', type: 'text/plain', userId: 'quotaUser' });
+    expect(await filesCollection.getUsage('quotaUser')).to.deep.equal({ used: 4, limit: 10 });
+    expect(await filesCollection.getUsage()).to.deep.equal({ used: 4, limit: 30 });
+
+    const fileRef = await filesCollection.write(Buffer.from('123'), { name: 'b.txt', type: 'text/plain', userId: 'quotaUser' });
+    expect((await filesCollection.getUsage('quotaUser')).used).to.equal(7);
+
+    await filesCollection.removeAsync({ _id: fileRef._id });
+    await tick();
+    expect((await filesCollection.getUsage('quotaUser')).used).to.equal(4);
+    expect((await filesCollection.getUsage()).used).to.equal(4);
+  });
+
+  it('should count all versions and pick up direct updates on recalculation', async function() {
+    const fileRef = await filesCollection.write(Buffer.from('1234'), { name: 'c.txt', type: 'text/plain', userId: 'quotaUser' });
+    expect((await filesCollection.getUsage('quotaUser')).used).to.equal(4);
+
+    await filesCollection.collection.updateAsync(fileRef._id, { $set: { 'versions.thumbnail': { path: 'thumbnail', size: 2, type: 'text/plain' } } });
+    expect((await filesCollection.getUsage('quotaUser')).used).to.equal(4);
+    expect((await filesCollection.getUsage('quotaUser', true)).used).to.equal(6);
+
+    filesCollection.unlink(await filesCollection.collection.findOneAsync(fileRef._id), 'thumbnail');
+    await tick();
+    expect((await filesCollection.getUsage('quotaUser')).used).to.equal(4);
+  });
+
+  it('should count versions added with direct updates with countUsage()', async function() {
+    const fileRef = await filesCollection.write(Buffer.from('1234'), { name: 'i.txt', type: 'text/plain', userId: 'quotaUser' });
+    expect((await filesCollection.getUsage('quotaUser')).used).to.equal(4);
+
+    await filesCollection.collection.updateAsync(fileRef._id, { $set: { 'versions.thumbnail': { path: 'thumbnail', size: 2, type: 'text/plain' } } });
+    expect(await filesCollection.countUsage(fileRef._id)).to.equal(2);
+    expect(await filesCollection.countUsage(fileRef)).to.equal(0);
+    expect((await filesCollection.getUsage('quotaUser')).used).to.equal(6);
+    expect((await filesCollection.getUsage()).used).to.equal(6);
+    expect((await filesCollection.collection.findOneAsync(fileRef._id))._quotaBytes).to.deep.equal({ original: 4, thumbnail: 2 });
+
+    await filesCollection.collection.updateAsync(fileRef._id, { $unset: { 'versions.thumbnail': '' } });
+    expect(await filesCollection.countUsage(fileRef._id)).to.equal(-2);
+    expect((await filesCollection.getUsage('quotaUser')).used).to.equal(4);
+  });
+
+  it('should subtract only bytes counted for the file, and only once', async function() {
+    await filesCollection.write(Buffer.from('12345'), { name: 'g.txt', type: 'text/plain', userId: 'otherUser' });
+    const fileRef = await filesCollection.write(Buffer.from('1234'), { name: 'h.txt', type: 'text/plain', userId: 'quotaUser' });
+    expect(fileRef._quotaBytes).to.deep.equal({ original: 4 });
+    expect((await filesCollection.getUsage()).used).to.equal(9);
+
+    // Version added with direct update isn't counted, its bytes aren't subtracted
+    await filesCollection.collection.updateAsync(fileRef._id, { $set: { 'versions.thumbnail': { path: 'thumbnail', size: 2, type: 'text/plain' } } });
+    const updated = await filesCollection.collection.findOneAsync(fileRef._id);
+    filesCollection.unlink(updated, 'thumbnail');
+    filesCollection.unlink(updated);
+    filesCollection.unlink(updated);
+    await tick(100);
+
+    expect((await filesCollection.getUsage()).used).to.equal(5);
+    expect((await filesCollection.collection.findOneAsync(fileRef._id))._quotaBytes).to.be.undefined;
+  });
+
+  it('should reject upload exceeding user\'s quota when it is started', async function() {
+    await filesCollection.write(Buffer.from('123456'), { name: 'd.txt', type: 'text/plain', userId: 'quotaUser' });
+
+    try {
+      await filesCollection._prepareUpload(start('quotaExceeded', 5), 'quotaUser', 'DDP');
+      throw new Error('should exceed quota');
+    } catch (error) {
+      expect(error).to.be.instanceOf(Meteor.Error);
+      expect(error.error).to.equal(413);
+      expect(error.details).to.equal('quota-exceeded');
+    }
+
+    await filesCollection._prepareUpload(start('quotaAllowed', 4), 'quotaUser', 'DDP');
+  });
+
+  it('should resolve user\'s quota with function and check collection\'s quota', async function() {
+    expect((await filesCollection.getUsage('proUser')).limit).to.equal(20);
+    await filesCollection.write(Buffer.alloc(18), { name: 'e.bin', type: 'application/octet-stream', userId: 'proUser' });
+    await filesCollection._prepareUpload(start('quotaPro', 2), 'proUser', 'DDP');
+
+    await filesCollection.write(Buffer.alloc(10), { name: 'f.bin', type: 'application/octet-stream', userId: 'otherUser' });
+    try {
+      await filesCollection._prepareUpload(start('quotaCollection', 3), 'thirdUser', 'DDP');
+      throw new Error('should exceed quota');
+    } catch (error) {
+      expect(error.error).to.equal(413);
+      expect(error.details).to.equal('collection-quota-exceeded');
+    }
+  });
+
+  it('should throw when quota is not set', async function() {
+    const collection = new FilesCollection({ collectionName: 'testserver-quota-disabled', storage });
+    try {
+      await collection.getUsage('quotaUser');
+      throw new Error('should throw');
+    } catch (error) {
+      expect(error.error).to.equal(400);
+    }
+  });
+});
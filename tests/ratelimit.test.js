@@ -0,0 +1,184 @@
+/* global describe, it, before, after, afterEach, Meteor */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { fetch } from 'meteor/fetch';
+import { FilesCollection } from '../server';
+import { MemoryStorage } from '../storage-memory';
+import { UploadRateLimiter, getClientAddress } from '../ratelimit';
+
+const rateLimited = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    expect(error).to.be.instanceOf(Meteor.Error);
+    expect(error.error).to.equal(429);
+    expect(error.details).to.equal('rate-limited');
+    return error.retryAfter;
+  }
+  throw new Error('should be rate limited');
+};
+
+describe('UploadRateLimiter', function() {
+  let clock;
+
+  before(function() {
+    clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] });
+  });
+
+  after(function() {
+    clock.restore();
+  });
+
+  it('should limit uploads started per minute by user and by IP address', function() {
+    const limiter = new UploadRateLimiter({ uploadsPerMinute: 2 });
+    limiter.start(limiter.keys('user1', '10.0.0.1'), 'a');
+    limiter.start(limiter.keys('user2', '10.0.0.1'), 'b');
+
+    clock.tick(15000);
+    expect(rateLimited(() => limiter.start(limiter.keys('user3', '10.0.0.1'), 'c'))).to.equal(45);
+    limiter.start(limiter.keys('user1', '10.0.0.2'), 'c');
+    rateLimited(() => limiter.start(limiter.keys('user1', '10.0.0.3'), 'd'));
+
+    clock.tick(45000);
+    limiter.start(limiter.keys('user3', '10.0.0.1'), 'd');
+  });
+
+  it('should limit concurrent sessions until they are released', function() {
+    const limiter = new UploadRateLimiter({ concurrentUploads: 1 });
+    const keys = limiter.keys(null, '10.0.0.1');
+    limiter.start(keys, 'a');
+    expect(rateLimited(() => limiter.start(keys, 'b'))).to.equal(10);
+
+    limiter.release('a');
+    limiter.start(keys, 'b');
+    expect(limiter.sessions.get('ip:10.0.0.1').size).to.equal(1);
+  });
+
+  it('should limit received bytes per minute', function() {
+    const limiter = new UploadRateLimiter({ bytesPerMinute: 10 });
+    const keys = limiter.keys('user1');
+    // Chunk bigger than the limit is accepted in empty window
+    limiter.consume(keys, 12);
+    rateLimited(() => limiter.consume(keys, 1));
+
+    clock.tick(60000);
+    limiter.consume(keys, 6);
+    limiter.consume(keys, 4);
+    rateLimited(() => limiter.consume(keys, 1));
+  });
+
+  it('should take client address from x-forwarded-for behind trusted proxies', function() {
+    const httpReq = { headers: { 'x-forwarded-for': '1.1.1.1, 2.2.2.2' }, socket: { remoteAddress: '127.0.0.1' } };
+    expect(getClientAddress(httpReq)).to.equal('127.0.0.1');
+
+    process.env.HTTP_FORWARDED_COUNT = '1';
+    try {
+      expect(getClientAddress(httpReq)).to.equal('2.2.2.2');
+    } finally {
+      delete process.env.HTTP_FORWARDED_COUNT;
+    }
+  });
+});
+
+describe('FilesCollection rateLimit', function() {
+  let filesCollection;
+  let url;
+
+  const start = (fileId) => ({
+    file: { name: 'limited.txt', type: 'text/plain', size: 4, meta: {} },
+    fileId,
+    chunkSize: 4,
+    fileLength: 1
+  });
+
+  before(function() {
+    filesCollection = new FilesCollection({
+      collectionName: 'testserver-ratelimit',
+      storage: new MemoryStorage(),
+      rateLimit: { uploadsPerMinute: 1, concurrentUploads: 1 },
+      tus: true,
+      put: true,
+      multipart: true
+    });
+    url = Meteor.absoluteUrl(`${filesCollection.downloadRoute}/${filesCollection.collectionName}/__upload`.replace(/^\/+/, ''));
+  });
+
+  afterEach(async function() {
+    await filesCollection.collection.removeAsync({});
+    await filesCollection._preCollection.removeAsync({});
+    filesCollection._rateLimiter = new UploadRateLimiter(filesCollection.rateLimit);
+  });
+
+  it('should respond with 429 and Retry-After over HTTP', async function() {
+    const send = (fileId) => fetch(url, { method: 'POST', headers: { 'x-start': '1' }, body: JSON.stringify(start(fileId)) });
+    expect((await send('rateLimitedHTTP1')).status).to.equal(204);
+
+    const response = await send('rateLimitedHTTP2');
+    expect(response.status).to.equal(429);
+    expect(parseInt(response.headers.get('retry-after'))).to.be.within(1, 60);
+    expect((await response.json()).details).to.equal('rate-limited');
+  });
+
+  it('should throw rate limit error over DDP', async function() {
+    const startMethod = Meteor.server.method_handlers[filesCollection._methodNames._Start];
+    const context = { userId: 'rateLimitUser', connection: { clientAddress: '10.0.0.1' } };
+    await startMethod.call(context, start('rateLimitedDDP1'));
+
+    try {
+      await startMethod.call(context, start('rateLimitedDDP2'));
+      throw new Error('should be rate limited');
+    } catch (error) {
+      expect(error.error).to.equal(429);
+      expect(error.details).to.equal('rate-limited');
+    }
+  });
+
+  it('should limit uploads over tus, PUT and multipart/form-data', async function() {
+    const route = (name) => url.replace('/__upload', `/${name}`);
+    const tus = () => fetch(route('__tus'), { method: 'POST', headers: { 'Tus-Resumable': '1.0.0', 'Upload-Length': '4' } });
+    expect((await tus()).status).to.equal(201);
+
+    const limited = await tus();
+    expect(limited.status).to.equal(429);
+    expect(parseInt(limited.headers.get('retry-after'))).to.be.within(1, 60);
+
+    const put = await fetch(route('__put/limited.txt'), { method: 'PUT', headers: { 'Content-Type': 'text/plain' }, body: 'data' });
+    expect(put.status).to.equal(429);
+    expect(put.headers.get('retry-after')).to.be.a('string');
+
+    const multipart = await fetch(route('__multipart'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'multipart/form-data; boundary=limited' },
+      body: '--limited\r\nContent-Disposition: form-data; name="file"; filename="limited.txt"\r\nContent-Type: text/plain\r\n\r\ndata\r\n--limited--\r\n'
+    });
+    expect(multipart.status).to.equal(429);
+    expect(await filesCollection.collection.find().countAsync()).to.equal(0);
+  });
+
+  it('should count bytes received over PUT', async function() {
+    filesCollection._rateLimiter = new UploadRateLimiter({ bytesPerMinute: 4 });
+    const put = (name) => fetch(url.replace('/__upload', `/__put/${name}`), { method: 'PUT', headers: { 'Content-Type': 'text/plain' }, body: 'data' });
+    expect((await put('first.txt')).status).to.equal(201);
+    expect((await put('second.txt')).status).to.equal(429);
+  });
+
+  it('should close session when upload is rejected', async function() {
+    const startMethod = Meteor.server.method_handlers[filesCollection._methodNames._Start];
+    filesCollection._rateLimiter = new UploadRateLimiter({ concurrentUploads: 1 });
+    filesCollection.onBeforeUpload = () => 'Denied';
+
+    try {
+      await startMethod.call({ userId: 'rateLimitUser' }, start('rateLimitedDenied'));
+      throw new Error('should be denied');
+    } catch (error) {
+      expect(error.error).to.equal(403);
+    } finally {
+      filesCollection.onBeforeUpload = false;
+    }
+
+    await startMethod.call({ userId: 'rateLimitUser' }, start('rateLimitedAllowed'));
+    expect(filesCollection._rateLimiter.sessionKeys.has('rateLimitedDenied')).to.be.false;
+    expect(filesCollection._rateLimiter.sessionKeys.has('rateLimitedAllowed')).to.be.true;
+  });
+});
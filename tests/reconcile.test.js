@@ -0,0 +1,74 @@
+/* global describe, it, before, afterEach */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { FilesCollection } from '../server';
+import { MemoryStorage } from '../storage-memory';
+
+describe('FilesCollection reconcile', function() {
+  let storage;
+  let filesCollection;
+
+  before(function() {
+    storage = new MemoryStorage();
+    filesCollection = new FilesCollection({ collectionName: 'testserver-reconcile', storagePath: '/reconcile', storage });
+  });
+
+  afterEach(async function() {
+    await filesCollection.collection.removeAsync({});
+    await filesCollection._preCollection.removeAsync({});
+    storage.clear();
+  });
+
+  it('should report orphans and broken records without changes', async function() {
+    const fileRef = await filesCollection.write(Buffer.from('file'), { name: 'file.txt' });
+    const missingRef = await filesCollection.write(Buffer.from('missing'), { name: 'missing.txt' });
+    await storage.unlink(missingRef.path);
+    storage._set('/reconcile/orphan.txt', Buffer.from('orphan'));
+
+    const report = await filesCollection.reconcile({ removeOrphans: true, flagBroken: true, gracePeriod: 0, dryRun: true });
+
+    expect(report.orphans.map((orphan) => orphan.path)).to.deep.equal(['/reconcile/orphan.txt']);
+    expect(report.broken).to.deep.equal([{ _id: missingRef._id, version: 'original', storage: 'memory', path: missingRef.path }]);
+    expect(report.removed).to.equal(1);
+    expect(report.flagged).to.equal(1);
+    expect(storage.files.has('/reconcile/orphan.txt')).to.be.true;
+    expect((await filesCollection.collection.findOneAsync(missingRef._id)).status).to.be.undefined;
+    expect(storage.files.has(fileRef.path)).to.be.true;
+  });
+
+  it('should remove orphans and flag broken records', async function() {
+    const missingRef = await filesCollection.write(Buffer.from('missing'), { name: 'missing.txt' });
+    await storage.unlink(missingRef.path);
+    storage._set('/reconcile/orphan.txt', Buffer.from('orphan'));
+    const listener = sinon.fake();
+    filesCollection.once('reconciled', listener);
+
+    const report = await filesCollection.reconcile({ removeOrphans: true, flagBroken: true, gracePeriod: 0 });
+
+    expect(report.removed).to.equal(1);
+    expect(storage.files.has('/reconcile/orphan.txt')).to.be.false;
+    expect((await filesCollection.collection.findOneAsync(missingRef._id)).status).to.equal('broken');
+    expect(listener.calledOnceWith(report)).to.be.true;
+
+    storage._set(missingRef.path, Buffer.from('missing'));
+    await filesCollection.reconcile({ flagBroken: true, gracePeriod: 0 });
+    expect((await filesCollection.collection.findOneAsync(missingRef._id)).status).to.be.undefined;
+  });
+
+  it('should skip unfinished uploads and recently modified files', async function() {
+    await filesCollection._preCollection.insertAsync({
+      _id: 'reconcileUpload',
+      fileId: 'reconcileUpload',
+      file: { name: 'upload.txt', path: '/reconcile/upload.txt', meta: {} },
+      chunkSize: 4,
+      fileLength: 2,
+      createdAt: new Date()
+    });
+    storage._set('/reconcile/upload.txt', Buffer.from('upl'));
+    storage._set('/reconcile/recent.txt', Buffer.from('recent'));
+
+    expect((await filesCollection.reconcile({ gracePeriod: 0 })).orphans.map((orphan) => orphan.path)).to.deep.equal(['/reconcile/recent.txt']);
+    expect((await filesCollection.reconcile()).orphans).to.deep.equal([]);
+  });
+});
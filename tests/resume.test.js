@@ -0,0 +1,69 @@
+/* global describe, it, before, after, Meteor */
+
+import { expect } from 'chai';
+import { FilesCollection } from '../server';
+import { MemoryStorage } from '../storage-memory';
+
+describe('FilesCollection resume', function() {
+  const fileId = 'resumeUpload';
+  let filesCollection;
+  let resume;
+
+  before(async function() {
+    filesCollection = new FilesCollection({ collectionName: 'testserver-resume', storage: new MemoryStorage() });
+    resume = Meteor.server.method_handlers[filesCollection._methodNames._Resume];
+    await filesCollection._preCollection.insertAsync({
+      _id: fileId,
+      fileId,
+      file: { name: 'resume.txt', path: '/uploads/resume.txt', meta: {}, userId: 'owner' },
+      chunkSize: 4,
+      fileLength: 3,
+      resumable: true,
+      createdAt: new Date()
+    });
+  });
+
+  after(async function() {
+    await filesCollection._preCollection.removeAsync({});
+  });
+
+  const upload = (chunkId, resumable = true) => new Promise((resolve, reject) => {
+    filesCollection._handleUpload({ _id: fileId }, { chunkId, binData: Buffer.from('4567'), resumable }, (error) => (error ? reject(error) : resolve()));
+  });
+
+  it('should return received chunks', async function() {
+    filesCollection._createStream(fileId, '/uploads/resume.txt', { fileLength: 3, chunkSize: 4 });
+    await upload(2);
+
+    expect(await resume.call({ userId: 'owner' }, fileId)).to.deep.equal({ chunkSize: 4, fileLength: 3, chunks: [2] });
+  });
+
+  it('should save received chunks with one update', async function() {
+    await upload(1);
+    expect(filesCollection._receivedChunks[fileId].chunks).to.deep.equal([2, 1]);
+
+    await filesCollection._flushReceivedChunks(fileId);
+    expect(filesCollection._receivedChunks[fileId]).to.be.undefined;
+    expect((await filesCollection._preCollection.findOneAsync({ _id: fileId })).chunks).to.deep.equal([2, 1]);
+    expect((await resume.call({ userId: 'owner' }, fileId)).chunks).to.deep.equal([2, 1]);
+  });
+
+  it('should not keep track of chunks when upload is not resumable', async function() {
+    await upload(3, false);
+    expect(filesCollection._receivedChunks[fileId]).to.be.undefined;
+    expect((await resume.call({ userId: 'owner' }, fileId)).chunks).to.deep.equal([2, 1]);
+  });
+
+  it('should not resume upload of another user', async function() {
+    try {
+      await resume.call({ userId: 'another' }, fileId);
+      expect.fail('should throw');
+    } catch (error) {
+      expect(error.error).to.equal(403);
+    }
+  });
+
+  it('should return false for unknown upload', async function() {
+    expect(await resume.call({ userId: null }, 'unknownUpload')).to.be.false;
+  });
+});
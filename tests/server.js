@@ -2,3 +2,18 @@ import './helpers';
 import './core.test';
 import './cursor.test';
 import './server.test';
+import './checksum.test';
+import './mime.test';
+import './reconcile.test';
+import './tus.test';
+import './multipart.test';
+import './put.test';
+import './ratelimit.test';
+import './quota.test';
+import './diskspace.test';
+import './resume.test';
+import './upload.test';
+import './storage.test';
+import './storage-gridfs.test';
+import './storage-s3.test';
+import './storage-memory.test';
@@ -4,8 +4,13 @@ import { expect } from 'chai';
 import fs from 'fs';
 import sinon from 'sinon';
 import { FilesCollection } from '../server';
+import { MemoryStorage } from '../storage-memory';
 import http from 'http';
-import {Readable} from 'stream';
+import { Readable, pipeline as pipelineCallback } from 'stream';
+import { promisify } from 'util';
+
+// Node.js 14 has no `stream/promises`
+const pipeline = promisify(pipelineCallback);
 
 describe('FilesCollection Constructor', function() {
   describe('constructor', function() {
@@ -290,6 +295,152 @@ describe('FilesCollection', () => {
     });
   });
 
+  describe('#writeStream()', function() {
+    let storage;
+    let filesCollection;
+
+    before(function() {
+      storage = new MemoryStorage();
+      filesCollection = new FilesCollection({ collectionName: 'testserver-writeStream', storage, checksums: ['sha256'] });
+    });
+
+    afterEach(async function() {
+      await filesCollection.collection.removeAsync({});
+      storage.clear();
+    });
+
+    it('should pipe readable stream to storage and add to FilesCollection Collection', async function() {
+      const onAfterUpload = sinon.fake();
+      filesCollection.onAfterUpload = onAfterUpload;
+      const readable = Readable.from([Buffer.from('stream '), Buffer.from('data')]);
+
+      const result = await filesCollection.writeStream(readable, { name: 'stream.txt', type: 'text/plain', fileId: 'streamFile', meta: { a: 1 } }, true);
+      filesCollection.onAfterUpload = false;
+
+      expect(result).to.have.property('_id', 'streamFile');
+      expect(result).to.have.property('size', 11);
+      expect(result).to.have.property('type', 'text/plain');
+      expect(result.meta).to.deep.equal({ a: 1 });
+      expect(result.checksums.sha256).to.be.a('string');
+      expect(storage.files.get(result.path).data.toString()).to.equal('stream data');
+      expect(onAfterUpload.calledOnce).to.be.true;
+    });
+
+    it('should reject and remove stored data when readable stream errors', async function() {
+      const readable = new Readable({
+        read() {
+          this.destroy(new Error('Test Error'));
+        }
+      });
+
+      try {
+        await filesCollection.writeStream(readable, { name: 'broken.txt' });
+        throw new Error('should fail');
+      } catch (error) {
+        expect(error).to.be.instanceOf(Meteor.Error);
+        expect(error.error).to.equal(500);
+      }
+      expect(storage.files.size).to.equal(0);
+      expect(await filesCollection.collection.find().countAsync()).to.equal(0);
+    });
+  });
+
+  describe('#createWriteStream()', function() {
+    let storage;
+    let filesCollection;
+
+    before(function() {
+      storage = new MemoryStorage();
+      filesCollection = new FilesCollection({ collectionName: 'testserver-createWriteStream', storage, checksums: ['sha256'] });
+    });
+
+    afterEach(async function() {
+      await filesCollection.collection.removeAsync({});
+      storage.clear();
+    });
+
+    it('should insert record with size and checksums on finish', async function() {
+      const stream = filesCollection.createWriteStream({ name: 'report.csv', type: 'text/csv', fileId: 'reportFile' });
+      await pipeline(Readable.from(['id,name\n', '1,report\n']), stream);
+
+      expect(stream.fileRef).to.have.property('_id', 'reportFile');
+      expect(stream.fileRef).to.have.property('size', 17);
+      expect(stream.fileRef).to.have.property('type', 'text/csv');
+      expect(stream.fileRef.checksums.sha256).to.be.a('string');
+      expect(storage.files.get(stream.fileRef.path).data.toString()).to.equal('id,name\n1,report\n');
+      expect(await filesCollection.collection.findOneAsync('reportFile')).to.be.an('object');
+    });
+
+    it('should remove partially written file when destroyed', async function() {
+      const stream = filesCollection.createWriteStream({ name: 'partial.csv', fileId: 'partialFile' });
+      const errored = new Promise((resolve) => stream.on('error', resolve));
+      const closed = new Promise((resolve) => stream.on('close', resolve));
+      stream.write('id,name\n');
+      stream.destroy(new Error('Test Error'));
+
+      expect((await errored).message).to.equal('Test Error');
+      await closed;
+      expect(storage.files.size).to.equal(0);
+      expect(await filesCollection.collection.findOneAsync('partialFile')).to.equal(undefined);
+    });
+  });
+
+  describe('#createReadStream()', function() {
+    let storage;
+    let thumbnails;
+    let filesCollection;
+
+    before(function() {
+      storage = new MemoryStorage();
+      thumbnails = new MemoryStorage();
+      filesCollection = new FilesCollection({ collectionName: 'testserver-createReadStream', storage, storages: { thumbnails } });
+    });
+
+    afterEach(async function() {
+      await filesCollection.collection.removeAsync({});
+      storage.clear();
+      thumbnails.clear();
+    });
+
+    it('should read file and its range from storage', async function() {
+      const fileRef = await filesCollection.write(Buffer.from('hello stream'), { name: 'hello.txt', fileId: 'readFile' });
+
+      expect((await filesCollection.readAsync(fileRef)).toString()).to.equal('hello stream');
+      expect((await filesCollection.readAsync(fileRef, 'original', { start: 6 })).toString()).to.equal('stream');
+      expect((await filesCollection.readAsync(fileRef, 'original', { start: 0, end: 4 })).toString()).to.equal('hello');
+
+      const chunks = [];
+      for await (const chunk of (await filesCollection.findOneAsync('readFile')).createReadStream()) {
+        chunks.push(chunk);
+      }
+      expect(Buffer.concat(chunks).toString()).to.equal('hello stream');
+    });
+
+    it('should read version from its own storage', async function() {
+      const fileRef = await filesCollection.write(Buffer.from('original'), { name: 'image.png', fileId: 'readVersion' });
+      thumbnails._set('/thumbnails/image.png', Buffer.from('thumbnail'));
+      fileRef.versions.thumbnail = { path: '/thumbnails/image.png', size: 9, type: 'image/png', extension: 'png', storage: 'thumbnails' };
+
+      expect((await filesCollection.readAsync(fileRef, 'thumbnail')).toString()).to.equal('thumbnail');
+    });
+
+    it('should throw on missing version, missing file and unsatisfiable range', async function() {
+      const fileRef = await filesCollection.write(Buffer.from('hello'), { name: 'hello.txt', fileId: 'readMissing' });
+
+      expect(() => filesCollection.createReadStream(fileRef, 'thumbnail')).to.throw(Meteor.Error).with.property('error', 404);
+      expect(() => filesCollection.createReadStream(fileRef, 'original', { start: 10 })).to.throw(Meteor.Error).with.property('error', 416);
+
+      storage.clear();
+      try {
+        await filesCollection.readAsync(fileRef);
+        throw new Error('should fail');
+      } catch (error) {
+        expect(error).to.be.instanceOf(Meteor.Error);
+        expect(error.error).to.equal(404);
+      }
+    });
+  });
+
   describe('#load()', function() {
     let filesCollection;
     const testdata = 'test data';
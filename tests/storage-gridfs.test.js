@@ -0,0 +1,109 @@
+/* global describe, it, before, after */
+
+import { expect } from 'chai';
+import http from 'http';
+import { FilesCollection } from '../server';
+import { GridFSStorage } from '../storage-gridfs';
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString();
+};
+
+describe('GridFSStorage', function() {
+  const bucketName = 'testGridFSStorage';
+  let storage;
+
+  before(function() {
+    storage = new GridFSStorage({ bucketName });
+  });
+
+  after(async function() {
+    await storage._files().drop().catch(() => {});
+    await (await storage._chunks()).drop().catch(() => {});
+  });
+
+  it('should write chunks in any order and read ranges', async function() {
+    const path = 'uploads/chunked.txt';
+    const stream = storage.createUploadStream(path, { _id: 'gridfsChunked', fileLength: 3, chunkSize: 4 });
+    const write = (num, data) => new Promise((resolve, reject) => {
+      stream.write(num, Buffer.from(data), (error) => (error ? reject(error) : resolve()));
+    });
+
+    await write(3, '89');
+    await write(1, '0123');
+    await write(2, '4567');
+    await new Promise((resolve, reject) => {
+      stream.end((error) => (error ? reject(error) : resolve()));
+    });
+
+    const stats = await storage.stat(path);
+    expect(stats.isFile()).to.be.true;
+    expect(stats.size).to.equal(10);
+
+    expect(await readAll(storage.createReadStream(path))).to.equal('0123456789');
+    expect(await readAll(storage.createReadStream(path, { start: 3, end: 8 }))).to.equal('345678');
+  });
+
+  it('should remove chunks on abort', async function() {
+    const stream = storage.createUploadStream('uploads/aborted.txt', { _id: 'gridfsAborted', fileLength: 2, chunkSize: 4 });
+    await new Promise((resolve) => stream.write(1, Buffer.from('0123'), resolve));
+    await new Promise((resolve) => stream.abort(resolve));
+
+    const chunks = await storage._chunks();
+    expect(await chunks.countDocuments({ files_id: 'gridfsAborted' })).to.equal(0);
+  });
+
+  it('should move and unlink file', async function() {
+    await storage.move('uploads/chunked.txt', 'uploads/moved.txt');
+    expect((await storage.stat('uploads/moved.txt')).size).to.equal(10);
+
+    await storage.unlink('uploads/moved.txt');
+    try {
+      await storage.stat('uploads/moved.txt');
+      expect.fail('stat() must reject');
+    } catch (e) {
+      expect(e.code).to.equal('ENOENT');
+    }
+  });
+
+  describe('FilesCollection with GridFSStorage', function() {
+    let filesCollection;
+    let server;
+    let port;
+
+    before(function(done) {
+      filesCollection = new FilesCollection({ collectionName: 'testserver-gridfs', storage: storage });
+      server = http.createServer(async (req, res) => {
+        const fileRef = await filesCollection.collection.findOneAsync('gridfsWrite');
+        await filesCollection.download({ request: req, response: res, params: { query: {} } }, 'original', fileRef);
+      });
+      server.listen(0, () => {
+        port = server.address().port;
+        done();
+      });
+    });
+
+    after(async function() {
+      server.close();
+      await filesCollection.collection.removeAsync({});
+    });
+
+    it('should write file to GridFS and serve partial content', async function() {
+      const fileRef = await filesCollection.write(Buffer.from('hello gridfs'), { name: 'hello.txt', type: 'text/plain', fileId: 'gridfsWrite' });
+      expect(fileRef.versions.original.storage).to.equal('gridfs');
+
+      const { statusCode, body } = await new Promise((resolve, reject) => {
+        http.get({ port, path: '/', headers: { range: 'bytes=6-11' } }, (res) => {
+          readAll(res).then((data) => resolve({ statusCode: res.statusCode, body: data }), reject);
+        }).on('error', reject);
+      });
+
+      expect(statusCode).to.equal(206);
+      expect(body).to.equal('gridfs');
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/* global describe, it, before, after, afterEach */
+
+import { expect } from 'chai';
+import http from 'http';
+import { FilesCollection } from '../server';
+import { MemoryStorage } from '../storage-memory';
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString();
+};
+
+describe('MemoryStorage', function() {
+  const storage = new MemoryStorage();
+
+  afterEach(function() {
+    storage.clear();
+  });
+
+  it('should write chunks in any order and read ranges', async function() {
+    const path = '/uploads/chunked.txt';
+    const stream = storage.createUploadStream(path, { fileLength: 3, chunkSize: 4 });
+    const write = (num, data) => new Promise((resolve, reject) => {
+      stream.write(num, Buffer.from(data), (error) => (error ? reject(error) : resolve()));
+    });
+
+    await write(2, '4567');
+    await write(3, '89');
+    await write(1, '0123');
+    await new Promise((resolve, reject) => {
+      stream.end((error) => (error ? reject(error) : resolve()));
+    });
+
+    const stats = await storage.stat(path);
+    expect(stats.isFile()).to.be.true;
+    expect(stats.size).to.equal(10);
+
+    expect(await readAll(storage.createReadStream(path))).to.equal('0123456789');
+    expect(await readAll(storage.createReadStream(path, { start: 3, end: 8 }))).to.equal('345678');
+  });
+
+  it('should not keep aborted upload', async function() {
+    const stream = storage.createUploadStream('/uploads/aborted.txt', { fileLength: 2, chunkSize: 4 });
+    await new Promise((resolve) => stream.write(1, Buffer.from('0123'), resolve));
+    await new Promise((resolve) => stream.abort(resolve));
+
+    expect(storage.files.size).to.equal(0);
+  });
+
+  it('should fail to end upload with missing chunks', async function() {
+    const stream = storage.createUploadStream('/uploads/incomplete.txt', { fileLength: 2, chunkSize: 4 });
+    stream.endTimeout = 50;
+    await new Promise((resolve) => stream.write(2, Buffer.from('45'), resolve));
+
+    const error = await new Promise((resolve) => stream.end(resolve));
+    expect(error.error).to.equal(400);
+    expect(error.details).to.equal('incomplete-upload');
+    expect(storage.files.size).to.equal(0);
+  });
+
+  it('should move and unlink file', async function() {
+    storage._set('/uploads/file.txt', Buffer.from('0123'));
+    await storage.move('/uploads/file.txt', '/uploads/moved.txt');
+    expect((await storage.stat('/uploads/moved.txt')).size).to.equal(4);
+
+    await storage.unlink('/uploads/moved.txt');
+    try {
+      await storage.stat('/uploads/moved.txt');
+      expect.fail('stat() must reject');
+    } catch (e) {
+      expect(e.code).to.equal('ENOENT');
+    }
+  });
+
+  describe('FilesCollection with MemoryStorage', function() {
+    let filesCollection;
+    let server;
+    let port;
+
+    before(function(done) {
+      filesCollection = new FilesCollection({ collectionName: 'testserver-memory', storage });
+      server = http.createServer(async (req, res) => {
+        const fileRef = await filesCollection.collection.findOneAsync('memoryWrite');
+        await filesCollection.download({ request: req, response: res, params: { query: {} } }, 'original', fileRef);
+      });
+      server.listen(0, () => {
+        port = server.address().port;
+        done();
+      });
+    });
+
+    after(async function() {
+      server.close();
+      await filesCollection.collection.removeAsync({});
+    });
+
+    it('should write, serve partial content and remove file', async function() {
+      const fileRef = await filesCollection.write(Buffer.from('hello memory'), { name: 'hello.txt', type: 'text/plain', fileId: 'memoryWrite' });
+      expect(fileRef.versions.original.storage).to.equal('memory');
+      expect(storage.files.has(fileRef.path)).to.be.true;
+
+      const { statusCode, body } = await new Promise((resolve, reject) => {
+        http.get({ port, path: '/', headers: { range: 'bytes=6-11' } }, (res) => {
+          readAll(res).then((data) => resolve({ statusCode: res.statusCode, body: data }), reject);
+        }).on('error', reject);
+      });
+
+      expect(statusCode).to.equal(206);
+      expect(body).to.equal('memory');
+
+      await filesCollection.removeAsync('memoryWrite');
+      expect(storage.files.size).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,207 @@
+/* global describe, it, beforeEach, Meteor */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { Readable, pipeline as pipelineCallback } from 'stream';
+import { promisify } from 'util';
+import { FilesCollection } from '../server';
+import { S3Storage } from '../storage-s3';
+
+const pipeline = promisify(pipelineCallback);
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString();
+};
+
+const notFound = () => {
+  const error = new Error('NotFound');
+  error.name = 'NotFound';
+  error.$metadata = { httpStatusCode: 404 };
+  return error;
+};
+
+// In-memory stand-in of aggregated `S3` client from `@aws-sdk/client-s3`
+const createClient = () => {
+  const objects = {};
+  const uploads = {};
+  let uploadId = 0;
+
+  return {
+    objects,
+    uploads,
+    async createMultipartUpload({ Key }) {
+      const UploadId = `upload${++uploadId}`;
+      uploads[UploadId] = { Key, parts: {} };
+      return { UploadId };
+    },
+    async uploadPart({ UploadId, PartNumber, Body }) {
+      uploads[UploadId].parts[PartNumber] = Body;
+      return { ETag: `"${UploadId}-${PartNumber}"` };
+    },
+    async completeMultipartUpload({ Key, UploadId, MultipartUpload }) {
+      objects[Key] = Buffer.concat(MultipartUpload.Parts.map(({ PartNumber }) => uploads[UploadId].parts[PartNumber]));
+      delete uploads[UploadId];
+      return {};
+    },
+    async abortMultipartUpload({ UploadId }) {
+      delete uploads[UploadId];
+      return {};
+    },
+    async getObject({ Key, Range }) {
+      if (!objects[Key]) {
+        throw notFound();
+      }
+      let body = objects[Key];
+      if (Range) {
+        const [start, end] = Range.replace('bytes=', '').split('-').map((n) => parseInt(n));
+        body = body.subarray(start, end + 1);
+      }
+      return { Body: Readable.from([body]) };
+    },
+    async headObject({ Key }) {
+      if (!objects[Key]) {
+        throw notFound();
+      }
+      return { ContentLength: objects[Key].length, LastModified: new Date() };
+    },
+    async deleteObject({ Key }) {
+      delete objects[Key];
+      return {};
+    },
+    async copyObject({ Key, CopySource }) {
+      objects[Key] = objects[decodeURIComponent(CopySource.replace('testBucket/', ''))];
+      return {};
+    }
+  };
+};
+
+describe('S3Storage', function() {
+  let client;
+  let storage;
+
+  beforeEach(function() {
+    client = createClient();
+    storage = new S3Storage({ client, bucket: 'testBucket', partSize: 8 });
+  });
+
+  const write = (stream, num, data) => new Promise((resolve, reject) => {
+    stream.write(num, Buffer.from(data), (error) => (error ? reject(error) : resolve()));
+  });
+
+  it('should group chunks into parts and complete multipart upload on end', async function() {
+    const path = '/uploads/chunked.txt';
+    const stream = storage.createUploadStream(path, { fileLength: 3, chunkSize: 4, file: { type: 'text/plain' } });
+
+    await write(stream, 3, '89');
+    expect(Object.keys(client.uploads)).to.have.lengthOf(1);
+    await write(stream, 2, '4567');
+    await write(stream, 1, '0123');
+    const upload = client.uploads[Object.keys(client.uploads)[0]];
+    expect(Object.keys(upload.parts)).to.deep.equal(['1', '2']);
+    expect(upload.parts[1].toString()).to.equal('01234567');
+
+    await new Promise((resolve, reject) => {
+      stream.end((error) => (error ? reject(error) : resolve()));
+    });
+
+    expect(stream.ended).to.be.true;
+    expect(client.objects['uploads/chunked.txt'].toString()).to.equal('0123456789');
+
+    const stats = await storage.stat(path);
+    expect(stats.isFile()).to.be.true;
+    expect(stats.size).to.equal(10);
+    expect(await readAll(storage.createReadStream(path, { start: 3, end: 8 }))).to.equal('345678');
+  });
+
+  it('should abort multipart upload', async function() {
+    const stream = storage.createUploadStream('uploads/aborted.txt', { fileLength: 3, chunkSize: 4 });
+    await write(stream, 1, '0123');
+    await write(stream, 2, '4567');
+    expect(Object.keys(client.uploads)).to.have.lengthOf(1);
+
+    await new Promise((resolve) => stream.abort(resolve));
+    expect(Object.keys(client.uploads)).to.have.lengthOf(0);
+    expect(client.objects).to.deep.equal({});
+  });
+
+  it('should fail to end upload with missing chunks', async function() {
+    const stream = storage.createUploadStream('uploads/incomplete.txt', { fileLength: 3, chunkSize: 4 });
+    stream.endTimeout = 50;
+    await write(stream, 1, '0123');
+
+    const error = await new Promise((resolve) => stream.end(resolve));
+    expect(error).to.be.instanceOf(Meteor.Error);
+    expect(error.details).to.equal('incomplete-upload');
+    expect(stream.ended).to.be.false;
+  });
+
+  it('should forget received chunks when upload is continued by new stream', async function() {
+    const filesCollection = new FilesCollection({ collectionName: 'testserver-s3-resume', storage });
+    await filesCollection._preCollection.insertAsync({
+      _id: 's3Resume',
+      fileId: 's3Resume',
+      file: { name: 'resume.txt', path: 'uploads/resume.txt', size: 10, type: 'text/plain', meta: {} },
+      chunkSize: 4,
+      fileLength: 3,
+      chunks: [1, 2],
+      createdAt: new Date()
+    });
+
+    const resume = Meteor.server.method_handlers[filesCollection._methodNames._Resume];
+    try {
+      expect((await resume.call({ userId: null }, 's3Resume')).chunks).to.deep.equal([]);
+      expect((await filesCollection._preCollection.findOneAsync('s3Resume')).chunks).to.equal(undefined);
+    } finally {
+      await filesCollection._preCollection.removeAsync({});
+    }
+  });
+
+  it('should write sequential stream, move and unlink object', async function() {
+    await pipeline(Readable.from([Buffer.from('0123'), Buffer.from('45678'), Buffer.from('9')]), storage.createWriteStream('uploads/written.txt'));
+    expect(client.objects['uploads/written.txt'].toString()).to.equal('0123456789');
+
+    await storage.move('uploads/written.txt', 'uploads/moved.txt');
+    expect((await storage.stat('uploads/moved.txt')).size).to.equal(10);
+
+    await storage.unlink('uploads/moved.txt');
+    try {
+      await storage.stat('uploads/moved.txt');
+      expect.fail('stat() must reject');
+    } catch (e) {
+      expect(e.code).to.equal('ENOENT');
+    }
+  });
+
+  it('should abort multipart upload of destroyed write stream', async function() {
+    const stream = storage.createWriteStream('uploads/destroyed.txt');
+    await new Promise((resolve, reject) => stream.write(Buffer.from('0123456789'), (error) => (error ? reject(error) : resolve())));
+    expect(Object.keys(client.uploads)).to.have.lengthOf(1);
+
+    await new Promise((resolve) => stream.on('close', resolve).destroy());
+    expect(client.uploads).to.deep.equal({});
+    expect(client.objects['uploads/destroyed.txt']).to.equal(undefined);
+  });
+
+  it('should redirect download to presigned URL', async function() {
+    const presign = sinon.fake.resolves('https://s3.example.com/uploads/file.txt?signature');
+    const filesCollection = new FilesCollection({
+      collectionName: 'testserver-s3',
+      storage: new S3Storage({ client, bucket: 'testBucket', redirect: true, presign, expires: 60 })
+    });
+    const fileRef = filesCollection._dataToSchema({ name: 'file.txt', path: 'uploads/file.txt', size: 10, type: 'text/plain', extension: 'txt', storage: 's3' });
+    const http = {
+      request: { originalUrl: '/file.txt', headers: {} },
+      response: { writeHead: sinon.fake(), end: sinon.fake() }
+    };
+
+    await filesCollection.download(http, 'original', fileRef);
+
+    expect(presign.calledWith('uploads/file.txt', { expires: 60 })).to.be.true;
+    expect(http.response.writeHead.calledWith(302, sinon.match({ Location: 'https://s3.example.com/uploads/file.txt?signature' }))).to.be.true;
+    expect(http.response.end.calledOnce).to.be.true;
+  });
+});
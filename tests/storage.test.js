@@ -0,0 +1,84 @@
+/* global describe, it, before, after, Meteor */
+
+import { expect } from 'chai';
+import fs from 'fs';
+import { FilesCollection } from '../server';
+import { StorageAdapter, FSStorage } from '../storage';
+
+describe('StorageAdapter', function() {
+  it('should throw 501 on methods which are not implemented', async function() {
+    const adapter = new StorageAdapter({ name: 'custom' });
+    expect(() => adapter.createReadStream('/tmp/file')).to.throw(Meteor.Error);
+
+    try {
+      await adapter.stat('/tmp/file');
+      expect.fail('stat() must reject');
+    } catch (e) {
+      expect(e.error).to.equal(501);
+    }
+  });
+});
+
+describe('FSStorage', function() {
+  const dir = '/tmp/meteor-files-fs-storage';
+  const path = `${dir}/nested/file.txt`;
+  let storage;
+
+  before(function() {
+    storage = new FSStorage();
+  });
+
+  after(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should write, stat and read file', async function() {
+    await new Promise((resolve, reject) => {
+      storage.createWriteStream(path).end(Buffer.from('0123456789'), (error) => (error ? reject(error) : resolve()));
+    });
+
+    const stats = await storage.stat(path);
+    expect(stats.isFile()).to.be.true;
+    expect(stats.size).to.equal(10);
+
+    let data = '';
+    for await (const chunk of storage.createReadStream(path, { start: 2, end: 5 })) {
+      data += chunk;
+    }
+    expect(data).to.equal('2345');
+  });
+
+  it('should move and unlink file', async function() {
+    const newPath = `${dir}/moved.txt`;
+    await storage.move(path, newPath);
+    expect(fs.existsSync(path)).to.be.false;
+    expect(fs.existsSync(newPath)).to.be.true;
+
+    await storage.unlink(newPath);
+    expect(fs.existsSync(newPath)).to.be.false;
+  });
+
+  it('should report free space of directory', async function() {
+    expect(await storage.freeSpace(dir)).to.be.a('number').and.above(0);
+    expect(await new StorageAdapter().freeSpace(dir)).to.equal(null);
+  });
+});
+
+describe('FilesCollection#getStorage', function() {
+  it('should resolve storage by version', function() {
+    const thumbs = new FSStorage({ name: 'thumbs' });
+    const filesCollection = new FilesCollection({ collectionName: 'testserver-getStorage', storages: { thumbs } });
+    const fileRef = {
+      versions: {
+        original: { path: '/tmp/a.jpg', storage: 'fs' },
+        thumbnail: { path: '/tmp/a-thumb.jpg', storage: 'thumbs' },
+        preview: { path: '/tmp/a-preview.jpg' }
+      }
+    };
+
+    expect(filesCollection.storage).to.be.instanceOf(FSStorage);
+    expect(filesCollection.getStorage(fileRef)).to.equal(filesCollection.storage);
+    expect(filesCollection.getStorage(fileRef, 'thumbnail')).to.equal(thumbs);
+    expect(filesCollection.getStorage(fileRef, 'preview')).to.equal(filesCollection.storage);
+  });
+});
@@ -0,0 +1,114 @@
+/* global describe, it, before, afterEach */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { Readable } from 'stream';
+import { FilesCollection } from '../server';
+import { MemoryStorage } from '../storage-memory';
+import { parseMetadata } from '../tus';
+
+const request = (route, method, headers = {}, body) => {
+  const httpReq = Readable.from(body ? [Buffer.from(body)] : []);
+  httpReq.method = method;
+  httpReq.headers = Object.assign({ 'tus-resumable': '1.0.0' }, headers);
+  httpReq._parsedUrl = { pathname: route, path: route };
+  return httpReq;
+};
+
+const response = () => ({
+  headersSent: false,
+  finished: false,
+  setHeader: sinon.fake(),
+  writeHead: sinon.fake(),
+  end: sinon.fake()
+});
+
+describe('tus', function() {
+  let storage;
+  let filesCollection;
+  let route;
+
+  const send = async (method, path, headers, body) => {
+    const httpResp = response();
+    await filesCollection._tus.handle(request(`${route}${path}`, method, headers, body), httpResp);
+    return { code: httpResp.writeHead.firstCall.args[0], headers: httpResp.writeHead.firstCall.args[1] || {} };
+  };
+
+  before(function() {
+    storage = new MemoryStorage();
+    filesCollection = new FilesCollection({ collectionName: 'testserver-tus', storage, chunkSize: 8, tus: true });
+    route = filesCollection._tus.route;
+  });
+
+  afterEach(async function() {
+    await filesCollection.collection.removeAsync({});
+    await filesCollection._preCollection.removeAsync({});
+    storage.clear();
+  });
+
+  it('should parse Upload-Metadata header', function() {
+    expect(parseMetadata(`filename ${Buffer.from('file.txt').toString('base64')},is_public`)).to.deep.equal({ filename: 'file.txt', is_public: '' });
+  });
+
+  it('should reject request without supported Tus-Resumable', async function() {
+    const res = await send('POST', '', { 'tus-resumable': '0.2.2', 'upload-length': '10' });
+    expect(res.code).to.equal(412);
+  });
+
+  it('should upload file in multiple PATCH requests and resume with HEAD', async function() {
+    const created = await send('POST', '', {
+      'upload-length': '20',
+      'upload-metadata': `filename ${Buffer.from('tus.txt').toString('base64')},filetype ${Buffer.from('text/plain').toString('base64')}`
+    });
+    expect(created.code).to.equal(201);
+    const location = created.headers.Location;
+    const id = location.split('/').pop();
+
+    const patchHeaders = (offset) => ({ 'content-type': 'application/offset+octet-stream', 'upload-offset': `${offset}` });
+    const first = await send('PATCH', `/${id}`, patchHeaders(0), '0123456789abc');
+    expect(first.code).to.equal(204);
+    expect(first.headers['Upload-Offset']).to.equal(13);
+    expect((await filesCollection._preCollection.findOneAsync(id)).tus.offset).to.equal(8);
+
+    const head = await send('HEAD', `/${id}`);
+    expect(head.headers['Upload-Offset']).to.equal(13);
+    expect(head.headers['Upload-Length']).to.equal(20);
+
+    expect((await send('PATCH', `/${id}`, patchHeaders(8), 'xyz')).code).to.equal(409);
+
+    const last = await send('PATCH', `/${id}`, patchHeaders(13), 'defghij');
+    expect(last.headers['Upload-Offset']).to.equal(20);
+
+    const fileRef = await filesCollection.collection.findOneAsync(id);
+    expect(fileRef.name).to.equal('tus.txt');
+    expect(fileRef.type).to.equal('text/plain');
+    expect(fileRef.size).to.equal(20);
+    expect(storage.files.get(fileRef.path).data.toString()).to.equal('0123456789abcdefghij');
+  });
+
+  it('should terminate upload', async function() {
+    const created = await send('POST', '', { 'upload-length': '20' });
+    const id = created.headers.Location.split('/').pop();
+
+    expect((await send('DELETE', `/${id}`)).code).to.equal(204);
+    expect((await send('HEAD', `/${id}`)).code).to.equal(404);
+  });
+
+  it('should not give access to upload of another user', async function() {
+    const getUser = sinon.stub(filesCollection, '_getUser').returns({ user: null, userId: 'owner' });
+    try {
+      const created = await send('POST', '', { 'upload-length': '4' });
+      const id = created.headers.Location.split('/').pop();
+
+      getUser.returns({ user: null, userId: 'another' });
+      expect((await send('HEAD', `/${id}`)).code).to.equal(403);
+      expect((await send('PATCH', `/${id}`, { 'content-type': 'application/offset+octet-stream', 'upload-offset': '0' }, '0123')).code).to.equal(403);
+      expect((await send('DELETE', `/${id}`)).code).to.equal(403);
+
+      getUser.returns({ user: null, userId: 'owner' });
+      expect((await send('HEAD', `/${id}`)).headers['Upload-Offset']).to.equal(0);
+    } finally {
+      getUser.restore();
+    }
+  });
+});
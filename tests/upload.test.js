@@ -0,0 +1,370 @@
+/* global describe, it, before, after, afterEach, Meteor, Uint8Array */
+
+import { expect } from 'chai';
+import sinon from 'sinon';
+import { fetch } from 'meteor/fetch';
+import { FilesCollection } from '../server';
+import { MemoryStorage } from '../storage-memory';
+
+describe('FilesCollection HTTP upload', function() {
+  const fileId = 'binaryUpload';
+  let storage;
+  let filesCollection;
+  let url;
+
+  const send = (headers, body) => fetch(url, { method: 'POST', headers, body });
+
+  before(function() {
+    storage = new MemoryStorage();
+    filesCollection = new FilesCollection({ collectionName: 'testserver-http-upload', storage });
+    url = Meteor.absoluteUrl(`${filesCollection.downloadRoute}/${filesCollection.collectionName}/__upload`.replace(/^\/+/, ''));
+  });
+
+  after(async function() {
+    await filesCollection.collection.removeAsync({});
+    await filesCollection._preCollection.removeAsync({});
+    storage.clear();
+  });
+
+  it('should accept base64 and raw binary chunks', async function() {
+    const start = await send({ 'x-start': '1' }, JSON.stringify({
+      file: { name: 'binary.bin', type: 'application/octet-stream', size: 8, meta: {} },
+      fileId,
+      chunkSize: 4,
+      fileLength: 2
+    }));
+    expect(start.status).to.equal(204);
+    expect(start.headers.get('x-binary-chunks')).to.equal('1');
+
+    const bytes = Buffer.from([0, 1, 2, 255, 254, 253, 10, 13]);
+    const base64Chunk = await send({ 'x-fileid': fileId, 'x-chunkid': '1', 'content-type': 'text/plain' }, bytes.subarray(0, 4).toString('base64'));
+    expect(base64Chunk.status).to.equal(204);
+    const binaryChunk = await send({ 'x-fileid': fileId, 'x-chunkid': '2', 'content-type': 'application/octet-stream' }, bytes.subarray(4));
+    expect(binaryChunk.status).to.equal(204);
+
+    const fileRef = await (await send({ 'x-fileid': fileId, 'x-eof': '1', 'content-type': 'text/plain' }, '')).json();
+    expect(fileRef.size).to.equal(8);
+    expect(storage.files.get(fileRef.path).data.equals(bytes)).to.be.true;
+  });
+
+  it('should reject chunk larger than upload\'s chunk size', async function() {
+    const start = await send({ 'x-start': '1' }, JSON.stringify({
+      file: { name: 'large-chunk.bin', type: 'application/octet-stream', size: 8, meta: {} },
+      fileId: 'largeChunkUpload',
+      chunkSize: 4,
+      fileLength: 2
+    }));
+    expect(start.status).to.equal(204);
+
+    const binaryChunk = await send({ 'x-fileid': 'largeChunkUpload', 'x-chunkid': '1', 'content-type': 'application/octet-stream' }, Buffer.alloc(64));
+    expect(binaryChunk.status).to.equal(413);
+    expect((await binaryChunk.json()).details).to.equal('chunk-too-large');
+
+    const base64Chunk = await send({ 'x-fileid': 'largeChunkUpload', 'x-chunkid': '1', 'content-type': 'text/plain' }, Buffer.alloc(64).toString('base64'));
+    expect(base64Chunk.status).to.equal(413);
+    expect(filesCollection._currentUploads.largeChunkUpload.writtenChunks).to.equal(0);
+  });
+
+  it('should reject upload with too large chunk size', async function() {
+    const start = await send({ 'x-start': '1' }, JSON.stringify({
+      file: { name: 'huge-chunk.bin', type: 'application/octet-stream', size: 1073741824, meta: {} },
+      fileId: 'hugeChunkUpload',
+      chunkSize: 1073741824,
+      fileLength: 1
+    }));
+    expect(start.status).to.equal(400);
+    expect((await start.json()).details).to.equal('invalid-chunk-size');
+    expect(await filesCollection._preCollection.findOneAsync({ _id: 'hugeChunkUpload' })).to.equal(undefined);
+  });
+});
+
+describe('FilesCollection DDP upload', function() {
+  const fileId = 'binaryUploadDDP';
+  let storage;
+  let filesCollection;
+
+  before(async function() {
+    storage = new MemoryStorage();
+    filesCollection = new FilesCollection({ collectionName: 'testserver-ddp-upload', storage });
+    await Meteor.server.method_handlers[filesCollection._methodNames._Start].call({ userId: null }, {
+      file: { name: 'binary.bin', type: 'application/octet-stream', size: 8, meta: {} },
+      fileId,
+      chunkSize: 4,
+      fileLength: 2
+    });
+  });
+
+  after(async function() {
+    await filesCollection.collection.removeAsync({});
+    await filesCollection._preCollection.removeAsync({});
+    storage.clear();
+  });
+
+  it('should accept base64 and EJSON binary chunks', async function() {
+    const write = Meteor.server.method_handlers[filesCollection._methodNames._Write];
+    const bytes = Buffer.from([0, 1, 2, 255, 254, 253, 10, 13]);
+
+    expect(await write.call({ userId: null }, { fileId, chunkId: 1, binData: bytes.subarray(0, 4).toString('base64') })).to.be.true;
+    expect(await write.call({ userId: null }, { fileId, chunkId: 2, binData: new Uint8Array(bytes.subarray(4)) })).to.be.true;
+
+    const uploaded = new Promise((resolve) => filesCollection.once('afterUpload', resolve));
+    await write.call({ userId: null }, { fileId, eof: true });
+    const fileRef = await uploaded;
+    expect(fileRef.size).to.equal(8);
+    expect(storage.files.get(fileRef.path).data.equals(bytes)).to.be.true;
+  });
+});
+
+describe('FilesCollection upload limits', function() {
+  let storage;
+  let filesCollection;
+  let url;
+
+  const send = (headers, body) => fetch(url, { method: 'POST', headers, body });
+
+  before(function() {
+    storage = new MemoryStorage();
+    filesCollection = new FilesCollection({
+      collectionName: 'testserver-upload-limits',
+      storage,
+      maxFileSize: 8,
+      allowedExtensions: ['bin'],
+      maxFilesPerUser: 1
+    });
+    url = Meteor.absoluteUrl(`${filesCollection.downloadRoute}/${filesCollection.collectionName}/__upload`.replace(/^\/+/, ''));
+  });
+
+  after(async function() {
+    await filesCollection.collection.removeAsync({});
+    await filesCollection._preCollection.removeAsync({});
+    storage.clear();
+  });
+
+  it('should reject upload before any bytes are written', async function() {
+    const start = await send({ 'x-start': '1' }, JSON.stringify({
+      file: { name: 'large.bin', type: 'application/octet-stream', size: 9, meta: {} },
+      fileId: 'limitsTooLarge',
+      chunkSize: 4,
+      fileLength: 3
+    }));
+    expect(start.status).to.equal(413);
+    expect((await start.json()).details).to.equal('file-too-large');
+
+    try {
+      await Meteor.server.method_handlers[filesCollection._methodNames._Start].call({ userId: null }, {
+        file: { name: 'file.exe', type: 'application/octet-stream', size: 4, meta: {} },
+        fileId: 'limitsExtension',
+        chunkSize: 4,
+        fileLength: 1
+      });
+      throw new Error('should fail');
+    } catch (error) {
+      expect(error.error).to.equal(415);
+      expect(error.details).to.equal('extension-not-allowed');
+    }
+    expect(await filesCollection._preCollection.find().countAsync()).to.equal(0);
+  });
+
+  it('should reject chunks exceeding size claimed on start', async function() {
+    const start = await send({ 'x-start': '1' }, JSON.stringify({
+      file: { name: 'small.bin', type: 'application/octet-stream', size: 4, meta: {} },
+      fileId: 'limitsMismatch',
+      chunkSize: 4,
+      fileLength: 1
+    }));
+    expect(start.status).to.equal(204);
+
+    const chunk = await send({ 'x-fileid': 'limitsMismatch', 'x-chunkid': '1', 'content-type': 'application/octet-stream' }, Buffer.alloc(3));
+    expect(chunk.status).to.equal(400);
+    expect((await chunk.json()).details).to.equal('size-mismatch');
+  });
+
+  it('should limit amount of files per user', async function() {
+    await filesCollection.write(Buffer.from('file'), { name: 'file.bin', userId: 'limitsUser' });
+    await filesCollection._checkFilesPerUser('otherUser');
+
+    try {
+      await filesCollection._checkFilesPerUser('limitsUser');
+      throw new Error('should fail');
+    } catch (error) {
+      expect(error.error).to.equal(403);
+      expect(error.details).to.equal('too-many-files');
+    }
+  });
+});
+
+describe('UploadInstance retries and connection loss', function() {
+  const noop = () => {};
+  const instances = [];
+  const original = {};
+  let UploadInstance;
+  let filesCollection;
+
+  const create = (config = {}) => {
+    const instance = new UploadInstance(Object.assign({
+      file: { name: 'instance.bin', type: 'application/octet-stream', size: 16 },
+      transport: 'http',
+      chunkSize: 4,
+      allowWebWorkers: false,
+      ddp: { call: sinon.fake() }
+    }, config), filesCollection);
+    instance.fileLength = 4;
+    // Chunks aren't read and sent, only calls are recorded
+    for (const event of ['upload', 'end', 'sendEOF']) {
+      instance.removeAllListeners(event);
+      instance.on(event, sinon.fake());
+    }
+    instances.push(instance);
+    return instance;
+  };
+
+  const calls = (instance, event) => instance.listeners(event)[0].callCount;
+
+  before(function() {
+    original.window = global.window;
+    original.navigator = Object.getOwnPropertyDescriptor(global, 'navigator');
+    original.status = Meteor.status;
+    global.window = {
+      __meteor_runtime_config__: { ROOT_URL: Meteor.absoluteUrl() },
+      addEventListener: noop,
+      removeEventListener: noop,
+      Uint8Array,
+      btoa: (binary) => Buffer.from(binary, 'binary').toString('base64')
+    };
+    Object.defineProperty(global, 'navigator', { value: { userAgent: 'node', onLine: true }, configurable: true, writable: true });
+    Meteor.status = () => ({ connected: true });
+
+    // `upload.js` reads browser's globals when it's imported
+    ({ UploadInstance } = require('../upload'));
+    filesCollection = new FilesCollection({ collectionName: 'testserver-upload-instance', storage: new MemoryStorage() });
+  });
+
+  afterEach(function() {
+    for (const instance of instances.splice(0)) {
+      instance.emit('_onEnd');
+    }
+  });
+
+  after(function() {
+    global.window = original.window;
+    if (original.navigator) {
+      Object.defineProperty(global, 'navigator', original.navigator);
+    } else {
+      delete global.navigator;
+    }
+    Meteor.status = original.status;
+  });
+
+  it('should halve parallel requests on failure and grow them back after acknowledged window', function() {
+    const instance = create({ concurrency: 4, retry: { delay: 1, jitter: 0 } });
+    expect(instance.window).to.equal(4);
+
+    instance.startTime[1] = Date.now();
+    instance.chunkFailed(1, new Error('network'));
+    expect(instance.window).to.equal(2);
+
+    // Chunk sent before the window was shrunk doesn't shrink it again
+    instance.startTime[2] = Date.now() - 1000;
+    instance.chunkFailed(2, new Error('network'));
+    expect(instance.window).to.equal(2);
+
+    instance.chunkSent(3);
+    expect(instance.window).to.equal(2);
+    instance.chunkSent(4);
+    expect(instance.window).to.equal(3);
+
+    instance.window = 1;
+    expect(instance.shrinkWindow(5)).to.be.false;
+  });
+
+  it('should retry each chunk up to `attempts` times', function() {
+    const instance = create({ retry: { attempts: 2, delay: 1, jitter: 0 } });
+    const retry = sinon.fake();
+    instance.result.on('retry', retry);
+    const error = new Meteor.Error(503, 'Service Unavailable');
+
+    instance.chunkFailed(1, error, 503);
+    instance.chunkFailed(1, error, 503);
+    expect(instance.retries).to.equal(2);
+    expect(retry.secondCall.args.slice(0, 2)).to.deep.equal([1, 2]);
+    expect(calls(instance, 'end')).to.equal(0);
+
+    instance.chunkFailed(1, error, 503);
+    expect(instance.retries).to.equal(2);
+    expect(instance.listeners('end')[0].calledWith(error)).to.be.true;
+  });
+
+  it('should not retry expired session and other not retryable responses', function() {
+    const instance = create();
+    instance.chunkFailed(1, new Meteor.Error(408, 'Session expired'), 408);
+    instance.chunkFailed(2, new Meteor.Error(400, 'Bad Request'), 400);
+    expect(instance.retries).to.equal(0);
+    expect(calls(instance, 'end')).to.equal(2);
+
+    const sendStart = sinon.fake();
+    expect(instance.startFailed(new Meteor.Error(408, 'Request timeout'), 0, sendStart)).to.be.false;
+    expect(instance.startFailed(new Meteor.Error(429, 'Too Many Requests', 'rate-limited'), 1, sendStart)).to.be.true;
+    expect(instance.startRetries).to.equal(1);
+  });
+
+  it('should use server\'s Retry-After when it\'s longer than backoff', function() {
+    const instance = create({ retry: { delay: 10, maxDelay: 40, jitter: 0 } });
+    expect(instance.retryDelay(1)).to.equal(10);
+    expect(instance.retryDelay(4)).to.equal(40);
+    expect(instance.retryDelay(1, 5000)).to.equal(5000);
+  });
+
+  it('should emit `data` event with base64 encoded chunk when chunk is sent as binary', function() {
+    const instance = create({ transport: 'ddp' });
+    const data = sinon.fake();
+    instance.on('data', data);
+
+    instance.sendChunk({ data: { bin: new Uint8Array(Buffer.from('test')).buffer, chunkId: 1 } });
+    instance.sendChunk({ data: { bin: Buffer.from('text').toString('base64'), chunkId: 2 } });
+    expect(data.firstCall.args[0]).to.equal(Buffer.from('test').toString('base64'));
+    expect(data.secondCall.args[0]).to.equal(Buffer.from('text').toString('base64'));
+  });
+
+  it('should pause upload when connection is lost and continue it with chunks received by server', function() {
+    const instance = create({
+      ddp: { call: (method, fileId, callback) => callback(void 0, { chunkSize: 4, fileLength: 4, chunks: [1, 2] }) }
+    });
+    const abort = sinon.fake();
+    const continueFunc = sinon.fake();
+    instance.started = true;
+    instance.fetchControllers.request = { abort };
+    instance.result.continueFunc = continueFunc;
+
+    instance.goOffline();
+    expect(instance.offline).to.be.true;
+    expect(instance.result.state.get()).to.equal('offline');
+    expect(abort.calledOnce).to.be.true;
+
+    navigator.onLine = false;
+    instance.goOnline();
+    expect(instance.offline).to.be.true;
+
+    navigator.onLine = true;
+    instance.goOnline();
+    expect(instance.offline).to.be.false;
+    expect(instance.sentChunks).to.equal(2);
+    expect(instance.result.state.get()).to.equal('active');
+    expect(continueFunc.calledOnce).to.be.true;
+  });
+
+  it('should end upload when its session is expired while offline', function() {
+    const instance = create({ ddp: { call: (method, fileId, callback) => callback(void 0, false) } });
+    instance.started = true;
+    instance.goOffline();
+    instance.goOnline();
+    expect(instance.listeners('end')[0].firstCall.args[0].error).to.equal(408);
+  });
+
+  it('should not continue upload paused by user', function() {
+    const instance = create();
+    instance.result.pause();
+    instance.goOffline();
+    expect(instance.offline).to.be.false;
+    expect(instance.result.state.get()).to.equal('paused');
+  });
+});
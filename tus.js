@@ -0,0 +1,338 @@
+import { Meteor } from 'meteor/meteor';
+import { Random } from 'meteor/random';
+import { helpers } from './lib.js';
+import { retryAfterHeaders } from './ratelimit.js';
+
+/**
+ * @const {String} TUS_VERSION    - Supported tus protocol version
+ * @const {String} TUS_EXTENSIONS - Supported tus protocol extensions
+ */
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = 'creation,expiration,termination';
+
+/*
+ * @const {Function} parseMetadata - Parse `Upload-Metadata` header: comma-separated `key base64value` pairs
+ */
+const parseMetadata = (header) => {
+  const metadata = {};
+  if (!helpers.isString(header)) {
+    return metadata;
+  }
+
+  for (const pair of header.split(',')) {
+    const [key, value] = pair.trim().split(' ');
+    if (key) {
+      metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+    }
+  }
+  return metadata;
+};
+
+/**
+ * @private
+ * @locus Server
+ * @class TusHandler
+ * @param collection {FilesCollection} - FilesCollection instance
+ * @summary HTTP endpoint implementing tus 1.0.0 resumable upload protocol (core, `creation`, `expiration` and `termination` extensions).
+ * Upload sessions are stored in `_preCollection`, received bytes are written to storage in chunks of `chunkSize`.
+ * Bytes of incomplete chunk are kept in memory until next `PATCH` request, if they are lost `HEAD` reports lower offset and client re-sends them
+ */
+class TusHandler {
+  constructor(collection) {
+    this.collection = collection;
+    this.route = `${collection.downloadRoute}/${collection.collectionName}/__tus`;
+    this.sessions = {};
+  }
+
+  /**
+   * @memberOf TusHandler
+   * @name handle
+   * @param {http.IncomingMessage} httpReq - Request
+   * @param {http.ServerResponse} httpResp - Response
+   * @summary Handle request to tus endpoint
+   * @returns {Promise<undefined>}
+   */
+  async handle(httpReq, httpResp) {
+    const method = (httpReq.headers['x-http-method-override'] || httpReq.method).toUpperCase();
+    const pathname = httpReq._parsedUrl.pathname;
+    const id = this.collection.sanitize(pathname.slice(pathname.indexOf(this.route) + this.route.length).replace(/^\/+|\/+$/g, ''), 20, 'a');
+    httpResp.setHeader('Access-Control-Expose-Headers', 'Location, Tus-Resumable, Tus-Version, Tus-Extension, Upload-Offset, Upload-Length, Upload-Expires, Retry-After');
+
+    try {
+      if (method === 'OPTIONS') {
+        httpResp.setHeader('Access-Control-Allow-Methods', 'POST, HEAD, PATCH, DELETE, OPTIONS');
+        httpResp.setHeader('Access-Control-Allow-Headers', 'Content-Type, Tus-Resumable, Upload-Length, Upload-Metadata, Upload-Offset, X-HTTP-Method-Override, x-mtok');
+        this._respond(httpResp, 204, {
+          'Tus-Version': TUS_VERSION,
+          'Tus-Extension': TUS_EXTENSIONS
+        });
+        return;
+      }
+
+      if (httpReq.headers['tus-resumable'] !== TUS_VERSION) {
+        this._respond(httpResp, 412, { 'Tus-Version': TUS_VERSION });
+        return;
+      }
+
+      if (!id && method === 'POST') {
+        await this.create(httpReq, httpResp);
+      } else if (id && method === 'HEAD') {
+        await this.head(id, httpReq, httpResp);
+      } else if (id && method === 'PATCH') {
+        await this.patch(id, httpReq, httpResp);
+      } else if (id && method === 'DELETE') {
+        await this.terminate(id, httpReq, httpResp);
+      } else {
+        this._respond(httpResp, 405);
+      }
+    } catch (error) {
+      Meteor._debug('[FilesCollection] [Upload] [tus] Exception:', error);
+      const code = (error instanceof Meteor.Error && helpers.isNumber(error.error)) ? error.error : 500;
+      const headers = Object.assign({ 'Content-Type': 'text/plain' }, helpers.omit(retryAfterHeaders(error), 'Access-Control-Expose-Headers'));
+      this._respond(httpResp, code, headers, (error instanceof Meteor.Error && error.reason) || 'Unexpected error!');
+    }
+  }
+
+  /**
+   * @memberOf TusHandler
+   * @name create
+   * @summary Create upload session, `creation` extension
+   * @returns {Promise<undefined>}
+   */
+  async create(httpReq, httpResp) {
+    if (httpReq.headers['upload-defer-length']) {
+      throw new Meteor.Error(400, 'Upload-Defer-Length is not supported');
+    }
+
+    const length = parseInt(httpReq.headers['upload-length']);
+    if (Number.isNaN(length) || length < 0) {
+      throw new Meteor.Error(400, 'Invalid Upload-Length');
+    }
+
+    const { filename, name, filetype, type, ...meta } = parseMetadata(httpReq.headers['upload-metadata']);
+    const chunkSize = this.collection.chunkSize;
+    const opts = {
+      file: {
+        name: filename || name || 'file',
+        type: filetype || type || 'application/octet-stream',
+        size: length,
+        meta
+      },
+      fileId: Random.id(),
+      chunkSize,
+      fileLength: Math.max(1, Math.ceil(length / chunkSize)),
+      ___s: true
+    };
+
+    const user = this.collection._getUser({ request: httpReq, response: httpResp });
+    const rateKeys = this.collection._rateLimitKeys(httpReq, user.userId);
+    if (rateKeys) {
+      this.collection._rateLimiter.start(rateKeys, opts.fileId);
+    }
+
+    let result;
+    try {
+      ({ result } = await this.collection._prepareUpload(helpers.clone(opts), user.userId, 'tus Start'));
+
+      opts._id = opts.fileId;
+      opts.createdAt = new Date();
+      opts.maxLength = opts.fileLength;
+      opts.tus = { length, offset: 0 };
+
+      await this.collection._preCollection.insertAsync(helpers.omit(opts, '___s'));
+    } catch (error) {
+      // Session isn't saved, so it won't be closed by `_preCollection` observer
+      if (rateKeys) {
+        this.collection._rateLimiter.release(opts.fileId);
+      }
+      throw error;
+    }
+    this.collection._createStream(result._id, result.path, helpers.omit(opts, '___s'));
+
+    if (length === 0) {
+      await this.collection._uploadChunk(opts.fileId, 1, Buffer.alloc(0), user.userId, 'tus');
+      await this.collection._uploadChunk(opts.fileId, void 0, void 0, user.userId, 'tus', true);
+    }
+
+    this._respond(httpResp, 201, {
+      Location: `${this.route}/${opts.fileId}`,
+      'Upload-Expires': this._expires(opts)
+    });
+  }
+
+  /**
+   * @memberOf TusHandler
+   * @name head
+   * @summary Respond with current offset of upload session
+   * @returns {Promise<undefined>}
+   */
+  async head(id, httpReq, httpResp) {
+    const session = await this._session(id, this.collection._getUser({ request: httpReq, response: httpResp }));
+    this._respond(httpResp, 200, {
+      'Upload-Offset': this._offset(session),
+      'Upload-Length': session.tus.length,
+      'Upload-Expires': this._expires(session)
+    });
+  }
+
+  /**
+   * @memberOf TusHandler
+   * @name patch
+   * @summary Receive bytes at `Upload-Offset`, write complete chunks to storage and finish upload once all bytes are received
+   * @returns {Promise<undefined>}
+   */
+  async patch(id, httpReq, httpResp) {
+    if (httpReq.headers['content-type'] !== 'application/offset+octet-stream') {
+      throw new Meteor.Error(415, 'Content-Type must be application/offset+octet-stream');
+    }
+
+    const user = this.collection._getUser({ request: httpReq, response: httpResp });
+    const session = await this._session(id, user);
+    let state = this.sessions[id];
+    if (state && state.locked) {
+      throw new Meteor.Error(409, 'Upload is locked by another request');
+    }
+
+    if (parseInt(httpReq.headers['upload-offset']) !== this._offset(session)) {
+      throw new Meteor.Error(409, 'Upload-Offset does not match current offset');
+    }
+
+    if (!state || state.offset !== session.tus.offset) {
+      state = this.sessions[id] = { offset: session.tus.offset, data: Buffer.alloc(0) };
+    }
+
+    const { chunkSize } = session;
+    const { length } = session.tus;
+    const rateKeys = this.collection._rateLimitKeys(httpReq, user.userId);
+    state.locked = true;
+    try {
+      for await (const data of httpReq) {
+        if (state.offset + state.data.length + data.length > length) {
+          throw new Meteor.Error(400, 'Upload-Length exceeded');
+        }
+
+        if (rateKeys) {
+          this.collection._rateLimiter.consume(rateKeys, data.length);
+        }
+
+        state.data = Buffer.concat([state.data, data]);
+        while (state.data.length >= chunkSize) {
+          await this.collection._uploadChunk(id, (state.offset / chunkSize) + 1, state.data.subarray(0, chunkSize), user.userId, 'tus');
+          state.data = state.data.subarray(chunkSize);
+          state.offset += chunkSize;
+          await this.collection._preCollection.updateAsync({ _id: id }, { $set: { 'tus.offset': state.offset } });
+        }
+      }
+
+      if (state.offset + state.data.length === length) {
+        if (state.data.length) {
+          await this.collection._uploadChunk(id, (state.offset / chunkSize) + 1, state.data, user.userId, 'tus');
+          state.offset += state.data.length;
+          state.data = Buffer.alloc(0);
+        }
+        await this.collection._uploadChunk(id, void 0, void 0, user.userId, 'tus', true);
+        delete this.sessions[id];
+      }
+    } finally {
+      state.locked = false;
+    }
+
+    this._respond(httpResp, 204, {
+      'Upload-Offset': state.offset + state.data.length,
+      'Upload-Expires': this._expires(session)
+    });
+  }
+
+  /**
+   * @memberOf TusHandler
+   * @name terminate
+   * @summary Abort upload and remove its session, `termination` extension
+   * @returns {Promise<undefined>}
+   */
+  async terminate(id, httpReq, httpResp) {
+    const session = await this._session(id, this.collection._getUser({ request: httpReq, response: httpResp }));
+    const upload = this.collection._currentUploads[id];
+    if (upload) {
+      upload.stop();
+      upload.abort();
+    } else if (helpers.isObject(session.file) && session.file.path) {
+      await this.collection.unlink({ _id: id, path: session.file.path });
+    }
+
+    delete this.sessions[id];
+    await this.collection._preCollection.removeAsync({ _id: id });
+    this._respond(httpResp, 204);
+  }
+
+  /**
+   * @memberOf TusHandler
+   * @name _session
+   * @param {String} id - Upload session id
+   * @param {Object} user - Requesting user, result of `_getUser()`
+   * @summary Internal method. Find unfinished upload session created over tus by the same user
+   * @throws {Meteor.Error} 404 If session does not exist or expired
+   * @throws {Meteor.Error} 403 If session is started by another user
+   * @returns {Promise<Object>}
+   */
+  async _session(id, user) {
+    const session = await this.collection._preCollection.findOneAsync({ _id: id });
+    if (!session || !helpers.isObject(session.tus) || session.isFinished) {
+      throw new Meteor.Error(404, 'Upload not found');
+    }
+
+    if (helpers.isObject(session.file) && session.file.userId && session.file.userId !== user.userId) {
+      throw new Meteor.Error(403, 'Can\'t access upload started by another user');
+    }
+
+    // Restore upload stream, received bytes are forgotten when storage can't continue it
+    await this.collection._continueUpload(id);
+    return (await this.collection._preCollection.findOneAsync({ _id: id })) || session;
+  }
+
+  /**
+   * @memberOf TusHandler
+   * @name _offset
+   * @param {Object} session - Upload session
+   * @summary Internal method. Returns number of received bytes, including bytes of incomplete chunk kept in memory
+   * @returns {Number}
+   */
+  _offset(session) {
+    const state = this.sessions[session._id];
+    if (state && state.offset === session.tus.offset) {
+      return state.offset + state.data.length;
+    }
+    return session.tus.offset;
+  }
+
+  /**
+   * @memberOf TusHandler
+   * @name _expires
+   * @param {Object} session - Upload session
+   * @summary Internal method. Returns `Upload-Expires` header value, session expires after `continueUploadTTL`
+   * @returns {String}
+   */
+  _expires(session) {
+    return new Date(session.createdAt.getTime() + (this.collection.continueUploadTTL * 1000)).toUTCString();
+  }
+
+  /**
+   * @memberOf TusHandler
+   * @name _respond
+   * @summary Internal method. End response with tus headers
+   * @returns {undefined}
+   */
+  _respond(httpResp, code, headers = {}, body) {
+    if (!httpResp.headersSent) {
+      httpResp.writeHead(code, Object.assign({
+        'Tus-Resumable': TUS_VERSION,
+        'Cache-Control': 'no-store'
+      }, headers));
+    }
+
+    if (!httpResp.finished) {
+      httpResp.end(body);
+    }
+  }
+}
+
+export { TusHandler, parseMetadata };
@@ -0,0 +1,133 @@
+/**
+ * @const {String} DB_NAME    - IndexedDB database name
+ * @const {String} STORE_NAME - IndexedDB object store with upload sessions
+ */
+const DB_NAME = 'ostrio:files';
+const STORE_NAME = 'uploads';
+
+/*
+ * @function
+ * @name fileFingerprint
+ * @param {File} file - HTML5 `File`
+ * @summary Identify file re-selected by user, without reading its content
+ * @returns {String}
+ */
+const fileFingerprint = (file) => [file.name, file.size, file.type, file.lastModified].join(':');
+
+/**
+ * @locus Client
+ * @class UploadStore
+ * @summary Persist upload sessions in IndexedDB, so uploads can be resumed after page reload or browser restart.
+ * Each record has `fileId`, `collectionName`, `fingerprint`, `name`, `size`, `type`, `chunkSize`, `fileLength`, `chunks` (acknowledged chunks) and `updatedAt` properties
+ */
+class UploadStore {
+  constructor() {
+    this._db = null;
+  }
+
+  /**
+   * @memberOf UploadStore
+   * @name _open
+   * @summary Internal method. Open (and create) database once
+   * @returns {Promise<IDBDatabase>}
+   */
+  _open() {
+    if (!this._db) {
+      this._db = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+          reject(new Error('[FilesCollection] [UploadStore] IndexedDB is not supported'));
+          return;
+        }
+
+        const request = window.indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'fileId' });
+          store.createIndex('collectionName', 'collectionName');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+
+      this._db.catch(() => {
+        this._db = null;
+      });
+    }
+    return this._db;
+  }
+
+  /**
+   * @memberOf UploadStore
+   * @name _request
+   * @param {String} mode - Transaction mode, `readonly` or `readwrite`
+   * @param {Function} action - Receives `IDBObjectStore`, returns `IDBRequest`
+   * @summary Internal method. Run request in a new transaction
+   * @returns {Promise<*>} - Request's result
+   */
+  async _request(mode, action) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const request = action(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * @memberOf UploadStore
+   * @name get
+   * @param {String} fileId - Upload's `fileId`
+   * @returns {Promise<Object|undefined>}
+   */
+  get(fileId) {
+    return this._request('readonly', (store) => store.get(fileId));
+  }
+
+  /**
+   * @memberOf UploadStore
+   * @name put
+   * @param {Object} record - Upload session
+   * @summary Add or replace upload session
+   * @returns {Promise<String>}
+   */
+  put(record) {
+    return this._request('readwrite', (store) => store.put(Object.assign({}, record, { updatedAt: new Date() })));
+  }
+
+  /**
+   * @memberOf UploadStore
+   * @name remove
+   * @param {String} fileId - Upload's `fileId`
+   * @returns {Promise<undefined>}
+   */
+  remove(fileId) {
+    return this._request('readwrite', (store) => store.delete(fileId));
+  }
+
+  /**
+   * @memberOf UploadStore
+   * @name list
+   * @param {String} collectionName - FilesCollection name
+   * @summary List upload sessions of collection
+   * @returns {Promise<[Object]>}
+   */
+  list(collectionName) {
+    return this._request('readonly', (store) => store.index('collectionName').getAll(collectionName));
+  }
+
+  /**
+   * @memberOf UploadStore
+   * @name find
+   * @param {String} collectionName - FilesCollection name
+   * @param {File} file - HTML5 `File`
+   * @summary Find upload session of the same file
+   * @returns {Promise<Object|null>}
+   */
+  async find(collectionName, file) {
+    const fingerprint = fileFingerprint(file);
+    return (await this.list(collectionName)).find((record) => record.fingerprint === fingerprint) || null;
+  }
+}
+
+const uploadStore = new UploadStore();
+
+export { UploadStore, uploadStore, fileFingerprint };
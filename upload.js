@@ -6,9 +6,63 @@ import { ReactiveVar } from 'meteor/reactive-var';
 import { EventEmitter } from 'eventemitter3';
 import { check, Match } from 'meteor/check';
 import { fixJSONParse, fixJSONStringify, helpers } from './lib.js';
+import { uploadStore, fileFingerprint } from './upload-store.js';
 
 const _rootUrl = (window.__meteor_runtime_config__.MOBILE_ROOT_URL || window.__meteor_runtime_config__.ROOT_URL).replace(/\/+$/, '');
 const isSafari = /^((?!chrome|android).)*safari/i.test(navigator.userAgent);
+const subtleCrypto = (window.crypto && window.crypto.subtle) || null;
+const noop = () => {};
+// How many times rejected chunk is re-sent before upload fails
+const maxChunkResends = 5;
+// Chunk request sent in parallel with other chunks is aborted and re-sent after this timeout (ms)
+const chunkTimeout = 60000;
+// Default retry policy of failed chunk requests, see `retry` option of `insert()`.
+// `408` isn't retried, server responds with it when upload's session is expired
+const retryDefaults = {
+  attempts: 5,
+  delay: 1000,
+  maxDelay: 30000,
+  jitter: 0.5,
+  statusCodes: [429, 500, 502, 503, 504]
+};
+
+/*
+ * @const {Function} chunkChecksum - Calculate hex SHA-256 of base64 encoded or raw (`ArrayBuffer`) chunk.
+ * Resolves `null` when WebCrypto isn't available, e.g. outside of secure context
+ */
+const chunkChecksum = async (binData) => {
+  if (!subtleCrypto) {
+    return null;
+  }
+
+  try {
+    let bytes = binData;
+    if (helpers.isString(binData)) {
+      const binary = window.atob(binData);
+      bytes = new window.Uint8Array(binary.length);
+      for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+      }
+    }
+    const hash = new window.Uint8Array(await subtleCrypto.digest('SHA-256', bytes));
+    return Array.prototype.map.call(hash, (byte) => (byte < 16 ? '0' : '') + byte.toString(16)).join('');
+  } catch (error) {
+    return null;
+  }
+};
+
+/*
+ * @const {Function} toBase64 - Encode raw (`ArrayBuffer`) chunk to base64 string
+ */
+const toBase64 = (binData) => {
+  const bytes = new window.Uint8Array(binData);
+  let binary = '';
+  // Encoded in slices, as `String.fromCharCode` arguments are limited by call stack size
+  for (let i = 0; i < bytes.length; i += 32768) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 32768));
+  }
+  return window.btoa(binary);
+};
 
 /*
  * @locus Client
@@ -138,7 +192,16 @@ export class UploadInstance extends EventEmitter {
       onUploaded: Match.Optional(Function),
       onProgress: Match.Optional(Function),
       onBeforeUpload: Match.Optional(Function),
-      allowWebWorkers: Boolean
+      allowWebWorkers: Boolean,
+      resumable: Match.Optional(Boolean),
+      concurrency: Match.Optional(Match.Where((concurrency) => helpers.isNumber(concurrency) && concurrency >= 1)),
+      retry: Match.Optional(Match.OneOf(Boolean, {
+        attempts: Match.Optional(Number),
+        delay: Match.Optional(Number),
+        maxDelay: Match.Optional(Number),
+        jitter: Match.Optional(Number),
+        statusCodes: Match.Optional([Number])
+      }))
     });
 
     this.config.isEnded = false;
@@ -215,6 +278,31 @@ export class UploadInstance extends EventEmitter {
       this.transferTime = 0;
       this.trackerComp = null;
       this.sentChunks = 0;
+      this.receivedChunks = {};
+      this.firstMissingChunk = 1;
+      this.rejectedChunks = {};
+      // Chunks sent and not yet acknowledged by the server
+      this.inFlight = {};
+      this.inFlightCount = 0;
+      // Chunks are sent in parallel only over HTTP, `window` is current
+      // number of parallel requests, halved when request fails or times out
+      this.concurrency = this.config.transport === 'http' ? Math.floor(this.config.concurrency || 1) : 1;
+      this.window = this.concurrency;
+      this.windowAcks = 0;
+      this.windowShrunkAt = 0;
+      // Failed chunks waiting for retry, and number of retries of each chunk
+      this.retry = this.config.retry === false ? null : Object.assign({}, retryDefaults, helpers.isObject(this.config.retry) ? this.config.retry : {});
+      this.retryTimers = {};
+      this.chunkRetries = {};
+      this.startRetries = 0;
+      this.retries = 0;
+      // Set when upload is paused because of lost connection, upload
+      // continues automatically once browser and DDP are connected again
+      this.offline = false;
+      this.started = false;
+      // Set when server accepts raw `application/octet-stream` chunks over HTTP
+      this.binaryChunks = false;
+      this.resumable = this.config.resumable === true && !this.config.isBase64;
       this.fileLength = 1;
       this.startTime = {};
       this.EOFsent = false;
@@ -259,7 +347,7 @@ export class UploadInstance extends EventEmitter {
 
         this.result.progress.set(progress);
         this.config.onProgress && this.config.onProgress.call(this.result, progress, this.fileData);
-        this.result.emit('progress', progress, this.fileData, { chunksSent: this.sentChunks, chunksLength: this.fileLength, bytesSent: sentBytes });
+        this.result.emit('progress', progress, this.fileData, { chunksSent: this.sentChunks, chunksLength: this.fileLength, bytesSent: sentBytes, retries: this.retries });
       };
 
       this.addListener('end', this.end);
@@ -267,7 +355,10 @@ export class UploadInstance extends EventEmitter {
       this.addListener('upload', this.upload);
       this.addListener('sendEOF', this.sendEOF);
       this.addListener('prepare', this.prepare);
+      this.addListener('resume', this.resume);
+      this.addListener('chunkSent', this.chunkSent);
       this.addListener('sendChunk', this.sendChunk);
+      this.addListener('chunkRejected', this.chunkRejected);
       this.addListener('proceedChunk', this.proceedChunk);
 
       this.addListener('calculateStats', helpers.throttle(() => {
@@ -275,7 +366,7 @@ export class UploadInstance extends EventEmitter {
           return;
         }
 
-        const _t = (this.transferTime / (this.sentChunks || 1));
+        const _t = (this.transferTime / (this.sentChunks || 1)) / this.window;
         this.result.estimateTime.set((_t * (this.fileLength - this.sentChunks)));
         this.result.estimateSpeed.set((this.config.chunkSize / (_t / 1000)));
 
@@ -294,6 +385,12 @@ export class UploadInstance extends EventEmitter {
             delete this.fetchControllers[uid];
           }
         }
+        for (const chunkId in this.retryTimers) {
+          if (this.retryTimers[chunkId]) {
+            Meteor.clearTimeout(this.retryTimers[chunkId]);
+            delete this.retryTimers[chunkId];
+          }
+        }
         if (this.result.estimateTimer) {
           Meteor.clearInterval(this.result.estimateTimer);
         }
@@ -306,6 +403,15 @@ export class UploadInstance extends EventEmitter {
         if (this.beforeunload) {
           window.removeEventListener('beforeunload', this.beforeunload, false);
         }
+        if (this.onOnline) {
+          window.removeEventListener('online', this.onOnline, false);
+          window.removeEventListener('offline', this.onOffline, false);
+        }
+        if (this.resumable) {
+          uploadStore.remove(this.fileId).catch((error) => {
+            this.collection._debug('[FilesCollection] [insert] [uploadStore.remove] Error:', error);
+          });
+        }
         return;
       });
     } else {
@@ -356,7 +462,10 @@ export class UploadInstance extends EventEmitter {
       }
     }
 
-    this.emit('data', evt.data.bin);
+    if (this.listenerCount('data')) {
+      // `data` event receives base64 encoded chunk regardless of how chunk is sent
+      this.emit('data', helpers.isString(evt.data.bin) ? evt.data.bin : toBase64(evt.data.bin));
+    }
     if (this.pipes.length) {
       for (let i = this.pipes.length - 1; i >= 0; i--) {
         opts.binData = this.pipes[i](opts.binData);
@@ -371,70 +480,249 @@ export class UploadInstance extends EventEmitter {
     }
 
     if (opts.binData) {
-      if (this.config.transport === 'ddp') {
-        this.config.ddp.call(this.collection._methodNames._Write, opts, (error) => {
-          this.transferTime += Date.now() - this.startTime[opts.chunkId];
-          if (error) {
-            if (this.result.state.get() !== 'aborted') {
-              this.emit('end', error);
-            }
-          } else {
-            if (++this.sentChunks >= this.fileLength) {
-              this.emit('sendEOF');
-            } else {
-              this.emit('upload');
-            }
-            this.emit('calculateStats');
-          }
-        });
-      } else {
-        const uid = Random.id();
-        this.fetchControllers[uid] = new AbortController();
-        fetch(`${_rootUrl}${this.collection.downloadRoute}/${this.collection.collectionName}/__upload`, {
-          method: 'POST',
-          signal: this.fetchControllers[uid].signal,
-          body: opts.binData,
-          cache: 'no-cache',
-          credentials: 'include',
-          type: 'cors',
-          headers: {
-            'x-mtok': (helpers.isObject(Meteor.connection) ? Meteor.connection._lastSessionId : void 0) || null,
-            'x-fileid': opts.fileId,
-            'x-chunkid': opts.chunkId,
-            'content-type': 'text/plain'
-          }
-        }).then((response) => {
-          delete this.fetchControllers[uid];
-          if (!this.config.isEnded) {
-            if (response.status === 204) {
-              this.collection._debug('[FilesCollection] [sendChunk] [fetch()] [then] chunk successfully sent');
-              this.transferTime += Date.now() - this.startTime[opts.chunkId];
-              if (++this.sentChunks >= this.fileLength) {
-                this.emit('sendEOF');
-              } else {
-                this.emit('upload');
-              }
-              this.emit('calculateStats');
-            } else {
-              this.emit('end', new Meteor.Error(response.status, 'Can\'t continue upload, session expired. Please, start upload again.'));
-            }
+      // Checksum calculated in WebWorker is valid only if data wasn't changed by pipes
+      const checksum = (evt.data.sum && !this.pipes.length) ? Promise.resolve(evt.data.sum) : chunkChecksum(opts.binData);
+      checksum.then((sum) => {
+        if (sum) {
+          opts.checksum = sum;
+        }
+        this.transferChunk(opts);
+      });
+    }
+  }
+
+  transferChunk(opts) {
+    if (this.config.isEnded) {
+      return;
+    }
+
+    if (this.config.transport === 'ddp') {
+      // Raw chunk is sent as EJSON binary
+      const chunk = helpers.isString(opts.binData) ? opts : Object.assign({}, opts, { binData: new window.Uint8Array(opts.binData) });
+      this.config.ddp.call(this.collection._methodNames._Write, chunk, (error, result) => {
+        this.settleChunk(opts.chunkId);
+        this.transferTime += Date.now() - this.startTime[opts.chunkId];
+        if (error) {
+          if (this.result.state.get() !== 'aborted') {
+            this.chunkFailed(opts.chunkId, error, error.error);
           }
-        }).catch((error) => {
-          delete this.fetchControllers[uid];
-          if (!this.config.isEnded) {
-            this.collection._debug('[FilesCollection] [sendChunk] [fetch()] [error] EXCEPTION while sending chunk', error);
+        } else if (helpers.isObject(result) && result.error === 'chunk-rejected') {
+          this.emit('chunkRejected', result);
+        } else {
+          this.emit('chunkSent', opts.chunkId);
+        }
+      });
+    } else {
+      const uid = Random.id();
+      const headers = {
+        'x-mtok': (helpers.isObject(Meteor.connection) ? Meteor.connection._lastSessionId : void 0) || null,
+        'x-fileid': opts.fileId,
+        'x-chunkid': opts.chunkId,
+        'content-type': helpers.isString(opts.binData) ? 'text/plain' : 'application/octet-stream'
+      };
+
+      if (opts.checksum) {
+        headers['x-checksum'] = opts.checksum;
+      }
+
+      this.fetchControllers[uid] = new AbortController();
+      const timeout = this.window > 1 ? Meteor.setTimeout(() => {
+        if (this.fetchControllers[uid]) {
+          this.fetchControllers[uid].abort();
+        }
+      }, chunkTimeout) : null;
+
+      fetch(`${_rootUrl}${this.collection.downloadRoute}/${this.collection.collectionName}/__upload`, {
+        method: 'POST',
+        signal: this.fetchControllers[uid].signal,
+        body: opts.binData,
+        cache: 'no-cache',
+        credentials: 'include',
+        type: 'cors',
+        headers
+      }).then((response) => {
+        delete this.fetchControllers[uid];
+        Meteor.clearTimeout(timeout);
+        this.settleChunk(opts.chunkId);
+        if (!this.config.isEnded) {
+          if (response.status === 204) {
+            this.collection._debug('[FilesCollection] [sendChunk] [fetch()] [then] chunk successfully sent');
             this.transferTime += Date.now() - this.startTime[opts.chunkId];
-            Meteor.setTimeout(() => {
-              if (!Meteor.status().connected || `${error}` === 'Error: network' || `${error}` === 'Error: Connection lost') {
-                this.result.pause();
-              } else if (this.result.state.get() !== 'aborted') {
-                this.emit('end', error);
-              }
-            }, 512);
+            this.emit('chunkSent', opts.chunkId);
+          } else if (response.status === 422) {
+            this.transferTime += Date.now() - this.startTime[opts.chunkId];
+            return response.json().then((result) => {
+              this.emit('chunkRejected', result);
+            });
+          } else {
+            this.chunkFailed(opts.chunkId, new Meteor.Error(response.status, 'Can\'t continue upload, session expired. Please, start upload again.'), response.status, parseInt(response.headers.get('retry-after')) * 1000);
           }
-        });
+        }
+        return void 0;
+      }).catch((error) => {
+        delete this.fetchControllers[uid];
+        Meteor.clearTimeout(timeout);
+        this.settleChunk(opts.chunkId);
+        if (!this.config.isEnded) {
+          this.collection._debug('[FilesCollection] [sendChunk] [fetch()] [error] EXCEPTION while sending chunk', error);
+          this.transferTime += Date.now() - this.startTime[opts.chunkId];
+          Meteor.setTimeout(() => {
+            if (this.offline || !Meteor.status().connected || `${error}` === 'Error: network' || `${error}` === 'Error: Connection lost') {
+              // Chunk is sent again when connection is restored
+              this.goOffline();
+            } else if (this.result.state.get() !== 'aborted') {
+              this.chunkFailed(opts.chunkId, error);
+            }
+          }, 512);
+        }
+      });
+    }
+  }
+
+  settleChunk(chunkId) {
+    if (this.inFlight[chunkId]) {
+      delete this.inFlight[chunkId];
+      --this.inFlightCount;
+    }
+  }
+
+  chunkFailed(chunkId, error, status, retryAfter) {
+    // Request without response status failed on network level
+    const retryable = status === void 0 || (helpers.isNumber(status) && this.retry !== null && this.retry.statusCodes.includes(status));
+    if (!retryable) {
+      this.emit('end', error);
+      return;
+    }
+
+    const resend = this.shrinkWindow(chunkId);
+    const attempt = (this.chunkRetries[chunkId] || 0) + 1;
+    if (this.retry && attempt <= this.retry.attempts) {
+      const delay = this.retryDelay(attempt, retryAfter);
+      this.chunkRetries[chunkId] = attempt;
+      ++this.retries;
+      this.collection._debug(`[FilesCollection] [UploadInstance] [chunkFailed] Chunk #${chunkId} failed, retry #${attempt} in ${delay}ms`, error);
+      this.result.emit('retry', chunkId, attempt, delay, error);
+      this.retryTimers[chunkId] = Meteor.setTimeout(() => {
+        delete this.retryTimers[chunkId];
+        this.emit('upload');
+      }, delay);
+      return;
+    }
+
+    if (resend) {
+      this.emit('upload');
+    } else {
+      this.emit('end', error);
+    }
+  }
+
+  startFailed(error, retryAfter, sendStart) {
+    // Start request is repeated only when it's rejected by server's rate limit
+    if (!error || error.error !== 429 || this.retry === null || !this.retry.statusCodes.includes(429) || this.startRetries >= this.retry.attempts) {
+      return false;
+    }
+
+    const attempt = ++this.startRetries;
+    const delay = this.retryDelay(attempt, retryAfter);
+    ++this.retries;
+    this.collection._debug(`[FilesCollection] [UploadInstance] [startFailed] Upload is rate limited, retry #${attempt} in ${delay}ms`, error);
+    this.result.emit('retry', 0, attempt, delay, error);
+    this.retryTimers[0] = Meteor.setTimeout(() => {
+      delete this.retryTimers[0];
+      sendStart();
+    }, delay);
+    return true;
+  }
+
+  retryDelay(attempt, retryAfter) {
+    const backoff = Math.min(this.retry.maxDelay, this.retry.delay * Math.pow(2, attempt - 1));
+    const delay = Math.round(backoff * (1 - (this.retry.jitter * Math.random())));
+    // Server's `Retry-After` is respected even if it's longer than `maxDelay`
+    return retryAfter > delay ? retryAfter : delay;
+  }
+
+  shrinkWindow(chunkId) {
+    if (this.startTime[chunkId] < this.windowShrunkAt) {
+      // Chunk was sent before the window was shrunk, re-send it with the current window
+      return true;
+    }
+
+    if (this.window <= 1) {
+      return false;
+    }
+
+    this.window = Math.floor(this.window / 2);
+    this.windowAcks = 0;
+    this.windowShrunkAt = Date.now();
+    this.collection._debug(`[FilesCollection] [UploadInstance] [shrinkWindow] Chunk #${chunkId} failed, parallel requests: ${this.window}`);
+    return true;
+  }
+
+  chunkSent(chunkId) {
+    if (!this.receivedChunks[chunkId]) {
+      this.receivedChunks[chunkId] = true;
+      ++this.sentChunks;
+      if (this.resumable) {
+        this.persist();
       }
     }
+
+    // Grow the window back by one request, after the whole window is acknowledged
+    if (this.window < this.concurrency && ++this.windowAcks >= this.window) {
+      ++this.window;
+      this.windowAcks = 0;
+    }
+
+    if (this.sentChunks >= this.fileLength) {
+      this.emit('sendEOF');
+    } else {
+      this.emit('upload');
+    }
+    this.emit('calculateStats');
+  }
+
+  nextChunkId() {
+    while (this.receivedChunks[this.firstMissingChunk]) {
+      ++this.firstMissingChunk;
+    }
+
+    let chunkId = this.firstMissingChunk;
+    while (this.receivedChunks[chunkId] || this.inFlight[chunkId] || this.retryTimers[chunkId]) {
+      ++chunkId;
+    }
+    return chunkId;
+  }
+
+  persist() {
+    uploadStore.put({
+      fileId: this.fileId,
+      collectionName: this.collection.collectionName,
+      fingerprint: fileFingerprint(this.config.file),
+      name: this.fileData.name,
+      size: this.fileData.size,
+      type: this.fileData.type,
+      chunkSize: this.config.chunkSize,
+      fileLength: this.fileLength,
+      chunks: Object.keys(this.receivedChunks).map((chunkId) => parseInt(chunkId))
+    }).catch((error) => {
+      this.collection._debug('[FilesCollection] [insert] [uploadStore.put] Error:', error);
+    });
+  }
+
+  chunkRejected(rejected) {
+    const chunkId = rejected.chunkId;
+    this.rejectedChunks[chunkId] = (this.rejectedChunks[chunkId] || 0) + 1;
+    this.collection._debug(`[FilesCollection] [UploadInstance] [chunkRejected] Chunk #${chunkId} is rejected (${rejected.reason}), attempt: ${this.rejectedChunks[chunkId]}`);
+    this.result.emit('chunkRejected', chunkId, rejected.reason);
+
+    if (this.rejectedChunks[chunkId] > maxChunkResends) {
+      this.emit('end', new Meteor.Error(422, `Chunk #${chunkId} is rejected by the server ${this.rejectedChunks[chunkId]} times: ${rejected.reason}`));
+      return;
+    }
+
+    // `upload()` re-reads and re-sends the same chunk,
+    // as it isn't marked as received
+    this.emit('upload');
   }
 
   sendEOF() {
@@ -481,8 +769,10 @@ export class UploadInstance extends EventEmitter {
           delete this.fetchControllers[uid];
           if (!this.config.isEnded) {
             Meteor.setTimeout(() => {
-              if (!Meteor.status().connected || `${error}` === 'Error: network' || `${error}` === 'Error: Connection lost') {
-                this.result.pause();
+              if (this.offline || !Meteor.status().connected || `${error}` === 'Error: network' || `${error}` === 'Error: Connection lost') {
+                // EOF is sent again when connection is restored
+                this.EOFsent = false;
+                this.goOffline();
               } else if (this.result.state.get() !== 'aborted') {
                 Meteor._debug('Something went wrong! [sendEOF] method doesn\'t returned JSON! Looks like you\'re on Cordova app or behind proxy, switching to DDP transport is recommended.');
                 this.emit('end', error);
@@ -504,6 +794,17 @@ export class UploadInstance extends EventEmitter {
           chunkId
         }
       });
+    } else if (this.isBinary() && chunk.arrayBuffer) {
+      chunk.arrayBuffer().then((bin) => {
+        this.emit('sendChunk', {
+          data: {
+            bin,
+            chunkId
+          }
+        });
+      }, (error) => {
+        this.emit('end', error);
+      });
     } else {
       let fileReader;
       if (window.FileReader) {
@@ -538,6 +839,11 @@ export class UploadInstance extends EventEmitter {
     }
   }
 
+  isBinary() {
+    // Pipes receive and return base64 encoded chunks
+    return (this.binaryChunks || this.config.transport === 'ddp') && !this.config.isBase64 && !this.pipes.length;
+  }
+
   upload() {
     if (this.result.onPause.get()) {
       return this;
@@ -547,21 +853,31 @@ export class UploadInstance extends EventEmitter {
       return this;
     }
 
-    if (this.sentChunks + 1 <= this.fileLength) {
+    let chunkId = this.nextChunkId();
+    if (chunkId > this.fileLength) {
+      if (this.sentChunks >= this.fileLength) {
+        this.emit('sendEOF');
+      }
+      return this;
+    }
+
+    while (chunkId <= this.fileLength && this.inFlightCount < this.window) {
+      this.inFlight[chunkId] = true;
+      ++this.inFlightCount;
+      this.startTime[chunkId] = Date.now();
       if (this.worker) {
         this.worker.postMessage({
           f: this.config.file,
-          cc: this.sentChunks + 1,
+          cc: chunkId,
           cs: this.config.chunkSize,
-          ib: this.config.isBase64
+          ib: this.config.isBase64,
+          bn: this.isBinary()
         });
       } else {
-        this.emit('proceedChunk', this.sentChunks + 1);
+        this.emit('proceedChunk', chunkId);
       }
-    } else {
-      this.emit('sendEOF');
+      chunkId = this.nextChunkId();
     }
-    this.startTime[this.sentChunks + 1] = Date.now();
     return this;
   }
 
@@ -608,32 +924,57 @@ export class UploadInstance extends EventEmitter {
       opts.FSName = this.FSName;
     }
 
-    const handleStart = (error) => {
+    if (this.resumable) {
+      // Server keeps track of received chunks only for uploads which can be resumed
+      opts.resumable = true;
+    }
+
+    let sendStart;
+    const handleStart = (error, retryAfter) => {
       if (!this.config.isEnded) {
         if (error) {
+          if (this.startFailed(error, retryAfter, sendStart)) {
+            return;
+          }
+
           Meteor.setTimeout(() => {
-            if (!Meteor.status().connected || `${error}` === 'Error: network' || `${error}` === 'Error: Connection lost') {
-              this.result.pause();
+            if (this.offline || !Meteor.status().connected || `${error}` === 'Error: network' || `${error}` === 'Error: Connection lost') {
+              // Upload is started again when connection is restored
+              this.result.continueFunc = () => {
+                this.emit('prepare');
+              };
+              this.goOffline();
             } else if (this.result.state.get() !== 'aborted') {
               this.collection._debug('[FilesCollection] [_Start] Error:', error);
               this.emit('end', error);
             }
           }, 512);
         } else {
+          this.started = true;
           this.result.continueFunc = () => {
             this.collection._debug('[FilesCollection] [insert] [continueFunc]');
             this.emit('upload');
           };
+          if (this.resumable) {
+            this.persist();
+          }
           this.emit('upload');
         }
       }
     };
 
-    if (this.config.transport === 'ddp') {
-      this.config.ddp.call(this.collection._methodNames._Start, opts, handleStart);
-    } else {
-      if (helpers.isObject(opts.file) ? opts.file.meta : void 0) {
-        opts.file.meta = fixJSONStringify(opts.file.meta);
+    if (this.config.transport !== 'ddp' && (helpers.isObject(opts.file) ? opts.file.meta : void 0)) {
+      opts.file.meta = fixJSONStringify(opts.file.meta);
+    }
+
+    sendStart = () => {
+      if (this.config.isEnded) {
+        return;
+      }
+
+      if (this.config.transport === 'ddp') {
+        this.config.ddp.call(this.collection._methodNames._Start, opts, (error) => handleStart(error));
+        return;
       }
 
       const uid = Random.id();
@@ -653,18 +994,144 @@ export class UploadInstance extends EventEmitter {
         delete this.fetchControllers[uid];
         if (!this.config.isEnded) {
           if (response.status === 204) {
+            this.binaryChunks = response.headers.get('x-binary-chunks') === '1';
             handleStart();
           } else {
-            this.emit('end', new Meteor.Error(response.status, 'Can\'t start upload, make sure you\'re connected to the Internet. Reload the page or try again later.'));
+            // Rejected upload (like by upload limits) responds with `reason` and machine-readable `details`
+            response.json().catch(() => ({})).then((body) => {
+              const { reason, details } = helpers.isObject(body) ? body : {};
+              const error = new Meteor.Error(response.status, reason || 'Can\'t start upload, make sure you\'re connected to the Internet. Reload the page or try again later.', details);
+              if (!this.startFailed(error, parseInt(response.headers.get('retry-after')) * 1000, sendStart)) {
+                this.emit('end', error);
+              }
+            });
           }
         }
       }).catch((error) => {
         delete this.fetchControllers[uid];
         handleStart(error);
       });
+    };
+    sendStart();
+  }
+
+  async resume() {
+    let record = null;
+    let session = false;
+    try {
+      record = await uploadStore.find(this.collection.collectionName, this.config.file);
+      if (record) {
+        session = await new Promise((resolve, reject) => {
+          this.config.ddp.call(this.collection._methodNames._Resume, record.fileId, (error, result) => {
+            if (error) {
+              reject(error);
+            } else {
+              resolve(result);
+            }
+          });
+        });
+      }
+    } catch (error) {
+      this.collection._debug('[FilesCollection] [insert] [resume] Error:', error);
+    }
+
+    if (this.config.isEnded) {
+      return;
+    }
+
+    if (!record || !session) {
+      if (record) {
+        // Upload session is expired on the server
+        uploadStore.remove(record.fileId).catch(noop);
+      }
+      this.emit('prepare');
+      return;
+    }
+
+    this.collection._debug(`[FilesCollection] [insert] [resume] ${this.fileData.name} - ${record.fileId}, received chunks: ${session.chunks.length}/${session.fileLength}`);
+    this.fileId = record.fileId;
+    this.result.config.fileId = record.fileId;
+    this.config.chunkSize = record.chunkSize;
+    this.fileLength = session.fileLength;
+    this.result.config.fileLength = this.fileLength;
+    for (const chunkId of session.chunks) {
+      this.receivedChunks[chunkId] = true;
+    }
+    this.sentChunks = Object.keys(this.receivedChunks).length;
+    this.started = true;
+
+    this.config.onStart && this.config.onStart.call(this.result, null, this.fileData);
+    this.result.emit('start', null, this.fileData);
+    this.result.continueFunc = () => {
+      this.collection._debug('[FilesCollection] [insert] [continueFunc]');
+      this.emit('upload');
+    };
+    this.emit('calculateStats');
+    this.emit('upload');
+  }
+
+  goOffline() {
+    if (this.config.isEnded || this.result.state.get() === 'aborted') {
+      return;
+    }
+
+    if (!this.offline) {
+      this.collection._debug('[FilesCollection] [insert] [goOffline]');
+      // Upload paused by user isn't continued automatically
+      if (this.result.onPause.get()) {
+        return;
+      }
+      this.offline = true;
+      this.result.pause();
+      this.result.state.set('offline');
+
+      // Requests hang or fail while offline, their chunks are sent again after reconnect
+      for (const uid in this.fetchControllers) {
+        if (this.fetchControllers[uid]) {
+          this.fetchControllers[uid].abort();
+          delete this.fetchControllers[uid];
+        }
+      }
     }
   }
 
+  goOnline() {
+    if (!this.offline || this.config.isEnded || !navigator.onLine || !Meteor.status().connected) {
+      return;
+    }
+
+    this.collection._debug('[FilesCollection] [insert] [goOnline]');
+    this.offline = false;
+    this.result.state.set('waiting');
+    if (!this.started) {
+      this.result.continue();
+      return;
+    }
+
+    // Chunks sent right before connection was lost may be already received by the server
+    this.config.ddp.call(this.collection._methodNames._Resume, this.fileId, (error, session) => {
+      if (this.config.isEnded || this.offline || this.result.state.get() !== 'waiting') {
+        return;
+      }
+
+      if (error) {
+        this.collection._debug('[FilesCollection] [insert] [goOnline] [_Resume] Error:', error);
+      } else if (!session) {
+        this.emit('end', new Meteor.Error(408, 'Can\'t continue upload, session expired. Please, start upload again.'));
+        return;
+      } else {
+        for (const chunkId of session.chunks) {
+          if (!this.receivedChunks[chunkId]) {
+            this.receivedChunks[chunkId] = true;
+            ++this.sentChunks;
+          }
+        }
+        this.emit('calculateStats');
+      }
+      this.result.continue();
+    });
+  }
+
   pipe(func) {
     this.pipes.push(func);
     return this;
@@ -677,6 +1144,14 @@ export class UploadInstance extends EventEmitter {
       return this.result;
     }
 
+    try {
+      // Same limits are enforced on the server
+      this.collection._checkUploadLimits(this.fileData);
+    } catch (error) {
+      this.end(error);
+      return this.result;
+    }
+
     try {
       if (this.config.onBeforeUpload && helpers.isFunction(this.config.onBeforeUpload)) {
         isUploadAllowed = await Promise.resolve(this.config.onBeforeUpload.call(Object.assign({}, this.result, this.collection._getUser()), this.fileData));
@@ -694,15 +1169,23 @@ export class UploadInstance extends EventEmitter {
 
       Tracker.autorun((computation) => {
         this.trackerComp = computation;
-        if (!this.result.onPause.curValue && !Meteor.status().connected) {
+        if (!Meteor.status().connected) {
           this.collection._debug('[FilesCollection] [insert] [Tracker] [pause]');
-          this.result.pause();
-        } else if (this.result.onPause.curValue && Meteor.status().connected) {
+          this.goOffline();
+        } else {
           this.collection._debug('[FilesCollection] [insert] [Tracker] [continue]');
-          this.result.continue();
+          this.goOnline();
         }
       });
 
+      this.onOnline = () => this.goOnline();
+      this.onOffline = () => this.goOffline();
+      window.addEventListener('online', this.onOnline, false);
+      window.addEventListener('offline', this.onOffline, false);
+      if (!navigator.onLine) {
+        this.goOffline();
+      }
+
       if (this.worker) {
         this.collection._debug('[FilesCollection] [insert] using WebWorkers');
         this.worker.onmessage = (evt) => {
@@ -722,7 +1205,7 @@ export class UploadInstance extends EventEmitter {
         this.collection._debug('[FilesCollection] [insert] using MainThread');
       }
 
-      this.emit('prepare');
+      this.emit(this.resumable ? 'resume' : 'prepare');
       return this.result;
     } catch (error) {
       return this.end(new Meteor.Error(500, `Error in onBeforeUpload: ${error.message}`));
@@ -1,15 +1,71 @@
 ;(function(root) {
   "use strict";
+  var toHex = function(buffer) {
+    var bytes = new Uint8Array(buffer);
+    var hex = '';
+    for (var i = 0; i < bytes.length; i++) {
+      hex += (bytes[i] < 16 ? '0' : '') + bytes[i].toString(16);
+    }
+    return hex;
+  };
+
+  // SHA-256 of the buffer, `null` is passed to callback when WebCrypto isn't available
+  var digest = function(buffer, cb) {
+    if (!root.crypto || !root.crypto.subtle) {
+      cb(null);
+      return;
+    }
+
+    root.crypto.subtle.digest('SHA-256', buffer).then(function(hash) {
+      cb(toHex(hash));
+    }, function() {
+      cb(null);
+    });
+  };
+
+  // SHA-256 of the chunk
+  var checksum = function(chunk, cb) {
+    if (!root.crypto || !root.crypto.subtle || !chunk.arrayBuffer) {
+      cb(null);
+      return;
+    }
+
+    chunk.arrayBuffer().then(function(buffer) {
+      digest(buffer, cb);
+    }, function() {
+      cb(null);
+    });
+  };
+
   root.onmessage = function(e) {
     var _chunk = e.data.f.slice(e.data.cs * (e.data.cc - 1), e.data.cs * e.data.cc);
     if (e.data.ib === true) {
       postMessage({bin: _chunk, chunkId: e.data.cc});
+    } else if (e.data.bn === true) {
+      // Raw binary chunk, ArrayBuffer is transferred to the main thread without copying
+      var sendBuffer = function(buffer) {
+        digest(buffer, function(sum) {
+          postMessage({bin: buffer, chunkId: e.data.cc, sum: sum}, [buffer]);
+        });
+      };
+
+      if (root.FileReaderSync) {
+        sendBuffer(new FileReaderSync().readAsArrayBuffer(_chunk));
+      } else if (_chunk.arrayBuffer) {
+        _chunk.arrayBuffer().then(sendBuffer);
+      } else {
+        postMessage({bin: null, chunkId: e.data.cc, error: 'File API is not supported in WebWorker!'});
+      }
     } else {
       var fileReader;
+      var bin;
       if (root.FileReader) {
         fileReader = new FileReader();
         fileReader.onloadend = function(chunk) {
-          postMessage({bin: (fileReader.result || chunk.srcElement || chunk.target).split(',')[1], chunkId: e.data.cc, s: e.data.s});
+          bin = (fileReader.result || chunk.srcElement || chunk.target).split(',')[1];
+          checksum(_chunk, function(sum) {
+            postMessage({bin: bin, chunkId: e.data.cc, s: e.data.s, sum: sum});
+          });
         };
 
         fileReader.onerror = function(error) {
@@ -19,11 +75,14 @@
         fileReader.readAsDataURL(_chunk);
       } else if (root.FileReaderSync) {
         fileReader = new FileReaderSync();
-        postMessage({bin: fileReader.readAsDataURL(_chunk).split(',')[1], chunkId: e.data.cc});
+        bin = fileReader.readAsDataURL(_chunk).split(',')[1];
+        checksum(_chunk, function(sum) {
+          postMessage({bin: bin, chunkId: e.data.cc, sum: sum});
+        });
       } else {
         postMessage({bin: null, chunkId: e.data.cc, error: 'File API is not supported in WebWorker!'});
       }
     }
     return;
   };
-}(this));
\ No newline at end of file
+}(this));
@@ -1 +1 @@
-!function(a){"use strict";a.onmessage=function(b){var c=b.data.f.slice(b.data.cs*(b.data.cc-1),b.data.cs*b.data.cc);if(b.data.ib===!0)postMessage({bin:c,chunkId:b.data.cc});else{var d;a.FileReader?(d=new FileReader,d.onloadend=function(a){postMessage({bin:(d.result||a.srcElement||a.target).split(",")[1],chunkId:b.data.cc,s:b.data.s})},d.onerror=function(a){throw(a.target||a.srcElement).error},d.readAsDataURL(c)):a.FileReaderSync?(d=new FileReaderSync,postMessage({bin:d.readAsDataURL(c).split(",")[1],chunkId:b.data.cc})):postMessage({bin:null,chunkId:b.data.cc,error:"File API is not supported in WebWorker!"})}}}(this);
\ No newline at end of file
+!function(a){"use strict";var h=function(a){for(var b=new Uint8Array(a),c="",d=0;d<b.length;d++)c+=(b[d]<16?"0":"")+b[d].toString(16);return c},g=function(b,c){if(!a.crypto||!a.crypto.subtle)return void c(null);a.crypto.subtle.digest("SHA-256",b).then(function(a){c(h(a))},function(){c(null)})},s=function(b,c){if(!a.crypto||!a.crypto.subtle||!b.arrayBuffer)return void c(null);b.arrayBuffer().then(function(a){g(a,c)},function(){c(null)})};a.onmessage=function(b){var c=b.data.f.slice(b.data.cs*(b.data.cc-1),b.data.cs*b.data.cc);if(b.data.ib===!0)postMessage({bin:c,chunkId:b.data.cc});else if(b.data.bn===!0){var f=function(a){g(a,function(c){postMessage({bin:a,chunkId:b.data.cc,sum:c},[a])})};a.FileReaderSync?f((new FileReaderSync).readAsArrayBuffer(c)):c.arrayBuffer?c.arrayBuffer().then(f):postMessage({bin:null,chunkId:b.data.cc,error:"File API is not supported in WebWorker!"})}else{var d,e;a.FileReader?(d=new FileReader,d.onloadend=function(a){e=(d.result||a.srcElement||a.target).split(",")[1],s(c,function(a){postMessage({bin:e,chunkId:b.data.cc,s:b.data.s,sum:a})})},d.onerror=function(a){throw(a.target||a.srcElement).error},d.readAsDataURL(c)):a.FileReaderSync?(d=new FileReaderSync,e=d.readAsDataURL(c).split(",")[1],s(c,function(a){postMessage({bin:e,chunkId:b.data.cc,sum:a})})):postMessage({bin:null,chunkId:b.data.cc,error:"File API is not supported in WebWorker!"})}}}(this);